@@ -0,0 +1,14 @@
+// Copies the TensorFlow.js WASM binaries of the installed
+// @tensorflow/tfjs-backend-wasm into public/, so local perception loads them
+// from this origin (LOCAL_PERCEPTION_WASM_PATH) and they always match the
+// JS half of the backend. Runs before `npm start` and `npm run build`.
+const fs = require("fs");
+const path = require("path");
+
+const dist = path.dirname(require.resolve("@tensorflow/tfjs-backend-wasm"));
+const target = path.join(__dirname, "..", "public", "tfjs-backend-wasm");
+
+fs.mkdirSync(target, { recursive: true });
+const copied = fs.readdirSync(dist).filter((file) => file.endsWith(".wasm"));
+copied.forEach((file) => fs.copyFileSync(path.join(dist, file), path.join(target, file)));
+console.log(`Copied ${copied.length} tfjs WASM files to public/tfjs-backend-wasm`);
@@ -0,0 +1,101 @@
+import { useState, useSyncExternalStore } from "react";
+import { requestDesktopNotifications, riskAlerts } from "./riskAlerts";
+import { RISK_COLORS } from "./riskLevels";
+
+const time = (ms) => (ms == null ? "—" : new Date(ms).toLocaleTimeString());
+
+const NOTIFICATION_LABELS = {
+  default: "🔔 enable desktop notifications",
+  granted: "🔔 desktop notifications on",
+  denied: "🔕 desktop notifications blocked",
+};
+
+const headingStyle = {
+  fontSize: "11px",
+  color: "#2a5f8a",
+  textTransform: "uppercase",
+  letterSpacing: "1px",
+  marginBottom: "10px",
+};
+
+// Audit trail of HALT / ALERT_HUMAN alerts: what raised them, how far they
+// escalated, and who acknowledged them when
+export default function AlertLogPanel({ manager = riskAlerts }) {
+  const { log } = useSyncExternalStore(manager.subscribe, manager.getSnapshot);
+  const [permission, setPermission] = useState(() => window.Notification?.permission ?? "unsupported");
+  const acknowledged = log.filter((a) => a.acknowledgedAt);
+  const meanAckSeconds = acknowledged.length
+    ? acknowledged.reduce((sum, a) => sum + (a.acknowledgedAt - a.raisedAt), 0) / acknowledged.length / 1000
+    : null;
+
+  return (
+    <div>
+      <div style={{ fontSize: "13px", color: "#4a7fa5", marginBottom: "20px", lineHeight: 1.6 }}>
+        Every HALT or ALERT_HUMAN raises a blocking alert with an alarm until an operator acknowledges it.
+        Unacknowledged alerts escalate. This log is kept in the browser.
+      </div>
+
+      <div className="card" style={{ padding: "16px 20px", marginBottom: "16px", display: "flex", gap: "24px", flexWrap: "wrap", alignItems: "center" }}>
+        {[
+          { label: "Alerts", value: log.length },
+          { label: "Escalated", value: log.filter((a) => a.escalation > 0).length },
+          { label: "Mean time to acknowledge", value: meanAckSeconds == null ? "—" : `${meanAckSeconds.toFixed(1)}s` },
+        ].map((item) => (
+          <div key={item.label}>
+            <div style={{ fontSize: "11px", color: "#4a7fa5" }}>{item.label}</div>
+            <div style={{ fontSize: "16px", fontWeight: 700, color: "#e0f0ff" }}>{item.value}</div>
+          </div>
+        ))}
+        {permission !== "unsupported" && (
+          <button
+            onClick={() => requestDesktopNotifications().then(setPermission)}
+            disabled={permission !== "default"}
+            title="Escalated alerts also raise a desktop notification"
+            style={{ marginLeft: "auto", background: "none", border: "1px solid #1e3a5f", color: permission === "granted" ? "#00e676" : "#4a7fa5", borderRadius: "6px", padding: "5px 10px", cursor: "pointer", fontFamily: "inherit", fontSize: "11px" }}
+          >
+            {NOTIFICATION_LABELS[permission]}
+          </button>
+        )}
+        <button
+          onClick={() => window.confirm(`Delete all ${log.length} alerts from the audit log? This cannot be undone.`) && manager.clearLog()}
+          disabled={log.length === 0}
+          style={{ marginLeft: permission === "unsupported" ? "auto" : 0, background: "none", border: "1px solid #1e3a5f", color: "#4a7fa5", borderRadius: "6px", padding: "5px 10px", cursor: "pointer", fontFamily: "inherit", fontSize: "11px" }}
+        >
+          clear log
+        </button>
+      </div>
+
+      <div className="card" style={{ padding: "16px 20px" }}>
+        <div style={headingStyle}>Audit Log</div>
+        {log.length === 0 && <div style={{ fontSize: "12px", color: "#4a7fa5" }}>No alerts raised</div>}
+        {log.map((a) => (
+          <div key={a.id} style={{ fontSize: "12px", padding: "10px 0", borderBottom: "1px solid rgba(255,255,255,0.04)" }}>
+            <div style={{ display: "flex", gap: "12px", alignItems: "center", flexWrap: "wrap" }}>
+              <span style={{ color: RISK_COLORS[a.level] ?? "#ff1744", fontWeight: 700 }}>{a.action}</span>
+              <span style={{ color: "#4a7fa5" }}>{a.level}</span>
+              <span style={{ color: "#e0f0ff" }}>raised {time(a.raisedAt)}</span>
+              {a.escalation > 0 && <span style={{ color: "#ff9100" }}>escalated ×{a.escalation}</span>}
+              {a.acknowledgedAt ? (
+                <span style={{ color: "#00e676" }}>
+                  ✓ {a.acknowledgedBy} at {time(a.acknowledgedAt)} ({Math.round((a.acknowledgedAt - a.raisedAt) / 1000)}s)
+                </span>
+              ) : (
+                <span style={{ color: "#ff1744" }}>unacknowledged</span>
+              )}
+              <span style={{ color: "#2a5f8a" }}>
+                {a.thought_ids.length} thought{a.thought_ids.length === 1 ? "" : "s"}
+              </span>
+            </div>
+            {a.hazards.map((h, i) => (
+              <div key={i} style={{ color: "#aaa", marginTop: "4px" }}>
+                ⚠ {h.description}
+                {h.type && <span style={{ color: "#2a5f8a" }}> ({h.type})</span>}
+              </div>
+            ))}
+            {a.note && <div style={{ color: "#4a7fa5", marginTop: "4px" }}>✎ {a.note}</div>}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,17 +1,84 @@
 
 import './App.css';
-// import CognitiveAISystem from "./CognitiveAISystem";
-// import LiveCognitiveCamera from "./LiveCognitiveCamera";
+import { useEffect, useState } from "react";
+import { simulation } from "./thoughtSimulator";
+import CognitiveAISystem from "./CognitiveAISystem";
+import LiveCognitiveCamera from "./LiveCognitiveCamera";
 import CinematicCognitiveUI from "./CinematicCognitiveUI";
+import VoiceCommandBar from "./VoiceCommandBar";
+import RiskAlertOverlay from "./RiskAlertOverlay";
+import { thoughtHistory } from "./thoughtHistory";
+
+// ?simulate=<scenario> (or REACT_APP_SIMULATE) starts in simulator mode
+const SIMULATE =
+  new URLSearchParams(window.location.search).get("simulate") ||
+  process.env.REACT_APP_SIMULATE;
+
+// Switched with voice commands ("switch to pipeline view") or keys 1–3
+const VIEW_COMPONENTS = {
+  cinematic: CinematicCognitiveUI,
+  camera: LiveCognitiveCamera,
+  pipeline: CognitiveAISystem,
+};
 
 function App() {
+  const [view, setView] = useState("cinematic");
+  const [simulateError, setSimulateError] = useState(null);
+  const View = VIEW_COMPONENTS[view];
+
+  useEffect(() => {
+    if (!SIMULATE) return;
+    try {
+      simulation.start(SIMULATE);
+    } catch (err) {
+      setSimulateError(err.message);
+    }
+  }, []);
+
+  // Keep every live thought, whichever view is open
+  useEffect(() => {
+    thoughtHistory.start();
+    return () => thoughtHistory.stop();
+  }, []);
+
   return (
     <div className="App">
-      
-      
-      <CinematicCognitiveUI />
-      {/* <LiveCognitiveCamera />
-      <CognitiveAISystem /> */}
+
+
+      {simulateError && (
+        <div
+          role="alert"
+          style={{
+            position: "fixed",
+            top: "12px",
+            left: "50%",
+            transform: "translateX(-50%)",
+            zIndex: 10000,
+            background: "#050d18",
+            border: "1px solid #ff910066",
+            color: "#ff9100",
+            borderRadius: "6px",
+            padding: "6px 12px",
+            fontSize: "12px",
+          }}
+        >
+          ⚠ {simulateError}; using the backend instead
+          <button
+            onClick={() => setSimulateError(null)}
+            aria-label="Dismiss"
+            style={{ background: "none", border: "none", color: "#4a7fa5", cursor: "pointer", marginLeft: "8px", fontFamily: "inherit" }}
+          >
+            ✕
+          </button>
+        </div>
+      )}
+      <View />
+      <VoiceCommandBar
+        view={view}
+        onSwitchView={setView}
+        style={{ position: "fixed", bottom: "12px", left: "50%", transform: "translateX(-50%)", zIndex: 10000 }}
+      />
+      <RiskAlertOverlay />
     </div>
   );
 }
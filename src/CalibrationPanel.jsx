@@ -0,0 +1,143 @@
+import { reliabilityBins } from "./calibration";
+import { CALIBRATION_DEBT_LIMIT, CALIBRATION_MULTIPLIER } from "./ruleEngine";
+import useCalibration from "./useCalibration";
+import MarkOutcome from "./MarkOutcome";
+
+const pct = (v) => (v == null ? "—" : `${Math.round(v * 100)}%`);
+
+const headingStyle = {
+  fontSize: "11px",
+  color: "#2a5f8a",
+  textTransform: "uppercase",
+  letterSpacing: "1px",
+  marginBottom: "10px",
+};
+
+// Accuracy per confidence bin against the diagonal of perfect calibration
+function ReliabilityDiagram({ labels, size = 220 }) {
+  const pad = 28;
+  const inner = size - pad * 2;
+  const bins = reliabilityBins(labels);
+  const x = (v) => pad + v * inner;
+  const y = (v) => size - pad - v * inner;
+
+  return (
+    <svg width={size} height={size}>
+      <rect x={pad} y={pad} width={inner} height={inner} fill="none" stroke="#1e3a5f" />
+      <line x1={x(0)} y1={y(0)} x2={x(1)} y2={y(1)} stroke="#4a7fa5" strokeDasharray="4 3" />
+      {bins.map((bin) =>
+        bin.count ? (
+          <g key={bin.lo}>
+            <rect
+              x={x(bin.lo) + 1}
+              y={y(bin.accuracy)}
+              width={inner / bins.length - 2}
+              height={y(0) - y(bin.accuracy)}
+              fill={bin.accuracy < bin.confidence ? "#ff174466" : "#00e67666"}
+            />
+            <circle cx={x(bin.confidence)} cy={y(bin.confidence)} r="2" fill="#e0f0ff" />
+          </g>
+        ) : null
+      )}
+      <text x={size / 2} y={size - 6} fill="#4a7fa5" fontSize="10" textAnchor="middle">
+        confidence
+      </text>
+      <text x={10} y={size / 2} fill="#4a7fa5" fontSize="10" textAnchor="middle" transform={`rotate(-90 10 ${size / 2})`}>
+        accuracy
+      </text>
+    </svg>
+  );
+}
+
+// R7 debt after each label, with the limit above which the multiplier applies
+function DebtChart({ timeline, width = 420, height = 140 }) {
+  const pad = 20;
+  const maxDebt = Math.max(CALIBRATION_DEBT_LIMIT * 1.5, ...timeline.map((p) => p.debt));
+  const x = (i) => pad + (timeline.length > 1 ? (i / (timeline.length - 1)) * (width - pad * 2) : 0);
+  const y = (debt) => height - pad - (debt / maxDebt) * (height - pad * 2);
+
+  return (
+    <svg width={width} height={height}>
+      <line x1={pad} y1={y(CALIBRATION_DEBT_LIMIT)} x2={width - pad} y2={y(CALIBRATION_DEBT_LIMIT)} stroke="#ff9100" strokeDasharray="4 3" />
+      <text x={width - pad} y={y(CALIBRATION_DEBT_LIMIT) - 4} fill="#ff9100" fontSize="9" textAnchor="end">
+        {CALIBRATION_DEBT_LIMIT} → ×{CALIBRATION_MULTIPLIER}
+      </text>
+      {timeline.map((p, i) =>
+        p.multiplierActive ? (
+          <rect key={`m${i}`} x={x(i) - 2} y={pad} width={4} height={height - pad * 2} fill="#ff174422" />
+        ) : null
+      )}
+      <polyline
+        points={timeline.map((p, i) => `${x(i)},${y(p.debt)}`).join(" ")}
+        fill="none"
+        stroke="#00e5ff"
+        strokeWidth="2"
+      />
+      <line x1={pad} y1={height - pad} x2={width - pad} y2={height - pad} stroke="#1e3a5f" />
+    </svg>
+  );
+}
+
+// Label recent thoughts and see how well confidence matches reality
+export default function CalibrationPanel({ thoughts }) {
+  const { labels, timeline, debt, multiplierActive, ece, accuracy, byId } = useCalibration();
+  const reflected = thoughts.find((t) => t.pipeline.reflection?.calibration_delta != null);
+
+  return (
+    <div>
+      <div style={{ fontSize: "13px", color: "#4a7fa5", marginBottom: "20px", lineHeight: 1.6 }}>
+        Mark thoughts correct or incorrect. Labels feed the reliability diagram, expected calibration error and
+        R7&apos;s calibration debt, which the rule engine uses live.
+      </div>
+
+      <div className="card" style={{ padding: "16px 20px", marginBottom: "16px", display: "flex", gap: "24px", flexWrap: "wrap" }}>
+        {[
+          { label: "Labelled", value: labels.length },
+          { label: "Accuracy", value: pct(accuracy) },
+          { label: "ECE", value: ece == null ? "—" : ece.toFixed(3) },
+          { label: "R7 debt", value: debt.toFixed(2) },
+          {
+            label: "Multiplier",
+            value: multiplierActive ? `×${CALIBRATION_MULTIPLIER} ACTIVE` : "off",
+            color: multiplierActive ? "#ff1744" : "#00e676",
+          },
+          {
+            label: "Reflection calibration_delta",
+            value: reflected ? reflected.pipeline.reflection.calibration_delta : "—",
+          },
+        ].map((item) => (
+          <div key={item.label}>
+            <div style={{ fontSize: "11px", color: "#4a7fa5" }}>{item.label}</div>
+            <div style={{ fontSize: "16px", fontWeight: 700, color: item.color ?? "#e0f0ff" }}>{item.value}</div>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: "flex", gap: "16px", flexWrap: "wrap", marginBottom: "16px" }}>
+        <div className="card" style={{ padding: "16px 20px" }}>
+          <div style={headingStyle}>Reliability Diagram</div>
+          {labels.length ? <ReliabilityDiagram labels={labels} /> : <div style={{ fontSize: "12px", color: "#4a7fa5" }}>No labels yet</div>}
+        </div>
+        <div className="card" style={{ padding: "16px 20px", flex: 1 }}>
+          <div style={headingStyle}>R7 Calibration Debt</div>
+          {timeline.length ? <DebtChart timeline={timeline} /> : <div style={{ fontSize: "12px", color: "#4a7fa5" }}>No labels yet</div>}
+        </div>
+      </div>
+
+      <div className="card" style={{ padding: "16px 20px" }}>
+        <div style={headingStyle}>Recent Thoughts</div>
+        {thoughts.length === 0 && <div style={{ fontSize: "12px", color: "#4a7fa5" }}>Waiting for thoughts…</div>}
+        {thoughts.map((t) => (
+          <div
+            key={t.thought_id}
+            style={{ display: "flex", alignItems: "center", gap: "12px", fontSize: "12px", padding: "6px 0", borderBottom: "1px solid rgba(255,255,255,0.04)" }}
+          >
+            <span style={{ width: "44px", color: "#ff9100" }}>{pct(t.pipeline.uncertainty.overall)}</span>
+            <span style={{ flex: 1, color: byId[t.thought_id] ? "#4a7fa5" : "#e0f0ff" }}>{t.pipeline.interpretation.summary}</span>
+            <MarkOutcome thought={t} />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
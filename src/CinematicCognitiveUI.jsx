@@ -1,77 +1,86 @@
-import { useEffect, useState, useCallback } from "react";
+import { useEffect, useRef, useState, useSyncExternalStore } from "react";
 import Webcam from "react-webcam";
+import MalformedThoughtPanel from "./MalformedThoughtPanel";
+import ConnectionStatus from "./ConnectionStatus";
+import useThoughtStream from "./useThoughtStream";
+import useFrameUploader from "./useFrameUploader";
+import useFrameAnalyzer from "./useFrameAnalyzer";
+import useSceneCuts from "./useSceneCuts";
+import ReframeHint from "./ReframeHint";
+import DetectionOverlay from "./DetectionOverlay";
+import SessionControls from "./SessionControls";
+import useReplay from "./useReplay";
+import { narrate, narrationTemplates } from "./narration";
+import NarrationEditor from "./NarrationEditor";
+import VoiceSettings from "./VoiceSettings";
+import ThoughtTimeline from "./ThoughtTimeline";
+import ThoughtDetail from "./ThoughtDetail";
+import { speech, toneFor } from "./speech";
+import LocalPerceptionToggle from "./LocalPerceptionToggle";
+import { isLocalThought, localPerception } from "./localPerception";
+import { thoughtHistory } from "./thoughtHistory";
+
+// Thoughts kept for the timeline
+const HISTORY_SIZE = 200;
 
 export default function CinematicCognitiveUI() {
-  const [thought, setThought] = useState(null);
-  const [loading, setLoading] = useState(true);
+  const { thought, malformed, status, transport, error } = useThoughtStream();
   const [lastSpoken, setLastSpoken] = useState("");
-  const [voiceEnabled, setVoiceEnabled] = useState(false);
   const [history, setHistory] = useState([]);
-
-const speak = useCallback((text) => {
-  if (!voiceEnabled) return;
-
-  const voices = speechSynthesis.getVoices();
-
-  const preferred =
-    voices.find(v => v.name.includes("Google")) ||
-    voices.find(v => v.name.includes("Microsoft")) ||
-    voices[0];
-
-  const utter = new SpeechSynthesisUtterance(text);
-  utter.voice = preferred;
-  utter.rate = 0.92;
-  utter.pitch = 1.05;
-  utter.volume = 1;
-
-  speechSynthesis.cancel();
-  speechSynthesis.speak(utter);
-}, [voiceEnabled]);
-
-
-const humanizeThought = (thought) => {
-  const objects = thought.pipeline.perception.objects;
-  const risk = thought.pipeline.risk.level;
-
-  const labels = objects.map(o => o.label);
-
-  if (labels.includes("person")) {
-    if (risk === "LOW") return "I can see someone nearby. Everything looks safe.";
-    if (risk === "MEDIUM") return "Someone is close. Stay aware.";
-    if (risk === "HIGH") return "Warning. Someone is very close.";
-  }
-
-  if (labels.includes("laptop")) {
-    return "A laptop is in front of you.";
-  }
-
-  return "I'm observing the surroundings.";
-};
+  const [editingNarration, setEditingNarration] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const templates = useSyncExternalStore(narrationTemplates.subscribe, narrationTemplates.get);
+  const loading = !thought && !malformed;
+
+  const webcamRef = useRef(null);
+  const [cameraReady, setCameraReady] = useState(false);
+
+  // ⏯ While replaying, the recorded frame stands in for the camera
+  const { state: replayState } = useReplay();
+  const replayFrame = replayState?.frame ?? null;
+
+  const capturing = cameraReady && !replayState;
+  const quality = useFrameAnalyzer(capturing);
+  const scenes = useSceneCuts(capturing);
+  const uploads = useFrameUploader(webcamRef, capturing, {
+    enrichers: [quality.analyzer.enrich, scenes.detector.enrich],
+  });
+  const matchedFrame = uploads.frameFor(thought);
+
+  // 🧩 Local perception reads this view's webcam, so it stops with the view
+  useEffect(() => () => localPerception.stop(), []);
+
+  // 🗄 The timeline picks up where the stored history left off
+  useEffect(() => {
+    const seed = () => {
+      const { ready, thoughts } = thoughtHistory.getSnapshot();
+      if (!ready) return false;
+      setHistory(prev => {
+        const seen = new Set(prev.map(t => t.thought_id));
+        return [...prev, ...thoughts.filter(t => !seen.has(t.thought_id))].slice(0, HISTORY_SIZE);
+      });
+      return true;
+    };
+    if (seed()) return;
+    const unsubscribe = thoughtHistory.subscribe(() => seed() && unsubscribe());
+    return unsubscribe;
+  }, []);
+
+  // memory timeline + narration for each new thought
+  useEffect(() => {
+    if (!thought) return;
+    setHistory(prev => (prev[0] === thought ? prev : [thought, ...prev.slice(0, HISTORY_SIZE - 1)]));
+  }, [thought]);
 
   useEffect(() => {
-    const interval = setInterval(async () => {
-      try {
-        // const res = await fetch("http://localhost:8000/thoughts");
-        const res = await fetch("https://cognitive-ai-backend-k48m.onrender.com/thoughts");
-  const data = await res.json();
-setThought(data);
-setLoading(false); // 🔥 stop loader
-
-        // memory timeline
-        setHistory(prev => [data, ...prev.slice(0, 6)]);
-
-        const humanSpeech = humanizeThought(data);
-        
-
-        if (humanSpeech && humanSpeech !== lastSpoken) {
-          speak(humanSpeech);
-          setLastSpoken(humanSpeech);
-        }
-      } catch {}
-    }, 3000);
-
-    return () => clearInterval(interval);
-  }, [lastSpoken ,speak]);
+    if (!thought) return;
+    const humanSpeech = narrate(thought, templates);
+
+    if (humanSpeech && humanSpeech !== lastSpoken) {
+      speech.say(humanSpeech, { tone: toneFor(thought) });
+      setLastSpoken(humanSpeech);
+    }
+  }, [thought, templates, lastSpoken]);
 
   const confidence = thought
     ? Math.round(thought.pipeline.uncertainty.overall * 100)
@@ -110,6 +119,11 @@ return (
         0% { left: -40%; }
         100% { left: 100%; }
       }
+      .pulse { animation: pulse 2s infinite; }
+      @keyframes pulse {
+        0%, 100% { opacity: 1; }
+        50% { opacity: 0.4; }
+      }
     `}</style>
  
     {loading && (
@@ -136,18 +150,29 @@ return (
     <div style={{ fontSize: 12, marginTop: 20, opacity: 0.7 }}>
       Calibrating vision · Syncing cognition · Loading memory
     </div>
+
+    <ConnectionStatus status={status} transport={transport} error={error} style={{ marginTop: 16 }} />
+    {error && (
+      <div style={{ fontSize: 11, marginTop: 6, opacity: 0.6 }}>{error} · retrying</div>
+    )}
+
+    <SessionControls style={{ marginTop: 24 }} />
+    <LocalPerceptionToggle webcamRef={webcamRef} status={status} style={{ marginTop: 12 }} />
   </div>
 )}
      
     
 
-    <div style={{ height: "100vh", overflow: "hidden", background: "#000" }}>
+    <div style={{ position: "relative", height: "100vh", overflow: "hidden", background: "#000" }}>
       
       {/* 🎥 Fullscreen Camera */}
       <Webcam
+        ref={webcamRef}
         audio={false}
         mirrored
         screenshotFormat="image/jpeg"
+        onUserMedia={() => setCameraReady(true)}
+        onUserMediaError={() => setCameraReady(false)}
         style={{
           width: "100%",
           height: "100%",
@@ -156,6 +181,33 @@ return (
         }}
       />
 
+      {replayFrame && (
+        <img
+          src={replayFrame.image}
+          alt="Recorded frame"
+          style={{
+            position: "absolute",
+            inset: 0,
+            width: "100%",
+            height: "100%",
+            objectFit: "cover",
+            transform: "scaleX(-1)",
+          }}
+        />
+      )}
+
+      {/* 🎯 Detections */}
+      {thought && (
+        <DetectionOverlay
+          webcamRef={webcamRef}
+          objects={thought.pipeline.perception.objects}
+          hazards={thought.pipeline.risk.hazards}
+          frameSize={replayFrame ?? matchedFrame ?? undefined}
+          mirrored
+          objectFit="cover"
+        />
+      )}
+
       {/* 🧠 Floating Thought */}
       {thought && (
         <div
@@ -198,9 +250,26 @@ return (
           >
             Confidence: {confidence}% · Risk: {risk}
           </div>
+
+          <div style={{ marginTop: "6px", fontSize: "11px", opacity: 0.55 }}>
+            {matchedFrame
+              ? `Seen ${((thought.timestamp - matchedFrame.captured_at) / 1000).toFixed(1)}s after capture · ${uploads.sent} frames sent`
+              : `Frame unmatched · ${uploads.sent} frames sent`}
+          </div>
         </div>
       )}
 
+      <MalformedThoughtPanel
+        malformed={malformed}
+        style={{ position: "absolute", top: "110px", left: "30px", maxWidth: "420px" }}
+      />
+
+      {/* 📷 Reframe hint when frames are too dark or blurry */}
+      <ReframeHint
+        hint={quality.hint}
+        style={{ position: "absolute", top: "90px", left: "50%", transform: "translateX(-50%)" }}
+      />
+
       {/* 🌈 Confidence Ring */}
       <div
         style={{
@@ -250,6 +319,7 @@ return (
         }}
       >
         RISK · {risk}
+        {isLocalThought(thought) && " · LOCAL PERCEPTION"}
       </div>
 
       {/* 🧠 Memory Timeline */}
@@ -266,30 +336,34 @@ return (
           overflowY: "auto",
         }}
       >
-        <div style={{ color: "#aaa", fontSize: "11px", marginBottom: "12px" }}>
+        <div style={{ color: "#aaa", fontSize: "11px", marginBottom: "12px", display: "flex", justifyContent: "space-between" }}>
           Thought Timeline
+          <ConnectionStatus status={status} transport={transport} error={error} />
         </div>
+        <LocalPerceptionToggle webcamRef={webcamRef} status={status} style={{ marginBottom: "12px" }} />
 
-        {history.map((h, i) => (
-          <div
-            key={i}
-            style={{
-              fontSize: "12px",
-              marginBottom: "12px",
-              color: "#ddd",
-              opacity: i === 0 ? 1 : 0.6,
-            }}
-          >
-            {h.pipeline.interpretation.summary}
-          </div>
-        ))}
+        <ThoughtTimeline history={history} cuts={scenes.cuts} onSelect={setSelected} />
       </div>
 
+      {/* ⏺ Session record / replay */}
+      <SessionControls
+        style={{
+          position: "absolute",
+          top: "30px",
+          left: "50%",
+          transform: "translateX(-50%)",
+          padding: "6px 12px",
+          borderRadius: "10px",
+          background: "rgba(0,0,0,0.45)",
+          backdropFilter: "blur(10px)",
+        }}
+      />
+
       {/* 🔊 Voice Button */}
       <button
         onClick={() => {
-          setVoiceEnabled(true);
-          speak("Cognitive voice online");
+          speech.enable();
+          speech.say("Cognitive voice online", { tone: "curious" });
         }}
         style={{
           position: "absolute",
@@ -306,6 +380,35 @@ return (
       >
         Enable Voice
       </button>
+
+      <button
+        onClick={() => setEditingNarration((v) => !v)}
+        style={{
+          position: "absolute",
+          bottom: "30px",
+          right: "170px",
+          background: "#7c4dff22",
+          border: "1px solid #7c4dff66",
+          color: "#b388ff",
+          padding: "10px 14px",
+          borderRadius: "8px",
+          cursor: "pointer",
+          backdropFilter: "blur(8px)",
+        }}
+      >
+        ✎ Narration
+      </button>
+
+      <ThoughtDetail thought={selected} onClose={() => setSelected(null)} />
+
+      {editingNarration && (
+        <div style={{ position: "absolute", bottom: "80px", right: "30px" }}>
+          <NarrationEditor thought={thought} onClose={() => setEditingNarration(false)} />
+          <VoiceSettings
+            style={{ marginTop: "8px", padding: "14px", borderRadius: "12px", background: "rgba(0,0,0,0.8)", border: "1px solid #1e3a5f" }}
+          />
+        </div>
+      )}
     </div>
    </>);
   
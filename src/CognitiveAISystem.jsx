@@ -1,6 +1,24 @@
-import { useState, useEffect, useCallback } from "react";
-
-const SECTIONS = ["pipeline", "prompts", "uncertainty", "schema", "rules"];
+import { useState, useEffect, useRef } from "react";
+import { auditUncertainty, CONFIDENCE_WEIGHTS, FLAG_OVERRIDES, FLAG_PENALTY, GATE_THRESHOLDS } from "./uncertainty";
+import { JSON_SCHEMA } from "./thoughtSchema";
+import MalformedThoughtPanel from "./MalformedThoughtPanel";
+import ConnectionStatus from "./ConnectionStatus";
+import useThoughtStream from "./useThoughtStream";
+import { speech, toneFor } from "./speech";
+import useSpeech from "./useSpeech";
+import { PIPELINE_STAGES } from "./pipelineStages";
+import { PROMPT_TEMPLATES } from "./promptTemplates";
+import PromptPlayground from "./PromptPlayground";
+import LlmConfigPanel from "./LlmConfigPanel";
+import PipelineInspector from "./PipelineInspector";
+import LatencyPanel from "./LatencyPanel";
+import CalibrationPanel from "./CalibrationPanel";
+import MarkOutcome from "./MarkOutcome";
+import useCalibration from "./useCalibration";
+import AlertLogPanel from "./AlertLogPanel";
+import HistoryBrowser from "./HistoryBrowser";
+
+const SECTIONS = ["pipeline", "prompts", "uncertainty", "schema", "rules", "calibration", "alerts", "history"];
 
 const SECTION_LABELS = {
   pipeline: "Thought Pipeline",
@@ -8,278 +26,68 @@ const SECTION_LABELS = {
   uncertainty: "Uncertainty Logic",
   schema: "JSON Schema",
   rules: "Reflective Rules",
+  calibration: "Calibration",
+  alerts: "Risk Alerts",
+  history: "Thought History",
 };
 
-const PIPELINE_STAGES = [
-  {
-    id: "perception",
-    icon: "👁",
-    label: "Perception",
-    color: "#00e5ff",
-    desc: "Raw visual feature extraction and scene decomposition",
-    inputs: ["Camera frame", "Depth data", "Motion vectors"],
-    outputs: ["Object list", "Scene graph", "Bounding boxes"],
-    latency: "50ms",
-    impl: `// Stage 1: Perception\nconst perception = await visionModel.analyze(frame, {\n  tasks: ['detect', 'segment', 'depth'],\n  confidence_threshold: 0.4,\n  return_embeddings: true\n});\n\n// Output: raw percepts\nreturn {\n  objects: perception.detections,\n  scene_embedding: perception.global_embed,\n  timestamp: Date.now()\n};`,
-  },
-  {
-    id: "interpretation",
-    icon: "🧠",
-    label: "Interpretation",
-    color: "#7c4dff",
-    desc: "Semantic understanding — what is happening and why",
-    inputs: ["Percept bundle", "Scene history", "World model"],
-    outputs: ["Activity labels", "Intent hypotheses", "Context tags"],
-    latency: "200ms",
-    impl: `// Stage 2: Interpretation\nconst context = buildContext(percepts, history);\nconst interp = await llm.complete({\n  system: INTERPRETATION_PROMPT,\n  user: formatPercepts(context),\n  temperature: 0.3,  // Low temp for factual grounding\n  max_tokens: 512\n});\n\nreturn parseInterpretation(interp);`,
-  },
-  {
-    id: "uncertainty",
-    icon: "⚖️",
-    label: "Uncertainty",
-    color: "#ff9100",
-    desc: "Calibrate confidence — know what you don't know",
-    inputs: ["Interpretation", "Percept confidence", "History match"],
-    outputs: ["Confidence map", "Ambiguity flags", "Info requests"],
-    latency: "80ms",
-    impl: `// Stage 3: Uncertainty Quantification\nconst uc = computeUncertainty({\n  visual_conf: percepts.avg_confidence,\n  semantic_entropy: interp.token_entropy,\n  history_coherence: matchHistory(interp, history),\n  occlusion_ratio: percepts.occlusion_score\n});\n\n// Trigger clarification if needed\nif (uc.overall < CONF_THRESHOLD) {\n  return { action: 'REQUEST_REFRAME', reason: uc.flags };\n}`,
-  },
-  {
-    id: "risk",
-    icon: "🔺",
-    label: "Risk Assessment",
-    color: "#ff1744",
-    desc: "Flag hazards, anomalies, and action constraints",
-    inputs: ["Interpretation", "Uncertainty", "Safety rules"],
-    outputs: ["Risk score", "Hazard labels", "Action blocklist"],
-    latency: "100ms",
-    impl: `// Stage 4: Risk Assessment\nconst risk = riskEngine.evaluate({\n  interpretation: interp,\n  uncertainty: uc,\n  rules: SAFETY_RULES,\n  context_type: env.context  // 'public', 'indoor', 'traffic'\n});\n\n// Block high-risk actions immediately\nif (risk.score > 0.85) {\n  emit('SAFETY_HALT', risk.hazards);\n  return risk;\n}`,
-  },
-  {
-    id: "reflection",
-    icon: "🪞",
-    label: "Reflection",
-    color: "#00e676",
-    desc: "Self-critique the reasoning chain and update beliefs",
-    inputs: ["Full thought chain", "Prior predictions", "Outcome feedback"],
-    outputs: ["Updated beliefs", "Confidence delta", "Learning signal"],
-    latency: "300ms",
-    impl: `// Stage 5: Reflection (runs async, ~1Hz)\nconst reflection = await llm.complete({\n  system: REFLECTION_PROMPT,\n  user: formatThoughtChain(thoughtHistory.last(10)),\n  temperature: 0.7,  // Higher for creative self-critique\n  max_tokens: 256\n});\n\nbeliefStore.update(reflection.corrections);\nconfidenceCalibrator.adjust(reflection.calibration_delta);`,
-  },
-];
-
-const PROMPT_TEMPLATES = [
-  {
-    stage: "Interpretation",
-    icon: "🔍",
-    color: "#7c4dff",
-    system: `You are a visual reasoning engine analyzing real-time camera input.
-Your job: interpret what you SEE, not what you assume.
-
-Rules:
-- Ground every claim in visible evidence
-- Use present tense ("a person is walking")
-- Separate observations from inferences with [OBS] / [INF] tags
-- If ambiguous, list top 2 hypotheses with likelihoods
-- Max 150 words
-
-Output format: JSON only`,
-    user: `Frame timestamp: {timestamp}
-Detected objects: {objects_json}
-Scene embedding similarity to last frame: {similarity_score}
-Recent history: {last_3_interpretations}
-
-What is happening in this scene?`,
-  },
-  {
-    stage: "Uncertainty Narration",
-    icon: "⚖️",
-    color: "#ff9100",
-    system: `You are an epistemic auditor for a vision AI system.
-Assess the quality and confidence of a visual interpretation.
-
-Score these dimensions (0.0–1.0):
-- visual_clarity: How clear/unoccluded is the scene?
-- semantic_certainty: How unambiguous is the interpretation?
-- temporal_consistency: Does this match recent frames?
-- completeness: Is the scene fully understood?
-
-Return ONLY valid JSON. No prose.`,
-    user: `Interpretation: {interpretation_json}
-Percept confidence scores: {confidence_array}
-Occlusion detected: {occlusion_bool}
-Frames since last stable reading: {frame_gap}
-
-Provide uncertainty assessment.`,
-  },
-  {
-    stage: "Reflection & Self-Critique",
-    icon: "🪞",
-    color: "#00e676",
-    system: `You are the metacognitive layer of a vision AI.
-Review the last N thoughts and identify:
-1. Prediction errors (where you were wrong)
-2. Overconfidence (high conf + wrong outcome)
-3. Underconfidence (low conf + correct outcome)
-4. Systematic biases (repeated error patterns)
-
-Be brutally honest. This is internal only.
-Output: JSON with 'corrections', 'bias_flags', 'calibration_delta'`,
-    user: `Thought chain (last 10 steps):
-{thought_history_json}
-
-Actual outcomes observed:
-{outcome_feedback_json}
-
-What did I get wrong? What should I update?`,
-  },
-  {
-    stage: "Risk Narration",
-    icon: "🔺",
-    color: "#ff1744",
-    system: `You are a safety-first risk assessor for a real-world AI agent.
-Given a scene interpretation, identify:
-- Physical hazards (falls, collisions, fire, sharp objects)
-- Social hazards (crowds, distress, conflict)
-- Operational hazards (equipment, vehicles, obstructions)
-
-Risk score: 0.0 (safe) → 1.0 (halt immediately)
-If score > 0.7, output recommended_action: PAUSE or HALT
-
-Output: JSON only. Be conservative.`,
-    user: `Scene interpretation: {interpretation_json}
-Uncertainty level: {uncertainty_score}
-Environment context: {context_type}
-Prior risk history: {recent_risk_scores}
-
-Assess risk.`,
-  },
-];
-
-const JSON_SCHEMA = `{
-  "$schema": "http://json-schema.org/draft-07/schema",
-  "title": "CognitiveThought",
-  "type": "object",
-  "required": ["thought_id", "timestamp", "pipeline"],
-  "properties": {
-    "thought_id": { "type": "string", "format": "uuid" },
-    "timestamp": { "type": "integer", "description": "Unix ms" },
-    "frame_ref": { "type": "string", "description": "Frame hash or URL" },
-
-    "pipeline": {
-      "type": "object",
-      "properties": {
+// What each confidence factor measures, for the generated code below
+const WEIGHT_NOTES = {
+  visual_clarity: "Frame quality, lighting",
+  semantic_certainty: "LLM interpretation entropy",
+  temporal_consistency: "Match with recent frames",
+  completeness: "% of scene explained",
+};
 
-        "perception": {
-          "type": "object",
-          "properties": {
-            "objects": {
-              "type": "array",
-              "items": {
-                "type": "object",
-                "properties": {
-                  "label": { "type": "string" },
-                  "confidence": { "type": "number", "minimum": 0, "maximum": 1 },
-                  "bbox": { "type": "array", "items": { "type": "number" }, "minItems": 4, "maxItems": 4 },
-                  "depth_m": { "type": "number" }
-                }
-              }
-            },
-            "scene_type": { "type": "string", "enum": ["indoor", "outdoor", "traffic", "crowd", "unknown"] },
-            "frame_quality": { "type": "number", "minimum": 0, "maximum": 1 }
-          }
-        },
+// The aggregation and gate blocks are generated from uncertainty.js, so the
+// tab always shows the numbers the client actually enforces
+const weightLines = Object.entries(CONFIDENCE_WEIGHTS)
+  .map(([k, w], i, all) => `    ${`${k}:`.padEnd(22)}${`${w}${i < all.length - 1 ? "," : ""}`.padEnd(6)} // ${WEIGHT_NOTES[k] ?? ""}`)
+  .join("\n");
+
+const gateLines = Object.entries(GATE_THRESHOLDS)
+  .map(([action, min], i, gates) => {
+    const tests = [
+      ...(i < gates.length - 1 ? [`conf >= ${min.toFixed(2)}`] : []),
+      ...(i > 0 ? [`conf < ${gates[i - 1][1].toFixed(2)}`] : []),
+    ];
+    return `  ${`${action}:`.padEnd(19)}(conf) => ${tests.join(" && ")}${i < gates.length - 1 ? "," : ""}`;
+  })
+  .join("\n");
+
+// The weight bars and gate table on the tab read the same constants
+const WEIGHT_BARS = {
+  semantic_certainty: { label: "Semantic Certainty", color: "#7c4dff", desc: "LLM token entropy" },
+  visual_clarity: { label: "Visual Clarity", color: "#00e5ff", desc: "Frame quality, lighting, occlusion" },
+  temporal_consistency: { label: "Temporal Consistency", color: "#ff9100", desc: "Match with recent history" },
+  completeness: { label: "Scene Completeness", color: "#00e676", desc: "% of scene explained" },
+};
 
-        "interpretation": {
-          "type": "object",
-          "properties": {
-            "summary": { "type": "string", "maxLength": 200 },
-            "observations": { "type": "array", "items": { "type": "string" } },
-            "inferences": { "type": "array", "items": { "type": "string" } },
-            "hypotheses": {
-              "type": "array",
-              "maxItems": 3,
-              "items": {
-                "type": "object",
-                "properties": {
-                  "description": { "type": "string" },
-                  "probability": { "type": "number" }
-                }
-              }
-            },
-            "activity_labels": { "type": "array", "items": { "type": "string" } }
-          }
-        },
+const weightBars = Object.entries(CONFIDENCE_WEIGHTS)
+  .map(([k, w]) => ({ label: k, color: "#4a7fa5", desc: "", ...WEIGHT_BARS[k], weight: Math.round(w * 100) }))
+  .sort((a, b) => b.weight - a.weight);
 
-        "uncertainty": {
-          "type": "object",
-          "properties": {
-            "overall": { "type": "number", "minimum": 0, "maximum": 1 },
-            "visual_clarity": { "type": "number" },
-            "semantic_certainty": { "type": "number" },
-            "temporal_consistency": { "type": "number" },
-            "completeness": { "type": "number" },
-            "flags": {
-              "type": "array",
-              "items": {
-                "type": "string",
-                "enum": ["LOW_LIGHT", "MOTION_BLUR", "OCCLUSION", "NOVEL_SCENE", "AMBIGUOUS_INTENT", "HISTORY_MISMATCH"]
-              }
-            },
-            "action": {
-              "type": "string",
-              "enum": ["PROCEED", "REQUEST_REFRAME", "HOLD_AND_OBSERVE", "FALLBACK_TO_PRIOR"]
-            }
-          }
-        },
+const maxWeight = Math.max(...weightBars.map((d) => d.weight));
 
-        "risk": {
-          "type": "object",
-          "properties": {
-            "score": { "type": "number", "minimum": 0, "maximum": 1 },
-            "level": { "type": "string", "enum": ["SAFE", "LOW", "MEDIUM", "HIGH", "CRITICAL"] },
-            "hazards": {
-              "type": "array",
-              "items": {
-                "type": "object",
-                "properties": {
-                  "type": { "type": "string" },
-                  "description": { "type": "string" },
-                  "severity": { "type": "number" }
-                }
-              }
-            },
-            "recommended_action": {
-              "type": "string",
-              "enum": ["CONTINUE", "SLOW_DOWN", "PAUSE", "HALT", "ALERT_HUMAN"]
-            }
-          }
-        },
+const GATE_ROWS = {
+  PROCEED: { color: "#00e676", behavior: "Normal operation, full interpretation used" },
+  HOLD_AND_OBSERVE: { color: "#ff9100", behavior: "Queue for 2 more frames before acting" },
+  REQUEST_REFRAME: { color: "#ff6d00", behavior: "Signal caller to adjust camera / lighting" },
+  FALLBACK_TO_PRIOR: { color: "#ff1744", behavior: "Use last confident thought; flag for review" },
+};
 
-        "reflection": {
-          "type": "object",
-          "description": "Async - populated after outcome feedback",
-          "properties": {
-            "corrections": { "type": "array", "items": { "type": "string" } },
-            "bias_flags": { "type": "array", "items": { "type": "string" } },
-            "calibration_delta": { "type": "number", "description": "Adjustment to confidence baseline" },
-            "learning_signal": { "type": "string" }
-          }
-        }
-      }
-    },
+const gateRows = Object.entries(GATE_THRESHOLDS).map(([action, min], i, gates) => {
+  const below = i > 0 ? gates[i - 1][1] : null;
+  const range =
+    below === null ? `≥ ${min.toFixed(2)}`
+    : i === gates.length - 1 ? `< ${below.toFixed(2)}`
+    : `${min.toFixed(2)} – ${(below - 0.01).toFixed(2)}`;
+  return { action, range, ...GATE_ROWS[action] };
+});
 
-    "meta": {
-      "type": "object",
-      "properties": {
-        "total_latency_ms": { "type": "integer" },
-        "model_versions": { "type": "object" },
-        "triggered_rules": { "type": "array", "items": { "type": "string" } },
-        "thought_chain_id": { "type": "string", "description": "Groups related thoughts" }
-      }
-    }
-  }
-}`;
+const overrideLines = FLAG_OVERRIDES.map(
+  (o) => `  // Override: ${o.note}\n  if (flags.includes('${o.flag}')) return '${o.action}';`
+).join("\n\n");
 
 const UNCERTAINTY_LOGIC = [
   {
@@ -288,10 +96,7 @@ const UNCERTAINTY_LOGIC = [
     code: `// Multi-factor confidence aggregation
 function computeOverallConfidence(factors) {
   const weights = {
-    visual_clarity:       0.25,  // Frame quality, lighting
-    semantic_certainty:   0.35,  // LLM interpretation entropy
-    temporal_consistency: 0.25,  // Match with recent frames
-    completeness:         0.15   // % of scene explained
+${weightLines}
   };
 
   const weighted = Object.entries(weights).reduce((sum, [k, w]) => {
@@ -299,7 +104,7 @@ function computeOverallConfidence(factors) {
   }, 0);
 
   // Apply penalty for dangerous flags
-  const flag_penalty = factors.flags.length * 0.08;
+  const flag_penalty = factors.flags.length * ${FLAG_PENALTY};
   return Math.max(0, weighted - flag_penalty);
 }`,
   },
@@ -308,18 +113,11 @@ function computeOverallConfidence(factors) {
     color: "#00e5ff",
     code: `// Uncertainty → Action mapping
 const UNCERTAINTY_GATES = {
-  PROCEED:           (conf) => conf >= 0.75,
-  HOLD_AND_OBSERVE:  (conf) => conf >= 0.50 && conf < 0.75,
-  REQUEST_REFRAME:   (conf) => conf >= 0.30 && conf < 0.50,
-  FALLBACK_TO_PRIOR: (conf) => conf < 0.30
+${gateLines}
 };
 
 function selectAction(confidence, flags) {
-  // Override: novel scene always holds regardless of confidence
-  if (flags.includes('NOVEL_SCENE')) return 'HOLD_AND_OBSERVE';
-  
-  // Override: history mismatch needs reframe
-  if (flags.includes('HISTORY_MISMATCH')) return 'REQUEST_REFRAME';
+${overrideLines}
 
   // Standard gate traversal
   for (const [action, test] of Object.entries(UNCERTAINTY_GATES)) {
@@ -457,59 +255,45 @@ export default function CognitiveAISystem() {
   const [expandedStage, setExpandedStage] = useState(null);
   const [expandedPrompt, setExpandedPrompt] = useState(null);
   const [expandedRule, setExpandedRule] = useState(null);
-   const [thought, setThought] = useState(null);
 const [lastSpoken, setLastSpoken] = useState("");
-const [voiceEnabled, setVoiceEnabled] = useState(false);
-
+const { enabled: voiceEnabled } = useSpeech();
+const [audit, setAudit] = useState(null);
+const [auditLog, setAuditLog] = useState([]);
+// R1–R7 are applied once on the shared stream (enforcedStream.js); raw is
+// what the backend sent
+const { thought, raw, ruleStats, ruleState, malformed, status, transport, error } = useThoughtStream();
+const interpHistory = useRef([]);
+const { debt: calibrationDebt } = useCalibration();
+const [recent, setRecent] = useState([]);
+const [inspecting, setInspecting] = useState(false);
 
-const speakWithTone = useCallback((text, tone = "calm") => {
-  if (!voiceEnabled) return;
-
-  const utter = new SpeechSynthesisUtterance(text);
-
-  if (tone === "urgent") {
-    utter.rate = 1.1;
-    utter.pitch = 0.8;
-  } else if (tone === "curious") {
-    utter.rate = 1.0;
-    utter.pitch = 1.2;
-  } else {
-    utter.rate = 0.95;
-    utter.pitch = 1.05;
-  }
 
-  utter.volume = 1;
-
-  speechSynthesis.cancel();
-  speechSynthesis.speak(utter);
-}, [voiceEnabled]);
-
- 
 useEffect(() => {
-  const interval = setInterval(async () => {
-    try {
-      const res = await fetch("http://localhost:8000/thoughts");
-      const data = await res.json();
-      setThought(data);
+  if (!raw) return;
+  // recompute confidence + action client-side and compare with backend
+  const result = auditUncertainty(raw, interpHistory.current);
+  interpHistory.current = [...interpHistory.current, raw.pipeline.interpretation].slice(-20);
+  setAudit(result);
+  setAuditLog(prev => [result, ...prev.slice(0, 9)]);
+}, [raw]);
 
-      const summary = data.pipeline.interpretation.summary;
-      const tone = data.meta?.tone || "calm";
+useEffect(() => {
+  if (thought) setRecent(prev => (prev[0] === thought ? prev : [thought, ...prev.slice(0, 19)]));
+}, [thought]);
 
-      // prevent repeating speech
-      if (summary && summary !== lastSpoken && voiceEnabled) {
-        speakWithTone(summary, tone);
-        setLastSpoken(summary);
-      }
-    } catch (err) {
-      console.log("Backend not reachable");
-    }
-  }, 2500);
+useEffect(() => {
+  if (!thought || !voiceEnabled) return;
+  const summary = thought.pipeline.interpretation.summary;
+  const tone = toneFor(thought);
+
+  // prevent repeating speech
+  if (summary && summary !== lastSpoken) {
+    speech.say(summary, { tone });
+    setLastSpoken(summary);
+  }
+}, [thought, lastSpoken, voiceEnabled]);
 
-  return () => {
-    clearInterval(interval);
-    speechSynthesis.cancel();
-  };
-}, [lastSpoken, voiceEnabled, speakWithTone]);
+useEffect(() => () => speech.clear(), []);
   return (
     <div style={{
       background: "#050810",
@@ -631,12 +415,12 @@ useEffect(() => {
           </div>
         </div>
         <div style={{ display: "flex", gap: "8px", alignItems: "center" }}>
-          <span className="pulse" style={{ display: "inline-block", width: "7px", height: "7px", borderRadius: "50%", background: "#00e676" }}></span>
+          <ConnectionStatus status={status} transport={transport} error={error} />
           {/* <span style={{ fontSize: "11px", color: "#00e676" }}>SYSTEM ONLINE</span> */}
      <button
   onClick={() => {
-    setVoiceEnabled(true);
-    speakWithTone("Voice system activated", "curious");
+    speech.enable();
+    speech.say("Voice system activated", { tone: "curious" });
   }}
   style={{
     marginLeft: "12px",
@@ -675,10 +459,17 @@ useEffect(() => {
 
       {/* Content */}
       <div style={{ padding: "24px 32px", maxWidth: "960px" }}>
+     <MalformedThoughtPanel malformed={malformed} style={{ marginBottom: "20px" }} />
      {thought && (
   <div className="card" style={{ padding: "16px 20px", marginBottom: "20px" }}>
-    <div style={{ fontSize: "11px", color: "#00e5ff", marginBottom: "8px" }}>
+    <div style={{ fontSize: "11px", color: "#00e5ff", marginBottom: "8px", display: "flex", justifyContent: "space-between" }}>
       LIVE AI THOUGHT
+      <span style={{ display: "flex", gap: "12px", alignItems: "center" }}>
+        <MarkOutcome thought={thought} />
+        <span style={{ cursor: "pointer", color: "#4a7fa5" }} onClick={() => setInspecting(v => !v)}>
+          {inspecting ? "▾ hide stages" : "▸ inspect all stages"}
+        </span>
+      </span>
     </div>
 
     <div style={{ fontSize: "12px", marginBottom: "6px" }}>
@@ -689,12 +480,36 @@ useEffect(() => {
     <div style={{ fontSize: "12px", marginBottom: "6px" }}>
       ⚖️ <b>Uncertainty:</b>{" "}
       {Math.round(thought.pipeline.uncertainty.overall * 100)}%
+      {audit && (
+        <span style={{ color: "#4a7fa5", marginLeft: "8px" }}>
+          client: {Math.round(audit.overall * 100)}% · {audit.action}
+          {(audit.overallMismatch || audit.actionMismatch) && (
+            <span className="badge" style={{ marginLeft: "8px", background: "#ff910015", color: "#ff9100", border: "1px solid #ff910040" }}>
+              DISAGREES WITH BACKEND
+            </span>
+          )}
+        </span>
+      )}
     </div>
 
     <div style={{ fontSize: "12px" }}>
       🔺 <b>Risk:</b>{" "}
       {thought.pipeline.risk.level}
+      {thought.pipeline.risk.recommended_action && ` · ${thought.pipeline.risk.recommended_action}`}
     </div>
+
+    {thought.meta.triggered_rules.length > 0 && (
+      <div style={{ fontSize: "12px", marginTop: "6px" }}>
+        📏 <b>Rules:</b>{" "}
+        {thought.meta.triggered_rules.map(id => (
+          <span key={id} className="badge" style={{ marginRight: "4px", background: "#ff174415", color: "#ff1744", border: "1px solid #ff174440" }}>
+            {id}
+          </span>
+        ))}
+      </div>
+    )}
+
+    {inspecting && <PipelineInspector thought={thought} style={{ marginTop: "14px" }} />}
   </div>
 )}
         {/* ===== PIPELINE ===== */}
@@ -764,30 +579,7 @@ useEffect(() => {
             </div>
 
             {/* Timing overview */}
-            <div className="card" style={{ padding: "16px 20px", marginTop: "20px" }}>
-              <div style={{ fontSize: "11px", color: "#2a5f8a", textTransform: "uppercase", letterSpacing: "1px", marginBottom: "12px" }}>
-                Total Latency Budget
-              </div>
-              <div style={{ display: "flex", gap: "8px", flexWrap: "wrap" }}>
-                {PIPELINE_STAGES.map(s => (
-                  <div key={s.id} style={{ textAlign: "center" }}>
-                    <div style={{ fontSize: "11px", color: "#4a7fa5" }}>{s.label}</div>
-                    <div style={{ fontSize: "16px", fontWeight: 700, color: s.color }}>{s.latency}</div>
-                  </div>
-                ))}
-                <div style={{ textAlign: "center", borderLeft: "1px solid rgba(255,255,255,0.08)", paddingLeft: "12px" }}>
-                  <div style={{ fontSize: "11px", color: "#4a7fa5" }}>Total (sync)</div>
-                  <div style={{ fontSize: "16px", fontWeight: 700, color: "#e0f0ff" }}>~730ms</div>
-                </div>
-                <div style={{ textAlign: "center" }}>
-                  <div style={{ fontSize: "11px", color: "#4a7fa5" }}>With async reflect</div>
-                  <div style={{ fontSize: "16px", fontWeight: 700, color: "#00e676" }}>~430ms*</div>
-                </div>
-              </div>
-              <div style={{ fontSize: "11px", color: "#2a5f8a", marginTop: "8px" }}>
-                * Reflection runs async at ~1Hz decoupled from main loop. Perception + Risk run in parallel after interpretation.
-              </div>
-            </div>
+            <LatencyPanel />
           </div>
         )}
 
@@ -796,7 +588,8 @@ useEffect(() => {
           <div>
             <div style={{ fontSize: "13px", color: "#4a7fa5", marginBottom: "20px", lineHeight: 1.6 }}>
               Battle-tested prompt templates for each LLM call in the pipeline.
-              Click to expand system + user prompts. Copy directly into your code.
+              Click to expand system + user prompts. Copy directly into your code, or try edits against recorded
+              thoughts in the playground below.
             </div>
             <div style={{ display: "flex", flexDirection: "column", gap: "12px" }}>
               {PROMPT_TEMPLATES.map((pt, i) => (
@@ -841,20 +634,9 @@ useEffect(() => {
               ))}
             </div>
 
-            <div className="card" style={{ padding: "16px 20px", marginTop: "16px" }}>
-              <div style={{ fontSize: "11px", color: "#2a5f8a", textTransform: "uppercase", letterSpacing: "1px", marginBottom: "10px" }}>
-                LLM Call Config (Hackathon Settings)
-              </div>
-              <pre className="code-block">{`const LLM_CONFIG = {
-  interpretation: { model: "claude-sonnet-4-20250514", temperature: 0.3, max_tokens: 512 },
-  uncertainty:    { model: "claude-sonnet-4-20250514", temperature: 0.1, max_tokens: 256 },
-  risk:           { model: "claude-sonnet-4-20250514", temperature: 0.1, max_tokens: 256 },
-  reflection:     { model: "claude-sonnet-4-20250514", temperature: 0.7, max_tokens: 512 },
-};
+            <PromptPlayground thoughts={recent} />
 
-// Pro tip: Use structured output / JSON mode for all except reflection.
-// Reflection benefits from slightly higher temp to surface creative self-critique.`}</pre>
-            </div>
+            <LlmConfigPanel />
           </div>
         )}
 
@@ -871,12 +653,7 @@ useEffect(() => {
               <div style={{ fontSize: "11px", color: "#2a5f8a", textTransform: "uppercase", letterSpacing: "1px", marginBottom: "16px" }}>
                 Confidence Dimension Weights
               </div>
-              {[
-                { label: "Semantic Certainty", weight: 35, color: "#7c4dff", desc: "LLM token entropy" },
-                { label: "Visual Clarity", weight: 25, color: "#00e5ff", desc: "Frame quality, lighting, occlusion" },
-                { label: "Temporal Consistency", weight: 25, color: "#ff9100", desc: "Match with recent history" },
-                { label: "Scene Completeness", weight: 15, color: "#00e676", desc: "% of scene explained" },
-              ].map(d => (
+              {weightBars.map(d => (
                 <div key={d.label} style={{ marginBottom: "12px" }}>
                   <div style={{ display: "flex", justifyContent: "space-between", marginBottom: "4px" }}>
                     <span style={{ fontSize: "12px", color: "#8ab4d4" }}>{d.label}</span>
@@ -886,7 +663,7 @@ useEffect(() => {
                     </div>
                   </div>
                   <div style={{ height: "5px", background: "#0a1828", borderRadius: "3px", overflow: "hidden" }}>
-                    <div style={{ width: `${d.weight * 2.86}%`, height: "100%", background: d.color, borderRadius: "3px", opacity: 0.8 }}></div>
+                    <div style={{ width: `${(d.weight / maxWeight) * 100}%`, height: "100%", background: d.color, borderRadius: "3px", opacity: 0.8 }}></div>
                   </div>
                 </div>
               ))}
@@ -906,12 +683,7 @@ useEffect(() => {
                   </tr>
                 </thead>
                 <tbody>
-                  {[
-                    { range: "≥ 0.75", action: "PROCEED", color: "#00e676", behavior: "Normal operation, full interpretation used" },
-                    { range: "0.50 – 0.74", action: "HOLD_AND_OBSERVE", color: "#ff9100", behavior: "Queue for 2 more frames before acting" },
-                    { range: "0.30 – 0.49", action: "REQUEST_REFRAME", color: "#ff6d00", behavior: "Signal caller to adjust camera / lighting" },
-                    { range: "< 0.30", action: "FALLBACK_TO_PRIOR", color: "#ff1744", behavior: "Use last confident thought; flag for review" },
-                  ].map(row => (
+                  {gateRows.map(row => (
                     <tr key={row.action}>
                       <td style={{ padding: "10px 0", color: "#c8d8f0", borderBottom: "1px solid rgba(255,255,255,0.04)" }}>{row.range}</td>
                       <td style={{ padding: "10px 12px", borderBottom: "1px solid rgba(255,255,255,0.04)" }}>
@@ -926,6 +698,42 @@ useEffect(() => {
               </table>
             </div>
 
+            {/* Backend vs client audit */}
+            <div className="card" style={{ padding: "20px", marginBottom: "16px" }}>
+              <div style={{ fontSize: "11px", color: "#2a5f8a", textTransform: "uppercase", letterSpacing: "1px", marginBottom: "14px" }}>
+                Live Audit · Backend vs Client
+              </div>
+              {auditLog.length === 0 ? (
+                <div style={{ fontSize: "12px", color: "#4a7fa5" }}>Waiting for thoughts…</div>
+              ) : (
+                <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "12px" }}>
+                  <thead>
+                    <tr style={{ color: "#2a5f8a" }}>
+                      <th style={{ textAlign: "left", padding: "6px 0", borderBottom: "1px solid rgba(255,255,255,0.06)" }}>Thought</th>
+                      <th style={{ textAlign: "left", padding: "6px 12px", borderBottom: "1px solid rgba(255,255,255,0.06)" }}>Overall (backend / client)</th>
+                      <th style={{ textAlign: "left", padding: "6px 0", borderBottom: "1px solid rgba(255,255,255,0.06)" }}>Action (backend / client)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {auditLog.map((a, i) => (
+                      <tr key={`${a.thought_id}-${i}`}>
+                        <td style={{ padding: "8px 0", color: "#7aa0c0", borderBottom: "1px solid rgba(255,255,255,0.04)", fontSize: "11px" }}>
+                          {String(a.thought_id ?? "—").slice(0, 8)}
+                        </td>
+                        <td style={{ padding: "8px 12px", borderBottom: "1px solid rgba(255,255,255,0.04)", color: a.overallMismatch ? "#ff9100" : "#c8d8f0" }}>
+                          {a.backendOverall?.toFixed(2) ?? "—"} / {a.overall.toFixed(2)}
+                          {a.overallDelta !== null && ` (Δ ${a.overallDelta >= 0 ? "+" : ""}${a.overallDelta.toFixed(2)})`}
+                        </td>
+                        <td style={{ padding: "8px 0", borderBottom: "1px solid rgba(255,255,255,0.04)", color: a.actionMismatch ? "#ff9100" : "#c8d8f0" }}>
+                          {a.backendAction ?? "—"} / {a.action}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
             {/* Code blocks */}
             <div style={{ display: "flex", flexDirection: "column", gap: "12px" }}>
               {UNCERTAINTY_LOGIC.map((block, i) => (
@@ -1052,6 +860,10 @@ useEffect(() => {
                         {rule.title}
                       </span>
                     </div>
+                    <div style={{ display: "flex", gap: "8px", fontSize: "11px", flexShrink: 0 }}>
+                      <span style={{ color: "#00e676" }}>✓ {ruleStats[rule.id].pass}</span>
+                      <span style={{ color: "#ff1744" }}>✗ {ruleStats[rule.id].fail}</span>
+                    </div>
                     <div style={{ color: "#2a5f8a", flexShrink: 0 }}>{expandedRule === rule.id ? "▲" : "▼"}</div>
                   </div>
                   {expandedRule === rule.id && (
@@ -1061,18 +873,23 @@ useEffect(() => {
                       </div>
                       <div style={{ display: "flex", gap: "10px", flexWrap: "wrap" }}>
                         <div style={{ flex: 1, minWidth: "200px" }}>
-                          <div style={{ fontSize: "10px", color: "#ff1744", textTransform: "uppercase", letterSpacing: "1px", marginBottom: "6px" }}>
-                            ✗ Violation
+                          <div style={{ fontSize: "10px", color: "#00e676", textTransform: "uppercase", letterSpacing: "1px", marginBottom: "6px" }}>
+                            ✓ Passed
                           </div>
-                          <pre className="code-block" style={{ whiteSpace: "pre-wrap", fontSize: "11px", color: "#e07070" }}>{rule.example.bad}</pre>
+                          <div className="code-block" style={{ fontSize: "18px", fontWeight: 700, color: "#70e070" }}>{ruleStats[rule.id].pass}</div>
                         </div>
                         <div style={{ flex: 1, minWidth: "200px" }}>
-                          <div style={{ fontSize: "10px", color: "#00e676", textTransform: "uppercase", letterSpacing: "1px", marginBottom: "6px" }}>
-                            ✓ Compliant
+                          <div style={{ fontSize: "10px", color: "#ff1744", textTransform: "uppercase", letterSpacing: "1px", marginBottom: "6px" }}>
+                            ✗ Violated
                           </div>
-                          <pre className="code-block" style={{ whiteSpace: "pre-wrap", fontSize: "11px", color: "#70e070" }}>{rule.example.good}</pre>
+                          <div className="code-block" style={{ fontSize: "18px", fontWeight: 700, color: "#e07070" }}>{ruleStats[rule.id].fail}</div>
                         </div>
                       </div>
+                      <div style={{ fontSize: "11px", color: "#4a7fa5", marginTop: "10px" }}>
+                        {ruleStats[rule.id].lastViolation
+                          ? `Last violation (${String(ruleStats[rule.id].lastViolation.thought_id ?? "—").slice(0, 8)}): ${ruleStats[rule.id].lastViolation.msg}`
+                          : "No violations yet"}
+                      </div>
                     </div>
                   )}
                 </div>
@@ -1081,48 +898,36 @@ useEffect(() => {
 
             <div className="card" style={{ padding: "16px 20px", marginTop: "16px", borderLeft: "3px solid #00e5ff60" }}>
               <div style={{ fontSize: "11px", color: "#2a5f8a", textTransform: "uppercase", letterSpacing: "1px", marginBottom: "10px" }}>
-                Rule Engine Implementation
+                Rule Engine State
+              </div>
+              <div style={{ display: "flex", gap: "24px", flexWrap: "wrap" }}>
+                {[
+                  { label: "R2 low-conf streak", value: ruleState.lowConfStreak },
+                  { label: "R4 zero-correction rounds", value: ruleState.zeroCorrectionRounds },
+                  { label: "R6 frames in chain", value: ruleState.framesInChain },
+                  { label: "R7 calibration debt", value: calibrationDebt.toFixed(2) },
+                ].map(item => (
+                  <div key={item.label}>
+                    <div style={{ fontSize: "11px", color: "#4a7fa5" }}>{item.label}</div>
+                    <div style={{ fontSize: "16px", fontWeight: 700, color: "#e0f0ff" }}>{item.value}</div>
+                  </div>
+                ))}
+              </div>
+              <div style={{ fontSize: "11px", color: "#2a5f8a", marginTop: "8px" }}>
+                Current chain: {ruleState.chainId ?? "—"}
               </div>
-              <pre className="code-block">{`// Rule enforcement at the end of each pipeline run
-function enforceRules(thought) {
-  const violations = [];
-
-  // R1: Evidence requirement
-  if (thought.pipeline.interpretation.summary && 
-      !thought.pipeline.interpretation.observations?.length) {
-    violations.push({ rule: 'R1', msg: 'Interpretation missing observation grounding' });
-  }
-
-  // R2: Sustained low confidence escalation  
-  const lowConfStreak = thoughtHistory
-    .slice(-3).filter(t => t.pipeline.uncertainty.overall < 0.5).length;
-  if (lowConfStreak >= 3) {
-    emit('SUSTAINED_LOW_CONFIDENCE', { streak: lowConfStreak });
-  }
-
-  // R3: Risk overrides confidence
-  if (thought.pipeline.risk.score > 0.7 && 
-      thought.pipeline.uncertainty.action === 'PROCEED') {
-    thought.pipeline.uncertainty.action = 'HOLD_AND_OBSERVE';
-    thought.pipeline.risk.recommended_action = 
-      thought.pipeline.risk.score > 0.85 ? 'HALT' : 'PAUSE';
-    violations.push({ rule: 'R3', msg: 'Risk gate override applied' });
-  }
-
-  // R6: Novelty patience
-  if (thought.pipeline.uncertainty.flags.includes('NOVEL_SCENE') &&
-      getFramesInCurrentChain() < 3 &&
-      thought.pipeline.uncertainty.overall > 0.6) {
-    thought.pipeline.uncertainty.overall = Math.min(0.6, thought.pipeline.uncertainty.overall);
-    thought.pipeline.uncertainty.action = 'HOLD_AND_OBSERVE';
-  }
-
-  thought.meta.triggered_rules = violations.map(v => v.rule);
-  return thought;
-}`}</pre>
             </div>
           </div>
         )}
+
+        {/* ===== CALIBRATION ===== */}
+        {active === "calibration" && <CalibrationPanel thoughts={recent} />}
+
+        {/* ===== ALERTS ===== */}
+        {active === "alerts" && <AlertLogPanel />}
+
+        {/* ===== HISTORY ===== */}
+        {active === "history" && <HistoryBrowser />}
       </div>
 
       {/* Footer */}
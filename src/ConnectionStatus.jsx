@@ -0,0 +1,32 @@
+import { TRANSPORT_LABELS } from "./thoughtTransports";
+
+export const STATUS_COLORS = {
+  connecting: "#00e5ff",
+  live: "#00e676",
+  stale: "#ff9100",
+  offline: "#ff1744",
+};
+
+// Pulse dot + label for the thought stream's connection state and the
+// transport currently carrying it
+export default function ConnectionStatus({ status, transport, error, style }) {
+  const color = STATUS_COLORS[status] ?? "#4a7fa5";
+
+  return (
+    <span
+      title={error ?? undefined}
+      style={{ display: "inline-flex", alignItems: "center", gap: "6px", fontSize: "11px", color, ...style }}
+    >
+      <span
+        className={status === "live" || status === "connecting" ? "pulse" : undefined}
+        style={{ display: "inline-block", width: "7px", height: "7px", borderRadius: "50%", background: color }}
+      />
+      {status.toUpperCase()}
+      {transport && (
+        <span style={{ color: "#4a7fa5", letterSpacing: "1px" }}>
+          · {TRANSPORT_LABELS[transport] ?? transport}
+        </span>
+      )}
+    </span>
+  );
+}
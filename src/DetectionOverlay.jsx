@@ -0,0 +1,116 @@
+import { useEffect, useState } from "react";
+import { hazardsForObject, projectBox } from "./overlayGeometry";
+
+const confidenceColor = (c) => (c >= 0.75 ? "#00e676" : c >= 0.5 ? "#ff9100" : "#ff1744");
+
+// Labelled bounding boxes with depth readouts, drawn over a react-webcam
+// video. frameSize is the resolution the boxes refer to (the uploaded frame);
+// without it the camera's native resolution is assumed.
+export default function DetectionOverlay({
+  webcamRef,
+  objects = [],
+  hazards = [],
+  frameSize,
+  mirrored = false,
+  objectFit = "contain",
+}) {
+  const [box, setBox] = useState(null);
+
+  // Track where the video sits and its native size
+  useEffect(() => {
+    let video = null;
+    let observer = null;
+    let retry = null;
+
+    const measure = () => {
+      setBox({
+        left: video.offsetLeft,
+        top: video.offsetTop,
+        width: video.clientWidth,
+        height: video.clientHeight,
+        videoWidth: video.videoWidth,
+        videoHeight: video.videoHeight,
+      });
+    };
+
+    const attach = () => {
+      video = webcamRef.current?.video;
+      if (!video) {
+        retry = setTimeout(attach, 500);
+        return;
+      }
+      measure();
+      video.addEventListener("loadedmetadata", measure);
+      if (typeof ResizeObserver !== "undefined") {
+        observer = new ResizeObserver(measure);
+        observer.observe(video);
+      }
+    };
+    attach();
+
+    return () => {
+      clearTimeout(retry);
+      observer?.disconnect();
+      video?.removeEventListener("loadedmetadata", measure);
+    };
+  }, [webcamRef]);
+
+  if (!box || !box.width || objects.length === 0) return null;
+
+  const source = frameSize ?? { width: box.videoWidth, height: box.videoHeight };
+  if (!source.width || !source.height) return null;
+
+  return (
+    <div
+      style={{
+        position: "absolute",
+        left: box.left,
+        top: box.top,
+        width: box.width,
+        height: box.height,
+        overflow: "hidden",
+        pointerEvents: "none",
+        fontFamily: "'JetBrains Mono', monospace",
+      }}
+    >
+      {objects.filter((o) => o.bbox?.length === 4).map((o, i) => {
+        const rect = projectBox(o.bbox, source, box, { mirrored, objectFit });
+        const involved = hazardsForObject(o, hazards);
+        const color = involved.length > 0 ? "#ff1744" : confidenceColor(o.confidence ?? 0);
+
+        return (
+          <div
+            key={i}
+            title={involved.map((h) => h.description).join("\n") || undefined}
+            style={{
+              position: "absolute",
+              ...rect,
+              border: `${involved.length > 0 ? 3 : 2}px ${involved.length > 0 ? "dashed" : "solid"} ${color}`,
+              borderRadius: "4px",
+              boxShadow: involved.length > 0 ? `0 0 18px ${color}aa` : `0 0 8px ${color}44`,
+            }}
+          >
+            <div
+              style={{
+                position: "absolute",
+                top: rect.top > 18 ? "-20px" : "2px",
+                left: "-2px",
+                background: `${color}dd`,
+                color: "#000",
+                fontSize: "11px",
+                fontWeight: 700,
+                padding: "1px 6px",
+                borderRadius: "3px",
+                whiteSpace: "nowrap",
+              }}
+            >
+              {involved.length > 0 && "⚠ "}
+              {o.label} {Math.round((o.confidence ?? 0) * 100)}%
+              {typeof o.depth_m === "number" && ` · ${o.depth_m.toFixed(1)}m`}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+import { useState, useSyncExternalStore } from "react";
+import { downloadFile, incidentReport, printReport, toCsv, toJsonl } from "./thoughtExport";
+import { parseSession, sessionRecorder } from "./sessionRecorder";
+import { enforceThoughts } from "./ruleEngine";
+import { EMPTY_FILTERS, matchesFilters } from "./thoughtHistory";
+import { RISK_LEVELS } from "./riskLevels";
+
+const headingStyle = {
+  fontSize: "11px",
+  color: "#2a5f8a",
+  textTransform: "uppercase",
+  letterSpacing: "1px",
+  marginBottom: "10px",
+};
+
+const button = (color) => ({
+  background: `${color}22`,
+  border: `1px solid ${color}66`,
+  color,
+  padding: "5px 10px",
+  borderRadius: "6px",
+  cursor: "pointer",
+  fontSize: "11px",
+  fontFamily: "inherit",
+});
+
+const stamp = () => new Date().toISOString().replace(/[:.]/g, "-");
+
+// Export the thoughts the history browser is showing (newest first), or a
+// saved session file instead. Frame snapshots for the report come from the
+// session: the file's frames, or the recorder's if it is recording frames.
+// A session file holds thoughts as the backend sent them, so the rules are
+// applied to it in order before it is exported, then narrowed to the
+// history's time range (from / to, ms).
+export default function ExportPanel({ thoughts, from = null, to = null }) {
+  const [session, setSession] = useState(null);
+  const [minLevel, setMinLevel] = useState("HIGH");
+  const [error, setError] = useState(null);
+  // Re-render as the recorder picks up frames
+  useSyncExternalStore(sessionRecorder.subscribe, sessionRecorder.getSnapshot);
+
+  const source = session
+    ? session.enforced.filter((t) => matchesFilters(t, { ...EMPTY_FILTERS, from, to }))
+    : [...thoughts].reverse();
+  const frames = session ? session.frames : sessionRecorder.toSession().frames;
+
+  const attempt = (fn) => {
+    try {
+      fn();
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const loadFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    const text = await file.text();
+    attempt(() => {
+      const parsed = parseSession(text);
+      setSession({ ...parsed, name: file.name, enforced: enforceThoughts(parsed.thoughts.map((e) => e.thought)) });
+    });
+  };
+
+  const report = () => incidentReport(source, { frames, minLevel, title: `Incident report · ${session?.name ?? "thought history"}` });
+
+  return (
+    <div className="card" style={{ padding: "16px 20px", marginBottom: "16px" }}>
+      <div style={headingStyle}>Export</div>
+      <div style={{ fontSize: "12px", color: "#4a7fa5", marginBottom: "12px" }}>
+        {session ? (
+          <>
+            Session file <span style={{ color: "#e0f0ff" }}>{session.name}</span> · {source.length} of {session.enforced.length} thoughts
+            {from != null || to != null ? " in the time range" : ""} · {frames.length} frames{" "}
+            <button onClick={() => setSession(null)} style={{ background: "none", border: "none", color: "#4a7fa5", cursor: "pointer", fontFamily: "inherit" }}>
+              ✕ use filtered history
+            </button>
+          </>
+        ) : (
+          `${source.length} filtered thoughts · ${frames.length} recorded frames`
+        )}
+      </div>
+      <div style={{ display: "flex", gap: "8px", flexWrap: "wrap", alignItems: "center" }}>
+        <button
+          disabled={source.length === 0}
+          onClick={() => downloadFile(toJsonl(source), `thoughts-${stamp()}.jsonl`, "application/x-ndjson")}
+          style={button("#00e5ff")}
+        >
+          ⬇ JSONL
+        </button>
+        <button
+          disabled={source.length === 0}
+          onClick={() => downloadFile(toCsv(source), `thoughts-${stamp()}.csv`, "text/csv")}
+          style={button("#00e5ff")}
+        >
+          ⬇ CSV
+        </button>
+        <span style={{ width: "1px", height: "20px", background: "#1e3a5f" }} />
+        <select
+          value={minLevel}
+          onChange={(e) => setMinLevel(e.target.value)}
+          aria-label="Report incidents from"
+          style={{ background: "#050d18", color: "#ddd", border: "1px solid #1e3a5f", borderRadius: "6px", fontFamily: "inherit", fontSize: "11px", padding: "5px 8px" }}
+        >
+          {RISK_LEVELS.map((level) => (
+            <option key={level} value={level}>
+              incidents: {level}+
+            </option>
+          ))}
+        </select>
+        <button
+          disabled={source.length === 0}
+          onClick={() => downloadFile(report(), `incident-report-${stamp()}.html`, "text/html")}
+          style={button("#ff9100")}
+        >
+          ⬇ Report (HTML)
+        </button>
+        <button disabled={source.length === 0} onClick={() => attempt(() => printReport(report()))} style={button("#ff9100")}>
+          🖨 Print / PDF
+        </button>
+        <label style={{ ...button("#7c4dff"), marginLeft: "auto" }}>
+          📂 From session file
+          <input type="file" accept="application/json,.json" onChange={loadFile} style={{ display: "none" }} />
+        </label>
+      </div>
+      {error && <div style={{ color: "#ff1744", fontSize: "12px", marginTop: "8px" }}>{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,24 @@
+import useFeedback from "./useFeedback";
+
+const STATUS = {
+  pending: { icon: "⟳", label: "pending", color: "#ff9100" },
+  synced: { icon: "✓", label: "synced", color: "#00e676" },
+  failed: { icon: "!", label: "retrying", color: "#ff1744" },
+};
+
+// Whether a thought's feedback has reached the backend yet
+export default function FeedbackStatus({ thoughtId, compact = false, style }) {
+  const entry = useFeedback()[thoughtId];
+  if (!entry) return null;
+  const s = STATUS[entry.status];
+
+  return (
+    <span
+      title={entry.error ? `Feedback ${s.label}: ${entry.error}` : `Feedback ${s.label}`}
+      style={{ color: s.color, fontSize: "10px", whiteSpace: "nowrap", ...style }}
+    >
+      {s.icon}
+      {!compact && ` ${s.label}`}
+    </span>
+  );
+}
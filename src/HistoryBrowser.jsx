@@ -0,0 +1,181 @@
+import { useMemo, useState } from "react";
+import { EMPTY_FILTERS, historyFacets, matchesFilters, thoughtHistory } from "./thoughtHistory";
+import useThoughtHistory from "./useThoughtHistory";
+import { RISK_COLORS, RISK_LEVELS } from "./riskLevels";
+import { UNCERTAINTY_GATES } from "./uncertainty";
+import ThoughtDetail from "./ThoughtDetail";
+import ExportPanel from "./ExportPanel";
+
+const UNCERTAINTY_ACTIONS = Object.keys(UNCERTAINTY_GATES);
+
+// Results rendered at once; narrow the filters to see older matches
+const PAGE_SIZE = 100;
+
+const headingStyle = {
+  fontSize: "11px",
+  color: "#2a5f8a",
+  textTransform: "uppercase",
+  letterSpacing: "1px",
+  marginBottom: "10px",
+};
+
+const inputStyle = {
+  background: "#050d18",
+  color: "#ddd",
+  border: "1px solid #1e3a5f",
+  borderRadius: "6px",
+  fontFamily: "inherit",
+  fontSize: "11px",
+  padding: "5px 8px",
+};
+
+const chip = (color, active) => ({
+  background: active ? `${color}22` : "none",
+  border: `1px solid ${active ? `${color}66` : "#1e3a5f"}`,
+  color: active ? color : "#4a7fa5",
+  padding: "3px 8px",
+  borderRadius: "10px",
+  cursor: "pointer",
+  fontSize: "10px",
+  fontFamily: "inherit",
+});
+
+// <input type="datetime-local"> value ↔ ms, in local time
+const toLocalInput = (ms) => (ms == null ? "" : new Date(ms - new Date(ms).getTimezoneOffset() * 60000).toISOString().slice(0, 16));
+const fromLocalInput = (value) => (value ? new Date(value).getTime() : null);
+
+function Chips({ label, values, selected, onToggle, colorFor = () => "#00e5ff" }) {
+  if (values.length === 0) return null;
+  return (
+    <div style={{ display: "flex", gap: "6px", flexWrap: "wrap", alignItems: "center", marginBottom: "8px" }}>
+      <span style={{ fontSize: "11px", color: "#4a7fa5", width: "70px" }}>{label}</span>
+      {values.map((value) => (
+        <button key={value} onClick={() => onToggle(value)} style={chip(colorFor(value), selected.includes(value))}>
+          {value}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Search and filter every thought stored in this browser
+export default function HistoryBrowser({ history = thoughtHistory }) {
+  const { ready, thoughts, error } = useThoughtHistory(history);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [selected, setSelected] = useState(null);
+
+  const facets = useMemo(() => historyFacets(thoughts), [thoughts]);
+  const matches = useMemo(() => thoughts.filter((t) => matchesFilters(t, filters)), [thoughts, filters]);
+
+  const set = (patch) => setFilters((prev) => ({ ...prev, ...patch }));
+  const toggle = (key) => (value) =>
+    setFilters((prev) => ({
+      ...prev,
+      [key]: prev[key].includes(value) ? prev[key].filter((v) => v !== value) : [...prev[key], value],
+    }));
+
+  return (
+    <div>
+      <div style={{ fontSize: "13px", color: "#4a7fa5", marginBottom: "20px", lineHeight: 1.6 }}>
+        Live thoughts are kept in this browser (IndexedDB) and survive a reload. Old thoughts are pruned by the
+        retention policy; replayed sessions and the simulator are not stored.
+        {error && <div style={{ color: "#ff9100", marginTop: "6px" }}>⚠ {error}</div>}
+      </div>
+
+      <div className="card" style={{ padding: "16px 20px", marginBottom: "16px" }}>
+        <div style={headingStyle}>Filters</div>
+        <div style={{ display: "flex", gap: "8px", flexWrap: "wrap", marginBottom: "12px" }}>
+          <input
+            value={filters.text}
+            onChange={(e) => set({ text: e.target.value })}
+            placeholder="Search summary, observations, inferences"
+            aria-label="Search"
+            style={{ ...inputStyle, flex: 1, minWidth: "240px" }}
+          />
+          <input
+            value={filters.chainId}
+            onChange={(e) => set({ chainId: e.target.value })}
+            placeholder="thought_chain_id"
+            aria-label="Chain id"
+            list="history-chains"
+            style={inputStyle}
+          />
+          <datalist id="history-chains">
+            {facets.chainIds.map((id) => (
+              <option key={id} value={id} />
+            ))}
+          </datalist>
+        </div>
+        <div style={{ display: "flex", gap: "8px", alignItems: "center", flexWrap: "wrap", marginBottom: "12px", fontSize: "11px", color: "#4a7fa5" }}>
+          <span style={{ width: "70px" }}>Time</span>
+          <input
+            type="datetime-local"
+            value={toLocalInput(filters.from)}
+            onChange={(e) => set({ from: fromLocalInput(e.target.value) })}
+            aria-label="From"
+            style={inputStyle}
+          />
+          to
+          <input
+            type="datetime-local"
+            value={toLocalInput(filters.to)}
+            onChange={(e) => set({ to: fromLocalInput(e.target.value) })}
+            aria-label="To"
+            style={inputStyle}
+          />
+        </div>
+        <Chips label="Risk" values={RISK_LEVELS} selected={filters.levels} onToggle={toggle("levels")} colorFor={(l) => RISK_COLORS[l]} />
+        <Chips label="Action" values={UNCERTAINTY_ACTIONS} selected={filters.actions} onToggle={toggle("actions")} />
+        <Chips label="Flags" values={facets.flags} selected={filters.flags} onToggle={toggle("flags")} colorFor={() => "#ff9100"} />
+        <Chips label="Objects" values={facets.labels} selected={filters.labels} onToggle={toggle("labels")} colorFor={() => "#7c4dff"} />
+        <div style={{ display: "flex", gap: "8px", marginTop: "12px", alignItems: "center", fontSize: "11px", color: "#4a7fa5" }}>
+          {ready ? `${matches.length} of ${thoughts.length} thoughts` : "Loading history…"}
+          <button onClick={() => setFilters(EMPTY_FILTERS)} style={{ ...chip("#00e5ff", false), marginLeft: "auto", borderRadius: "6px" }}>
+            reset filters
+          </button>
+          <button
+            onClick={() => window.confirm(`Delete all ${thoughts.length} stored thoughts? This cannot be undone.`) && history.clear()}
+            disabled={thoughts.length === 0}
+            style={{ ...chip("#ff1744", false), borderRadius: "6px" }}
+          >
+            clear history
+          </button>
+        </div>
+      </div>
+
+      <ExportPanel thoughts={matches} from={filters.from} to={filters.to} />
+
+      <div className="card" style={{ padding: "16px 20px" }}>
+        <div style={headingStyle}>Thoughts</div>
+        {ready && matches.length === 0 && <div style={{ fontSize: "12px", color: "#4a7fa5" }}>No thoughts match</div>}
+        {matches.slice(0, PAGE_SIZE).map((t) => (
+          <div
+            key={t.thought_id}
+            onClick={() => setSelected(t)}
+            style={{ cursor: "pointer", fontSize: "12px", padding: "8px 0", borderBottom: "1px solid rgba(255,255,255,0.04)" }}
+          >
+            <div style={{ display: "flex", gap: "12px", flexWrap: "wrap", fontSize: "11px" }}>
+              <span style={{ color: "#4a7fa5" }}>{new Date(t.timestamp).toLocaleString()}</span>
+              <span style={{ color: RISK_COLORS[t.pipeline.risk.level] }}>{t.pipeline.risk.level}</span>
+              <span style={{ color: "#00e5ff" }}>{t.pipeline.uncertainty.action}</span>
+              <span style={{ color: "#2a5f8a" }}>{t.meta?.thought_chain_id ?? "no chain"}</span>
+              {(t.pipeline.uncertainty.flags ?? []).map((f) => (
+                <span key={f} style={{ color: "#ff9100" }}>
+                  {f}
+                </span>
+              ))}
+            </div>
+            <div style={{ color: "#e0f0ff", marginTop: "3px" }}>{t.pipeline.interpretation.summary}</div>
+          </div>
+        ))}
+        {matches.length > PAGE_SIZE && (
+          <div style={{ fontSize: "11px", color: "#4a7fa5", marginTop: "10px" }}>
+            Showing the newest {PAGE_SIZE} of {matches.length}; narrow the filters to see the rest
+          </div>
+        )}
+      </div>
+
+      <ThoughtDetail thought={selected} onClose={() => setSelected(null)} />
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import { useSyncExternalStore } from "react";
+import { PIPELINE_STAGES } from "./pipelineStages";
+import { SYNC_BUDGET_MS, TOTAL_BUDGET_MS, latencyTracker } from "./latency";
+
+const ms = (v) => (v == null ? "—" : `${Math.round(v)}ms`);
+
+function Percentiles({ stats, color }) {
+  if (!stats.count) return <div style={{ fontSize: "11px", color: "#2a5f8a" }}>no data</div>;
+  return (
+    <div style={{ fontSize: "11px", color, lineHeight: 1.5 }}>
+      p50 {ms(stats.p50)}
+      <br />
+      p95 {ms(stats.p95)}
+      <br />
+      p99 {ms(stats.p99)}
+    </div>
+  );
+}
+
+// Measured latency per stage and end to end, against the documented budget
+export default function LatencyPanel() {
+  const { pipeline, endToEnd, clockSkew, stages } = useSyncExternalStore(
+    latencyTracker.subscribe,
+    latencyTracker.getSnapshot
+  );
+
+  return (
+    <div className="card" style={{ padding: "16px 20px", marginTop: "20px" }}>
+      <div style={{ fontSize: "11px", color: "#2a5f8a", textTransform: "uppercase", letterSpacing: "1px", marginBottom: "12px", display: "flex", justifyContent: "space-between" }}>
+        Latency · Measured vs Budget
+        <span style={{ textTransform: "none" }}>{pipeline.count} thoughts</span>
+      </div>
+      <div style={{ display: "flex", gap: "16px", flexWrap: "wrap" }}>
+        {PIPELINE_STAGES.map((s) => {
+          const stats = stages[s.id];
+          return (
+            <div key={s.id} style={{ textAlign: "center", minWidth: "90px" }}>
+              <div style={{ fontSize: "11px", color: "#4a7fa5" }}>{s.label}</div>
+              <div style={{ fontSize: "16px", fontWeight: 700, color: s.color }}>{s.latency}</div>
+              <Percentiles stats={stats} color={stats.over ? "#ff1744" : "#e0f0ff"} />
+              {stats.over && (
+                <span className="badge" style={{ background: "#ff174415", color: "#ff1744", border: "1px solid #ff174440" }}>
+                  OVER BUDGET
+                </span>
+              )}
+            </div>
+          );
+        })}
+        <div style={{ textAlign: "center", borderLeft: "1px solid rgba(255,255,255,0.08)", paddingLeft: "12px" }}>
+          <div style={{ fontSize: "11px", color: "#4a7fa5" }}>Pipeline total</div>
+          <div style={{ fontSize: "16px", fontWeight: 700, color: "#e0f0ff" }}>
+            ~{TOTAL_BUDGET_MS}ms <span style={{ color: "#00e676" }}>~{SYNC_BUDGET_MS}ms*</span>
+          </div>
+          <Percentiles stats={pipeline} color={pipeline.over ? "#ff1744" : "#e0f0ff"} />
+        </div>
+        <div style={{ textAlign: "center" }}>
+          <div style={{ fontSize: "11px", color: "#4a7fa5" }}>End to end</div>
+          <div style={{ fontSize: "16px", fontWeight: 700, color: "#e0f0ff" }}>timestamp → UI</div>
+          <Percentiles stats={endToEnd} color="#e0f0ff" />
+        </div>
+      </div>
+      <div style={{ fontSize: "11px", color: "#2a5f8a", marginTop: "8px" }}>
+        * Reflection runs async at ~1Hz decoupled from main loop. Perception + Risk run in parallel after interpretation.
+        Stage percentiles need meta.stage_latency_ms from the backend; a stage is over budget when its p95 is.
+        {clockSkew && <span style={{ color: "#ff9100" }}> Backend clock is ahead of this browser; end-to-end times are skewed.</span>}
+      </div>
+    </div>
+  );
+}
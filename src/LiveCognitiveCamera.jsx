@@ -1,44 +1,54 @@
 import { useEffect, useRef, useState } from "react";
 import Webcam from "react-webcam";
+import MalformedThoughtPanel from "./MalformedThoughtPanel";
+import ConnectionStatus from "./ConnectionStatus";
+import useThoughtStream from "./useThoughtStream";
+import useFrameUploader from "./useFrameUploader";
+import useFrameAnalyzer from "./useFrameAnalyzer";
+import useSceneCuts from "./useSceneCuts";
+import ReframeHint from "./ReframeHint";
+import DetectionOverlay from "./DetectionOverlay";
+import SessionControls from "./SessionControls";
+import useReplay from "./useReplay";
+import { speech, toneFor } from "./speech";
+import LocalPerceptionToggle from "./LocalPerceptionToggle";
+import { isLocalThought, localPerception } from "./localPerception";
 
 export default function LiveCognitiveCamera() {
   const webcamRef = useRef(null);
 
-  const [thought, setThought] = useState(null);
-  const [voiceEnabled, setVoiceEnabled] = useState(false);
+  const { thought, malformed, status, transport, error } = useThoughtStream();
   const [lastSpoken, setLastSpoken] = useState("");
+  const [cameraReady, setCameraReady] = useState(false);
+  const [sendFrames, setSendFrames] = useState(true);
 
-  // 🎤 Voice
-  const speak = (text) => {
-    if (!voiceEnabled) return;
-    const utter = new SpeechSynthesisUtterance(text);
-    utter.rate = 1;
-    utter.pitch = 1;
-    speechSynthesis.cancel();
-    speechSynthesis.speak(utter);
-  };
-
-  // 🔁 Fetch AI thoughts
+  // ⏯ While replaying, the recorded frame stands in for the camera
+  const { state: replayState } = useReplay();
+  const replayFrame = replayState?.frame ?? null;
+
+  // 📤 Frames out, matched back to thoughts by frame_ref
+  // 📷 Brightness, blur and motion checked on every frame sent
+  // ✂ Scene cuts start a new thought chain on the frames sent (R5)
+  const capturing = cameraReady && sendFrames && !replayState;
+  const quality = useFrameAnalyzer(capturing);
+  const scenes = useSceneCuts(capturing);
+  const uploads = useFrameUploader(webcamRef, capturing, {
+    enrichers: [quality.analyzer.enrich, scenes.detector.enrich],
+  });
+  const matchedFrame = uploads.frameFor(thought);
+
+  // 🧩 Local perception reads this view's webcam, so it stops with the view
+  useEffect(() => () => localPerception.stop(), []);
+
+  // 🔁 Narrate each new AI thought
   useEffect(() => {
-    const interval = setInterval(async () => {
-      try {
-        const res = await fetch("http://localhost:8000/thoughts");
-        const data = await res.json();
-        setThought(data);
-
-        const summary = data.pipeline.interpretation.summary;
-
-        if (summary && summary !== lastSpoken) {
-          speak(summary);
-          setLastSpoken(summary);
-        }
-      } catch {
-        console.log("Backend not reachable");
-      }
-    }, 3000);
-
-    return () => clearInterval(interval);
-  }, [voiceEnabled, lastSpoken]);
+    const summary = thought?.pipeline.interpretation.summary;
+
+    if (summary && summary !== lastSpoken) {
+      speech.say(summary, { tone: toneFor(thought) });
+      setLastSpoken(summary);
+    }
+  }, [thought, lastSpoken]);
 
   return (
     <div style={{ background: "#050810", minHeight: "100vh", color: "#fff" }}>
@@ -57,10 +67,31 @@ export default function LiveCognitiveCamera() {
           </small>
         </div>
 
+        <ConnectionStatus status={status} transport={transport} error={error} style={{ marginLeft: "auto", marginRight: "16px" }} />
+
+        <LocalPerceptionToggle webcamRef={webcamRef} status={status} style={{ marginRight: "8px" }} />
+
+        <button
+          onClick={() => setSendFrames(on => !on)}
+          title={uploads.lastError ?? (scenes.chainId ? `Chain ${scenes.chainId}` : undefined)}
+          style={{
+            background: sendFrames ? "#00e67622" : "transparent",
+            border: `1px solid ${sendFrames ? "#00e676" : "#444"}`,
+            color: sendFrames ? "#00e676" : "#aaa",
+            padding: "8px 12px",
+            marginRight: "8px",
+            cursor: "pointer"
+          }}
+        >
+          📤 Frames {sendFrames ? "ON" : "OFF"} · {uploads.sent} sent
+          {uploads.failed > 0 && ` · ${uploads.failed} failed`}
+          {scenes.cuts.length > 0 && ` · ✂ ${scenes.cuts.length} scene cut${scenes.cuts.length === 1 ? "" : "s"}`}
+        </button>
+
         <button
           onClick={() => {
-            setVoiceEnabled(true);
-            speak("Voice system activated");
+            speech.enable();
+            speech.say("Voice system activated", { tone: "curious" });
           }}
           style={{
             background: "#00e5ff22",
@@ -74,6 +105,8 @@ export default function LiveCognitiveCamera() {
         </button>
       </div>
 
+      <SessionControls style={{ padding: "10px 24px", borderBottom: "1px solid #222" }} />
+
       {/* Camera Section */}
       <div style={{
         display: "flex",
@@ -88,6 +121,8 @@ export default function LiveCognitiveCamera() {
             audio={false}
             mirrored
             screenshotFormat="image/jpeg"
+            onUserMedia={() => setCameraReady(true)}
+            onUserMediaError={() => setCameraReady(false)}
             style={{
               width: "640px",
               borderRadius: "12px",
@@ -95,6 +130,43 @@ export default function LiveCognitiveCamera() {
             }}
           />
 
+          {replayFrame && (
+            <img
+              src={replayFrame.image}
+              alt="Recorded frame"
+              style={{
+                position: "absolute",
+                inset: 0,
+                width: "100%",
+                height: "100%",
+                objectFit: "contain",
+                transform: "scaleX(-1)",
+                background: "#000",
+                borderRadius: "12px"
+              }}
+            />
+          )}
+
+          {thought && (
+            <DetectionOverlay
+              webcamRef={webcamRef}
+              objects={thought.pipeline.perception.objects}
+              hazards={thought.pipeline.risk.hazards}
+              frameSize={replayFrame ?? matchedFrame ?? undefined}
+              mirrored
+            />
+          )}
+
+          <MalformedThoughtPanel
+            malformed={malformed}
+            style={{ position: "absolute", top: "10px", left: "10px", right: "10px" }}
+          />
+
+          <ReframeHint
+            hint={quality.hint}
+            style={{ position: "absolute", top: malformed ? "90px" : "10px", left: "50%", transform: "translateX(-50%)" }}
+          />
+
           {/* AI Overlay */}
           {thought && (
             <div style={{
@@ -107,8 +179,8 @@ export default function LiveCognitiveCamera() {
               borderRadius: "8px",
               fontSize: "13px"
             }}>
-              <div style={{ color: "#00e5ff", marginBottom: "4px" }}>
-                LIVE AI THOUGHT
+              <div style={{ color: isLocalThought(thought) ? "#ff9100" : "#00e5ff", marginBottom: "4px" }}>
+                {isLocalThought(thought) ? "LOCAL PERCEPTION · objects only, no backend reasoning" : "LIVE AI THOUGHT"}
               </div>
 
               <div>
@@ -120,6 +192,17 @@ export default function LiveCognitiveCamera() {
                 {" | "}
                 🔺 Risk: {thought.pipeline.risk.level}
               </div>
+
+              <div style={{ marginTop: "4px", fontSize: "11px", color: "#888", display: "flex", alignItems: "center", gap: "8px" }}>
+                {matchedFrame ? (
+                  <>
+                    <img src={matchedFrame.image} alt="Analysed frame" style={{ height: "36px", borderRadius: "4px" }} />
+                    📎 Frame {matchedFrame.frame_ref.slice(0, 15)}… · captured {((thought.timestamp - matchedFrame.captured_at) / 1000).toFixed(1)}s before thought
+                  </>
+                ) : (
+                  <>📎 {thought.frame_ref ? "Frame not from this camera" : "No frame_ref on thought"}</>
+                )}
+              </div>
             </div>
           )}
         </div>
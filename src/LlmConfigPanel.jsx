@@ -0,0 +1,225 @@
+import { useState, useSyncExternalStore } from "react";
+import {
+  LLM_STAGES,
+  LLM_PROFILES,
+  KNOWN_MODELS,
+  TEMPERATURE_RANGE,
+  MAX_TOKENS_RANGE,
+  toConfigJson,
+  toConfigModule,
+  llmConfig,
+} from "./llmConfig";
+import { PIPELINE_STAGES } from "./pipelineStages";
+import { downloadFile } from "./thoughtExport";
+
+const headingStyle = {
+  fontSize: "11px",
+  color: "#2a5f8a",
+  textTransform: "uppercase",
+  letterSpacing: "1px",
+  marginBottom: "10px",
+};
+
+const inputStyle = (invalid) => ({
+  background: "#050d18",
+  color: "#ddd",
+  border: `1px solid ${invalid ? "#ff1744" : "#1e3a5f"}`,
+  borderRadius: "6px",
+  fontFamily: "inherit",
+  fontSize: "11px",
+  padding: "5px 8px",
+});
+
+const button = (color) => ({
+  background: `${color}22`,
+  border: `1px solid ${color}66`,
+  color,
+  padding: "5px 10px",
+  borderRadius: "6px",
+  cursor: "pointer",
+  fontSize: "11px",
+  fontFamily: "inherit",
+});
+
+const EXPORTS = {
+  json: { label: "JSON", render: toConfigJson, filename: "llm_config.json", type: "application/json" },
+  js: { label: "JS", render: toConfigModule, filename: "llm_config.js", type: "text/javascript" },
+};
+
+// Empty inputs stay empty rather than becoming 0, so validation flags them
+const toNumber = (value) => (value === "" ? null : Number(value));
+
+// Per-stage model settings for the LLM calls, with profiles and export to
+// the config the backend loads
+export default function LlmConfigPanel({ store = llmConfig }) {
+  const { config, profile, custom, profiles, errors } = useSyncExternalStore(store.subscribe, store.getSnapshot);
+  const [format, setFormat] = useState("json");
+  const [name, setName] = useState("");
+  const [importText, setImportText] = useState("");
+  const [message, setMessage] = useState(null);
+
+  const errorFor = (stage, field) => errors.find((e) => e.stage === stage && e.field === field);
+  const exported = EXPORTS[format].render(config);
+
+  const attempt = (fn, success) => {
+    try {
+      fn();
+      setMessage({ ok: true, text: success });
+    } catch (err) {
+      setMessage({ ok: false, text: err.message });
+    }
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    const text = await file.text();
+    attempt(() => store.importConfig(text), `Imported ${file.name}`);
+  };
+
+  return (
+    <div className="card" style={{ padding: "16px 20px", marginTop: "16px" }}>
+      <div style={{ ...headingStyle, display: "flex", justifyContent: "space-between" }}>
+        LLM Call Config
+        <span style={{ color: profile ? "#00e5ff" : "#ff9100", letterSpacing: 0, textTransform: "none" }}>
+          {profile ? `profile: ${profile}` : "unsaved changes"}
+        </span>
+      </div>
+
+      <div style={{ display: "flex", gap: "8px", flexWrap: "wrap", alignItems: "center", marginBottom: "14px" }}>
+        {Object.keys(profiles).map((p) => (
+          <button
+            key={p}
+            style={{ ...button(p === profile ? "#00e5ff" : "#4a7fa5"), fontWeight: p === profile ? 700 : 400 }}
+            onClick={() => attempt(() => store.applyProfile(p), `Loaded ${p}`)}
+          >
+            {LLM_PROFILES[p] ? "" : "★ "}
+            {p}
+          </button>
+        ))}
+        <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Profile name" style={inputStyle(false)} />
+        <button style={button("#00e676")} onClick={() => attempt(() => store.saveProfile(name), `Saved ${name.trim()}`)}>
+          Save profile
+        </button>
+        {custom[name.trim()] && (
+          <button style={button("#ff1744")} onClick={() => attempt(() => store.deleteProfile(name.trim()), `Deleted ${name.trim()}`)}>
+            Delete
+          </button>
+        )}
+      </div>
+
+      <datalist id="llm-models">
+        {KNOWN_MODELS.map((m) => (
+          <option key={m} value={m} />
+        ))}
+      </datalist>
+      <div style={{ display: "grid", gridTemplateColumns: "140px 1fr 90px 90px 80px", gap: "8px", alignItems: "center", fontSize: "11px" }}>
+        {["stage", "model", "temperature", "max_tokens", "JSON mode"].map((h) => (
+          <div key={h} style={{ color: "#2a5f8a" }}>
+            {h}
+          </div>
+        ))}
+        {LLM_STAGES.map((stage) => {
+          const c = config[stage] ?? {};
+          const color = PIPELINE_STAGES.find((s) => s.id === stage)?.color ?? "#aaa";
+          return [
+            <div key={`${stage}-label`} style={{ color }}>
+              {stage}
+            </div>,
+            <input
+              key={`${stage}-model`}
+              list="llm-models"
+              value={c.model ?? ""}
+              title={errorFor(stage, "model")?.message}
+              onChange={(e) => store.setStage(stage, { model: e.target.value })}
+              style={inputStyle(errorFor(stage, "model"))}
+            />,
+            <input
+              key={`${stage}-temperature`}
+              type="number"
+              step="0.05"
+              min={TEMPERATURE_RANGE[0]}
+              max={TEMPERATURE_RANGE[1]}
+              value={c.temperature ?? ""}
+              title={errorFor(stage, "temperature")?.message}
+              onChange={(e) => store.setStage(stage, { temperature: toNumber(e.target.value) })}
+              style={inputStyle(errorFor(stage, "temperature"))}
+            />,
+            <input
+              key={`${stage}-max_tokens`}
+              type="number"
+              step="64"
+              min={MAX_TOKENS_RANGE[0]}
+              max={MAX_TOKENS_RANGE[1]}
+              value={c.max_tokens ?? ""}
+              title={errorFor(stage, "max_tokens")?.message}
+              onChange={(e) => store.setStage(stage, { max_tokens: toNumber(e.target.value) })}
+              style={inputStyle(errorFor(stage, "max_tokens"))}
+            />,
+            <input
+              key={`${stage}-json_mode`}
+              type="checkbox"
+              checked={c.json_mode === true}
+              onChange={(e) => store.setStage(stage, { json_mode: e.target.checked })}
+            />,
+          ];
+        })}
+      </div>
+
+      {errors.length > 0 && (
+        <div style={{ marginTop: "10px", fontSize: "11px", color: "#ff1744" }}>
+          {errors.map((e) => (
+            <div key={`${e.stage}.${e.field}`}>✗ {e.message}</div>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "16px", marginTop: "16px" }}>
+        <div>
+          <div style={{ display: "flex", gap: "8px", alignItems: "center", marginBottom: "6px" }}>
+            <span style={{ ...headingStyle, marginBottom: 0, flex: 1 }}>Export</span>
+            {Object.entries(EXPORTS).map(([id, ex]) => (
+              <button key={id} style={button(id === format ? "#00e5ff" : "#4a7fa5")} onClick={() => setFormat(id)}>
+                {ex.label}
+              </button>
+            ))}
+            <button style={button("#00e676")} disabled={errors.length > 0} onClick={() => downloadFile(exported, EXPORTS[format].filename, EXPORTS[format].type)}>
+              ⬇ Download
+            </button>
+          </div>
+          <pre className="code-block" style={{ margin: 0, maxHeight: "260px", overflow: "auto" }}>
+            {exported}
+          </pre>
+        </div>
+        <div>
+          <div style={{ display: "flex", gap: "8px", alignItems: "center", marginBottom: "6px" }}>
+            <span style={{ ...headingStyle, marginBottom: 0, flex: 1 }}>Import</span>
+            <label style={{ ...button("#7c4dff"), display: "inline-block" }}>
+              📂 File
+              <input type="file" accept=".json,.js,application/json,text/javascript" onChange={importFile} style={{ display: "none" }} />
+            </label>
+            <button
+              style={button("#7c4dff")}
+              disabled={!importText.trim()}
+              onClick={() => attempt(() => store.importConfig(importText), "Imported config")}
+            >
+              Import
+            </button>
+          </div>
+          <textarea
+            value={importText}
+            onChange={(e) => setImportText(e.target.value)}
+            placeholder="Paste a JSON or JS config"
+            spellCheck={false}
+            style={{ ...inputStyle(false), width: "100%", height: "240px", boxSizing: "border-box" }}
+          />
+        </div>
+      </div>
+
+      {message && (
+        <div style={{ marginTop: "10px", fontSize: "11px", color: message.ok ? "#00e676" : "#ff1744" }}>{message.text}</div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+import { useSyncExternalStore } from "react";
+import { localPerception } from "./localPerception";
+
+// Switch the thought stream to in-browser detection on this view's webcam.
+// Suggested (orange) while the backend is offline. The view that owns the
+// webcam stops local perception when it unmounts, since the camera goes with
+// it; the toggle itself may come and go (the boot overlay).
+export default function LocalPerceptionToggle({ webcamRef, status, style }) {
+  const { active, loading, detector, error } = useSyncExternalStore(localPerception.subscribe, localPerception.getSnapshot);
+  const color = active ? "#00e676" : status === "offline" ? "#ff9100" : "#4a7fa5";
+
+  const toggle = () =>
+    active ? localPerception.stop() : localPerception.start(() => webcamRef.current?.video ?? null);
+
+  return (
+    <span style={{ display: "inline-flex", alignItems: "center", gap: "6px", fontSize: "11px", ...style }}>
+      <button
+        onClick={toggle}
+        title={
+          error ??
+          detector ??
+          (status === "offline" ? "Backend unreachable: detect objects in the browser" : "Detect objects in the browser")
+        }
+        style={{
+          background: active ? `${color}22` : "transparent",
+          border: `1px solid ${color}`,
+          color,
+          padding: "4px 8px",
+          borderRadius: "6px",
+          cursor: "pointer",
+          fontSize: "11px",
+          fontFamily: "inherit",
+        }}
+      >
+        🧩 Local perception {active ? (loading ? "· loading model…" : "ON") : "OFF"}
+      </button>
+      {error && <span style={{ color: "#ff1744" }}>{error}</span>}
+    </span>
+  );
+}
@@ -0,0 +1,36 @@
+// Shown when a payload fails CognitiveThought validation. The last valid
+// thought stays on screen underneath; this lists what was wrong.
+export default function MalformedThoughtPanel({ malformed, style }) {
+  if (!malformed) return null;
+
+  return (
+    <div
+      style={{
+        background: "rgba(40,0,8,0.85)",
+        border: "1px solid #ff174466",
+        borderRadius: "8px",
+        padding: "12px 16px",
+        color: "#ffb3c0",
+        fontFamily: "'JetBrains Mono', monospace",
+        fontSize: "12px",
+        ...style,
+      }}
+    >
+      <div style={{ color: "#ff1744", fontSize: "11px", letterSpacing: "1px", marginBottom: "8px" }}>
+        ⚠️ MALFORMED THOUGHT · {malformed.errors.length} schema error
+        {malformed.errors.length === 1 ? "" : "s"}
+      </div>
+      {malformed.errors.slice(0, 8).map((err, i) => (
+        <div key={i} style={{ marginBottom: "2px" }}>
+          <span style={{ color: "#ff8a9a" }}>{err.path}</span> {err.message}
+        </div>
+      ))}
+      {malformed.errors.length > 8 && (
+        <div style={{ opacity: 0.7 }}>…and {malformed.errors.length - 8} more</div>
+      )}
+      <div style={{ marginTop: "6px", fontSize: "10px", opacity: 0.6 }}>
+        Showing last valid thought
+      </div>
+    </div>
+  );
+}
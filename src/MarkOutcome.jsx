@@ -0,0 +1,12 @@
+import OutcomeControls from "./OutcomeControls";
+import FeedbackStatus from "./FeedbackStatus";
+
+// Thought-level outcome (also its calibration label) and sync status
+export default function MarkOutcome({ thought, style }) {
+  return (
+    <span style={{ display: "inline-flex", gap: "8px", alignItems: "center", ...style }}>
+      <OutcomeControls thought={thought} placeholder="What was really happening?" />
+      <FeedbackStatus thoughtId={thought.thought_id} />
+    </span>
+  );
+}
@@ -0,0 +1,96 @@
+import { useState, useSyncExternalStore } from "react";
+import { narrate, narrationTemplates } from "./narration";
+
+// Edit the narration phrase templates as JSON, with a live preview on the
+// current thought
+export default function NarrationEditor({ thought, onClose, style }) {
+  const templates = useSyncExternalStore(narrationTemplates.subscribe, narrationTemplates.get);
+  const [text, setText] = useState(() => JSON.stringify(templates, null, 2));
+  const [error, setError] = useState(null);
+
+  let preview = "—";
+  try {
+    if (thought) preview = narrate(thought, JSON.parse(text));
+  } catch {
+    // invalid drafts are reported on save
+  }
+
+  const save = () => {
+    try {
+      narrationTemplates.save(JSON.parse(text));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const reset = () => {
+    narrationTemplates.reset();
+    setText(JSON.stringify(narrationTemplates.get(), null, 2));
+    setError(null);
+  };
+
+  const button = (color) => ({
+    background: `${color}22`,
+    border: `1px solid ${color}66`,
+    color,
+    padding: "5px 10px",
+    borderRadius: "6px",
+    cursor: "pointer",
+    fontSize: "11px",
+    fontFamily: "inherit",
+  });
+
+  return (
+    <div
+      style={{
+        width: "420px",
+        padding: "14px",
+        borderRadius: "12px",
+        background: "rgba(0,0,0,0.8)",
+        border: "1px solid #1e3a5f",
+        backdropFilter: "blur(12px)",
+        fontFamily: "'JetBrains Mono', monospace",
+        fontSize: "11px",
+        color: "#aaa",
+        ...style,
+      }}
+    >
+      <div style={{ color: "#00e5ff", letterSpacing: "1px", marginBottom: "8px" }}>NARRATION TEMPLATES</div>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        spellCheck={false}
+        style={{
+          width: "100%",
+          height: "260px",
+          boxSizing: "border-box",
+          background: "#050d18",
+          color: "#ddd",
+          border: "1px solid #1e3a5f",
+          borderRadius: "6px",
+          fontFamily: "inherit",
+          fontSize: "11px",
+        }}
+      />
+      {thought && (
+        <div style={{ margin: "8px 0", color: "#ddd" }}>
+          <span style={{ color: "#666" }}>Preview · </span>
+          {preview}
+        </div>
+      )}
+      {error && <div style={{ color: "#ff1744", margin: "6px 0" }}>{error}</div>}
+      <div style={{ display: "flex", gap: "8px", justifyContent: "flex-end" }}>
+        <button style={button("#ff9100")} onClick={reset}>
+          Reset
+        </button>
+        <button style={button("#00e676")} onClick={save}>
+          Save
+        </button>
+        <button style={button("#aaa")} onClick={onClose}>
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
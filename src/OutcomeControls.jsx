@@ -0,0 +1,69 @@
+import { useState } from "react";
+import { feedback } from "./feedback";
+import useFeedback from "./useFeedback";
+
+const buttonStyle = (color, active) => ({
+  background: active ? `${color}33` : "none",
+  border: `1px solid ${active ? color : `${color}55`}`,
+  color,
+  padding: "1px 6px",
+  borderRadius: "4px",
+  cursor: "pointer",
+  fontSize: "10px",
+  fontFamily: "inherit",
+});
+
+// Confirm / reject / correct one part of a thought (see feedback.js);
+// clicking the active verdict clears it
+export default function OutcomeControls({ thought, target = "thought", index, placeholder = "What was it really?", style }) {
+  useFeedback();
+  const outcome = feedback.outcomeFor(thought.thought_id, target, index);
+  const [editing, setEditing] = useState(false);
+  const [text, setText] = useState("");
+
+  const set = (verdict, correction) => feedback.setOutcome(thought, { target, index, verdict, correction });
+  const toggle = (verdict) => set(outcome?.verdict === verdict ? null : verdict);
+
+  const submit = () => {
+    if (text.trim()) set("corrected", text.trim());
+    setEditing(false);
+  };
+
+  return (
+    <span style={{ display: "inline-flex", gap: "3px", alignItems: "center", ...style }}>
+      <button title="Confirm" style={buttonStyle("#00e676", outcome?.verdict === "confirmed")} onClick={() => toggle("confirmed")}>
+        ✓
+      </button>
+      <button title="Reject" style={buttonStyle("#ff1744", outcome?.verdict === "rejected")} onClick={() => toggle("rejected")}>
+        ✗
+      </button>
+      <button
+        title={outcome?.correction ? `Corrected: ${outcome.correction}` : "Correct"}
+        style={buttonStyle("#ff9100", outcome?.verdict === "corrected")}
+        onClick={() => {
+          if (outcome?.verdict === "corrected") return set(null);
+          setText("");
+          setEditing(true);
+        }}
+      >
+        ✎
+      </button>
+      {editing && (
+        <input
+          autoFocus
+          value={text}
+          placeholder={placeholder}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") submit();
+            if (e.key === "Escape") setEditing(false);
+          }}
+          style={{ width: "140px", background: "#050d18", color: "#ddd", border: "1px solid #ff910066", fontSize: "10px", fontFamily: "inherit" }}
+        />
+      )}
+      {!editing && outcome?.verdict === "corrected" && (
+        <span style={{ color: "#ff9100", fontSize: "10px" }}>→ {outcome.correction}</span>
+      )}
+    </span>
+  );
+}
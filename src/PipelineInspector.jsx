@@ -0,0 +1,256 @@
+import { useState } from "react";
+import { PIPELINE_STAGES } from "./pipelineStages";
+import { CONFIDENCE_WEIGHTS } from "./uncertainty";
+import { RISK_COLORS } from "./riskLevels";
+import { STAGE_BUDGETS_MS } from "./latency";
+import OutcomeControls from "./OutcomeControls";
+
+const pct = (v) => `${Math.round((v ?? 0) * 100)}%`;
+const label = (key) => key.replace(/_/g, " ");
+
+function Bar({ value, color, width = 120 }) {
+  return (
+    <span style={{ display: "inline-block", width, height: "6px", background: "#1e3a5f", borderRadius: "3px", verticalAlign: "middle" }}>
+      <span style={{ display: "block", width: `${Math.max(0, Math.min(1, value ?? 0)) * 100}%`, height: "100%", background: color, borderRadius: "3px" }} />
+    </span>
+  );
+}
+
+function List({ items, icon, color }) {
+  if (!items?.length) return <div style={{ color: "#555" }}>—</div>;
+  return items.map((item, i) => (
+    <div key={i} style={{ color }}>
+      {icon} {item}
+    </div>
+  ));
+}
+
+function HypothesisChart({ thought, color }) {
+  const hypotheses = thought.pipeline.interpretation.hypotheses;
+  if (!hypotheses?.length) return <div style={{ color: "#555" }}>No hypotheses</div>;
+  // Feedback refers to hypotheses by their index in the payload
+  const sorted = hypotheses.map((h, index) => ({ ...h, index })).sort((a, b) => b.probability - a.probability);
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: "6px" }}>
+      {sorted.map((h, i) => (
+        <div key={h.index} style={{ display: "grid", gridTemplateColumns: "1fr 140px 40px auto", gap: "8px", alignItems: "center" }}>
+          <span style={{ color: i === 0 ? "#fff" : "#aaa" }}>{h.description}</span>
+          <Bar value={h.probability} color={color} width={140} />
+          <span style={{ textAlign: "right" }}>{pct(h.probability)}</span>
+          <OutcomeControls thought={thought} target="hypothesis" index={h.index} placeholder="What was it instead?" />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Radar of the four weighted confidence dimensions
+function UncertaintyRadar({ uncertainty, color, size = 180 }) {
+  const dims = Object.keys(CONFIDENCE_WEIGHTS);
+  const c = size / 2;
+  const r = size / 2 - 30;
+  const point = (i, v) => {
+    const angle = (Math.PI * 2 * i) / dims.length - Math.PI / 2;
+    return [c + Math.cos(angle) * r * v, c + Math.sin(angle) * r * v];
+  };
+  const polygon = (values) => values.map((v, i) => point(i, v).join(",")).join(" ");
+
+  return (
+    <svg width={size} height={size} style={{ overflow: "visible" }}>
+      {[0.25, 0.5, 0.75, 1].map((ring) => (
+        <polygon key={ring} points={polygon(dims.map(() => ring))} fill="none" stroke="#1e3a5f" />
+      ))}
+      {dims.map((d, i) => {
+        const [x, y] = point(i, 1);
+        const [lx, ly] = point(i, 1.25);
+        return (
+          <g key={d}>
+            <line x1={c} y1={c} x2={x} y2={y} stroke="#1e3a5f" />
+            <text x={lx} y={ly} fill="#aaa" fontSize="9" textAnchor="middle" dominantBaseline="middle">
+              {label(d)} {uncertainty[d] != null ? pct(uncertainty[d]) : "—"}
+            </text>
+          </g>
+        );
+      })}
+      <polygon points={polygon(dims.map((d) => uncertainty[d] ?? 0))} fill={`${color}44`} stroke={color} strokeWidth="2" />
+    </svg>
+  );
+}
+
+function StageTiming({ ms, budget }) {
+  if (ms == null) return <span style={{ color: "#555", letterSpacing: 0 }}>budget {budget}ms</span>;
+  return (
+    <span style={{ color: ms > budget ? "#ff1744" : "#aaa", letterSpacing: 0 }}>
+      {Math.round(ms)}ms / {budget}ms
+    </span>
+  );
+}
+
+function StageBody({ id, thought, color }) {
+  const { perception, interpretation, uncertainty, risk, reflection } = thought.pipeline;
+
+  switch (id) {
+    case "perception":
+      return (
+        <>
+          <div style={{ marginBottom: "8px" }}>
+            {perception.scene_type ?? "unknown"} scene · frame quality {perception.frame_quality != null ? pct(perception.frame_quality) : "—"}
+          </div>
+          {perception.objects.map((o, i) => (
+            <div key={i} style={{ display: "grid", gridTemplateColumns: "100px 130px 50px 60px 1fr auto", gap: "8px", alignItems: "center" }}>
+              <span>{o.label}</span>
+              <Bar value={o.confidence} color={color} />
+              <span>{pct(o.confidence)}</span>
+              <span>{o.depth_m != null ? `${o.depth_m}m` : ""}</span>
+              <span style={{ color: "#555" }}>{o.bbox ? `[${o.bbox.join(", ")}]` : ""}</span>
+              <OutcomeControls thought={thought} target="label" index={i} placeholder="Correct label" />
+            </div>
+          ))}
+        </>
+      );
+
+    case "interpretation":
+      return (
+        <>
+          <div style={{ color: "#fff", marginBottom: "10px" }}>{interpretation.summary}</div>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "12px", marginBottom: "10px" }}>
+            <div>
+              <div style={{ fontSize: "10px", color: "#555", marginBottom: "4px" }}>OBSERVATIONS · seen</div>
+              <List items={interpretation.observations} icon="👁" color="#ddd" />
+            </div>
+            <div>
+              <div style={{ fontSize: "10px", color: "#555", marginBottom: "4px" }}>INFERENCES · reasoned</div>
+              <List items={interpretation.inferences} icon="💭" color={color} />
+            </div>
+          </div>
+          <HypothesisChart thought={thought} color={color} />
+          {interpretation.activity_labels?.length > 0 && (
+            <div style={{ marginTop: "8px" }}>🏷 {interpretation.activity_labels.join(", ")}</div>
+          )}
+        </>
+      );
+
+    case "uncertainty":
+      return (
+        <div style={{ display: "flex", gap: "24px", alignItems: "center" }}>
+          <UncertaintyRadar uncertainty={uncertainty} color={color} />
+          <div>
+            <div style={{ fontSize: "22px", color }}>{pct(uncertainty.overall)}</div>
+            <div style={{ marginBottom: "8px" }}>{uncertainty.action ?? "—"}</div>
+            <List items={uncertainty.flags} icon="⚑" color={color} />
+          </div>
+        </div>
+      );
+
+    case "risk":
+      return (
+        <>
+          <div style={{ display: "flex", gap: "10px", alignItems: "center", marginBottom: "8px" }}>
+            <span style={{ color: RISK_COLORS[risk.level] }}>{risk.level}</span>
+            <Bar value={risk.score} color={RISK_COLORS[risk.level]} />
+            <span>{risk.score ?? "—"}</span>
+            <span>→ {risk.recommended_action ?? "—"}</span>
+          </div>
+          {(risk.hazards ?? []).length === 0 && <div style={{ color: "#555" }}>No hazards</div>}
+          {(risk.hazards ?? []).map((h, i) => (
+            <div key={i} style={{ display: "grid", gridTemplateColumns: "1fr 130px 40px auto", gap: "8px", alignItems: "center" }}>
+              <span>
+                ⚠ {h.description} <span style={{ color: "#555" }}>({h.type})</span>
+              </span>
+              <Bar value={h.severity} color={color} />
+              <span>{pct(h.severity)}</span>
+              <OutcomeControls thought={thought} target="hazard" index={i} placeholder="What was the hazard?" />
+            </div>
+          ))}
+        </>
+      );
+
+    case "reflection":
+      if (!reflection) return <div style={{ color: "#555" }}>No reflection on this thought yet</div>;
+      return (
+        <>
+          <List items={reflection.corrections} icon="↺" color="#ddd" />
+          {reflection.bias_flags?.length > 0 && <div style={{ marginTop: "6px" }}>Bias: {reflection.bias_flags.join(", ")}</div>}
+          {reflection.calibration_delta != null && (
+            <div>
+              Calibration Δ {reflection.calibration_delta > 0 ? "+" : ""}
+              {reflection.calibration_delta}
+            </div>
+          )}
+          {reflection.learning_signal && <div>📘 {reflection.learning_signal}</div>}
+        </>
+      );
+
+    default:
+      return null;
+  }
+}
+
+// Every stage of one CognitiveThought in the PIPELINE_STAGES layout, plus
+// the raw payload
+export default function PipelineInspector({ thought, style }) {
+  const [tab, setTab] = useState("stages");
+  if (!thought) return null;
+
+  const tabStyle = (id) => ({
+    background: tab === id ? "#00e5ff22" : "none",
+    border: `1px solid ${tab === id ? "#00e5ff66" : "#1e3a5f"}`,
+    color: tab === id ? "#00e5ff" : "#aaa",
+    padding: "4px 10px",
+    borderRadius: "6px",
+    cursor: "pointer",
+    fontSize: "11px",
+    fontFamily: "inherit",
+  });
+
+  return (
+    <div style={{ fontFamily: "'JetBrains Mono', monospace", fontSize: "12px", color: "#ddd", ...style }}>
+      <div style={{ display: "flex", gap: "8px", marginBottom: "12px" }}>
+        <button style={tabStyle("stages")} onClick={() => setTab("stages")}>
+          Stages
+        </button>
+        <button style={tabStyle("raw")} onClick={() => setTab("raw")}>
+          Raw JSON
+        </button>
+      </div>
+
+      {tab === "stages" &&
+        PIPELINE_STAGES.map((stage) => (
+          <div
+            key={stage.id}
+            style={{
+              borderLeft: `3px solid ${stage.color}`,
+              background: `${stage.color}08`,
+              borderRadius: "6px",
+              padding: "10px 14px",
+              marginBottom: "10px",
+            }}
+          >
+            <div style={{ fontSize: "10px", letterSpacing: "2px", color: stage.color, marginBottom: "8px", display: "flex", justifyContent: "space-between" }}>
+              {stage.icon} {stage.label.toUpperCase()}
+              <StageTiming ms={thought.meta?.stage_latency_ms?.[stage.id]} budget={STAGE_BUDGETS_MS[stage.id]} />
+            </div>
+            <StageBody id={stage.id} thought={thought} color={stage.color} />
+          </div>
+        ))}
+
+      {tab === "raw" && (
+        <pre
+          style={{
+            margin: 0,
+            padding: "12px",
+            maxHeight: "60vh",
+            overflow: "auto",
+            background: "#050d18",
+            border: "1px solid #1e3a5f",
+            borderRadius: "6px",
+            fontSize: "11px",
+            color: "#aaa",
+          }}
+        >
+          {JSON.stringify(thought, null, 2)}
+        </pre>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,16 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import PipelineInspector from './PipelineInspector';
+import { createSimulator } from './thoughtSimulator';
+
+test('shows every stage and the raw payload', () => {
+  const thought = createSimulator({ scenario: 'street', seed: 3 }).next();
+  render(<PipelineInspector thought={thought} />);
+
+  ['PERCEPTION', 'INTERPRETATION', 'UNCERTAINTY', 'RISK ASSESSMENT', 'REFLECTION'].forEach((stage) =>
+    expect(screen.getByText(new RegExp(stage))).toBeInTheDocument()
+  );
+  expect(screen.getByText(thought.pipeline.interpretation.hypotheses[0].description)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Raw JSON'));
+  expect(screen.getByText(new RegExp(thought.thought_id))).toBeInTheDocument();
+});
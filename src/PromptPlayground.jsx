@@ -0,0 +1,244 @@
+import { useState, useSyncExternalStore } from "react";
+import {
+  PROMPT_TEMPLATES,
+  DEFAULT_PROMPTS,
+  templateSlots,
+  estimateTokens,
+  promptSlots,
+  renderPrompt,
+  diffLines,
+  promptVersions,
+} from "./promptTemplates";
+import useFeedback from "./useFeedback";
+
+const headingStyle = {
+  fontSize: "11px",
+  color: "#2a5f8a",
+  textTransform: "uppercase",
+  letterSpacing: "1px",
+  marginBottom: "6px",
+};
+
+const inputStyle = {
+  background: "#050d18",
+  color: "#ddd",
+  border: "1px solid #1e3a5f",
+  borderRadius: "6px",
+  fontFamily: "inherit",
+  fontSize: "11px",
+  padding: "5px 8px",
+};
+
+const button = (color, active = true) => ({
+  background: active ? `${color}22` : "none",
+  border: `1px solid ${active ? `${color}66` : "#1e3a5f"}`,
+  color: active ? color : "#4a7fa5",
+  padding: "5px 10px",
+  borderRadius: "6px",
+  cursor: "pointer",
+  fontSize: "11px",
+  fontFamily: "inherit",
+});
+
+const DIFF_COLORS = { same: "#4a7fa5", added: "#00e676", removed: "#ff1744" };
+const DIFF_MARKS = { same: " ", added: "+", removed: "-" };
+
+function Diff({ before, after }) {
+  if (before === after) return <div style={{ fontSize: "11px", color: "#4a7fa5" }}>Same as default</div>;
+  return (
+    <pre className="code-block" style={{ whiteSpace: "pre-wrap", margin: 0 }}>
+      {diffLines(before, after).map((d, i) => (
+        <div key={i} style={{ color: DIFF_COLORS[d.type], background: d.type === "same" ? "none" : `${DIFF_COLORS[d.type]}11` }}>
+          {DIFF_MARKS[d.type]} {d.line}
+        </div>
+      ))}
+    </pre>
+  );
+}
+
+function PromptPane({ title, template, slots }) {
+  const rendered = slots ? renderPrompt(template, slots) : template;
+  return (
+    <div style={{ marginBottom: "14px" }}>
+      <div style={{ ...headingStyle, display: "flex", justifyContent: "space-between" }}>
+        {title}
+        <span style={{ letterSpacing: 0, textTransform: "none" }}>≈ {estimateTokens(rendered)} tokens</span>
+      </div>
+      <pre className="code-block" style={{ whiteSpace: "pre-wrap", margin: 0, maxHeight: "260px", overflow: "auto" }}>
+        {rendered}
+      </pre>
+    </div>
+  );
+}
+
+const optionLabel = (t) => `${new Date(t.timestamp).toLocaleTimeString()} · ${t.pipeline.interpretation.summary}`;
+
+// Edit the prompt templates against a recorded thought: slots are filled
+// from real history, the rendered prompts are shown with token estimates and
+// edits can be saved as named versions and diffed against the defaults
+export default function PromptPlayground({ thoughts }) {
+  const versions = useSyncExternalStore(promptVersions.subscribe, promptVersions.getSnapshot);
+  const feedbackEntries = useFeedback();
+  const [stageId, setStageId] = useState(PROMPT_TEMPLATES[0].id);
+  // { thought, earlier } as picked, kept after it drops out of `thoughts`
+  const [picked, setPicked] = useState(null);
+  const [drafts, setDrafts] = useState(DEFAULT_PROMPTS);
+  const [name, setName] = useState("");
+  const [showDiff, setShowDiff] = useState(false);
+  const [error, setError] = useState(null);
+
+  const stage = PROMPT_TEMPLATES.find((pt) => pt.id === stageId);
+  const draft = drafts[stageId];
+
+  // Follow the newest thought until one is picked
+  const thought = picked ? picked.thought : thoughts[0];
+  const earlier = picked ? picked.earlier : thoughts.slice(1);
+  const pickedGone = picked && !thoughts.some((t) => t.thought_id === picked.thought.thought_id);
+  const slots = thought ? promptSlots(thought, earlier, feedbackEntries) : null;
+
+  // "" follows the newest thought again
+  const pick = (id) => {
+    const index = thoughts.findIndex((t) => t.thought_id === id);
+    setPicked(index === -1 ? null : { thought: thoughts[index], earlier: thoughts.slice(index + 1) });
+  };
+  const used = templateSlots(`${draft.system}\n${draft.user}`);
+  const total = estimateTokens(renderPrompt(draft.system, slots ?? {})) + estimateTokens(renderPrompt(draft.user, slots ?? {}));
+
+  const edited = (id) => drafts[id].system !== DEFAULT_PROMPTS[id].system || drafts[id].user !== DEFAULT_PROMPTS[id].user;
+  const edit = (field, value) => setDrafts((prev) => ({ ...prev, [stageId]: { ...prev[stageId], [field]: value } }));
+
+  // null loads the defaults
+  const load = (versionName) => {
+    const version = versionName == null ? null : promptVersions.get(versionName);
+    setDrafts(version ? version.templates : DEFAULT_PROMPTS);
+    setName(version ? version.name : "");
+    setError(null);
+  };
+
+  const save = () => {
+    try {
+      promptVersions.save(name, drafts);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="card" style={{ padding: "16px 20px", marginTop: "16px" }}>
+      <div style={{ ...headingStyle, marginBottom: "12px" }}>Prompt Playground</div>
+
+      <div style={{ display: "flex", gap: "8px", flexWrap: "wrap", alignItems: "center", marginBottom: "14px" }}>
+        {PROMPT_TEMPLATES.map((pt) => (
+          <button key={pt.id} style={button(pt.color, pt.id === stageId)} onClick={() => setStageId(pt.id)}>
+            {pt.icon} {pt.stage}
+            {edited(pt.id) ? " •" : ""}
+          </button>
+        ))}
+      </div>
+
+      <div style={{ display: "flex", gap: "8px", flexWrap: "wrap", alignItems: "center", marginBottom: "14px" }}>
+        <select
+          value={picked?.thought.thought_id ?? ""}
+          onChange={(e) => pick(e.target.value)}
+          style={{ ...inputStyle, flex: 1, minWidth: "240px" }}
+        >
+          <option value="">{thoughts.length === 0 ? "No recorded thoughts yet" : "Newest thought (follows the stream)"}</option>
+          {pickedGone && (
+            <option value={picked.thought.thought_id}>
+              {optionLabel(picked.thought)} (no longer in recent thoughts)
+            </option>
+          )}
+          {thoughts.map((t) => (
+            <option key={t.thought_id} value={t.thought_id}>
+              {optionLabel(t)}
+            </option>
+          ))}
+        </select>
+        <select value="" onChange={(e) => load(e.target.value.startsWith("v:") ? e.target.value.slice(2) : null)} style={inputStyle}>
+          <option value="" disabled>
+            Load version…
+          </option>
+          <option value="defaults">Defaults</option>
+          {versions.map((v) => (
+            <option key={v.name} value={`v:${v.name}`}>
+              {v.name} · {new Date(v.savedAt).toLocaleString()}
+            </option>
+          ))}
+        </select>
+        <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Version name" style={inputStyle} />
+        <button style={button("#00e676")} onClick={save}>
+          Save version
+        </button>
+        {promptVersions.get(name.trim()) && (
+          <button style={button("#ff1744")} onClick={() => promptVersions.remove(name.trim())}>
+            Delete
+          </button>
+        )}
+      </div>
+      {error && <div style={{ color: "#ff1744", fontSize: "11px", marginBottom: "10px" }}>{error}</div>}
+
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "16px" }}>
+        <div>
+          {["system", "user"].map((field) => (
+            <div key={field} style={{ marginBottom: "14px" }}>
+              <div style={{ ...headingStyle, display: "flex", justifyContent: "space-between" }}>
+                {field} template
+                <span style={{ letterSpacing: 0, textTransform: "none" }}>≈ {estimateTokens(draft[field])} tokens</span>
+              </div>
+              <textarea
+                value={draft[field]}
+                onChange={(e) => edit(field, e.target.value)}
+                spellCheck={false}
+                style={{ ...inputStyle, width: "100%", height: field === "system" ? "220px" : "140px", boxSizing: "border-box" }}
+              />
+            </div>
+          ))}
+          <div style={{ display: "flex", flexWrap: "wrap", gap: "6px", marginBottom: "10px" }}>
+            {used.map((slot) => {
+              const filled = slots?.[slot] != null;
+              const color = filled ? stage.color : "#ff9100";
+              return (
+                <span
+                  key={slot}
+                  className="badge"
+                  title={filled ? String(slots[slot]) : "No value for this slot"}
+                  style={{ background: `${color}15`, color, border: `1px solid ${color}30` }}
+                >
+                  {`{${slot}}`}
+                </span>
+              );
+            })}
+          </div>
+          <div style={{ display: "flex", gap: "8px" }}>
+            <button style={button("#00e5ff", showDiff)} onClick={() => setShowDiff(!showDiff)}>
+              Diff vs defaults
+            </button>
+            <button style={button("#ff9100")} onClick={() => setDrafts((prev) => ({ ...prev, [stageId]: DEFAULT_PROMPTS[stageId] }))}>
+              Reset stage
+            </button>
+          </div>
+        </div>
+
+        <div>
+          {showDiff ? (
+            <>
+              <div style={headingStyle}>System diff</div>
+              <Diff before={DEFAULT_PROMPTS[stageId].system} after={draft.system} />
+              <div style={{ ...headingStyle, marginTop: "14px" }}>User diff</div>
+              <Diff before={DEFAULT_PROMPTS[stageId].user} after={draft.user} />
+            </>
+          ) : (
+            <>
+              <PromptPane title="Rendered system prompt" template={draft.system} slots={slots} />
+              <PromptPane title="Rendered user prompt" template={draft.user} slots={slots} />
+              <div style={{ fontSize: "11px", color: "#4a7fa5" }}>
+                ≈ {total} input tokens{slots ? "" : " · slots unfilled until a thought arrives"}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
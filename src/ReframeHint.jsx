@@ -0,0 +1,29 @@
+// "REQUEST_REFRAME" banner over a camera view, with what to change
+export default function ReframeHint({ hint, style }) {
+  if (!hint) return null;
+  return (
+    <div
+      role="status"
+      style={{
+        padding: "8px 14px",
+        borderRadius: "10px",
+        background: "rgba(0,0,0,0.7)",
+        border: "1px solid #ff9100",
+        color: "#ff9100",
+        fontFamily: "'JetBrains Mono', monospace",
+        fontSize: "12px",
+        backdropFilter: "blur(8px)",
+        ...style,
+      }}
+    >
+      <div style={{ letterSpacing: "1px", marginBottom: "4px" }}>
+        ⟲ {hint.action} · frame quality {Math.round(hint.frame_quality * 100)}%
+      </div>
+      {hint.reasons.map((reason) => (
+        <div key={reason} style={{ color: "#ddd" }}>
+          {reason}
+        </div>
+      ))}
+    </div>
+  );
+}
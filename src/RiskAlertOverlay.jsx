@@ -0,0 +1,138 @@
+import { useEffect, useState, useSyncExternalStore } from "react";
+import { requestDesktopNotifications, riskAlerts } from "./riskAlerts";
+import { RISK_COLORS } from "./riskLevels";
+
+const ESCALATION_LABELS = ["ALERT", "ESCALATED", "ESCALATED · CRITICAL"];
+
+// Full-screen blocking alert for HALT / ALERT_HUMAN, until an operator
+// acknowledges it. Mounted once by App so it covers every view.
+export default function RiskAlertOverlay({ manager = riskAlerts }) {
+  const { active, log } = useSyncExternalStore(manager.subscribe, manager.getSnapshot);
+  const [operator, setOperator] = useState(() => log.find((a) => a.acknowledgedBy)?.acknowledgedBy ?? "");
+  const [note, setNote] = useState("");
+  const [error, setError] = useState(null);
+  const [clock, setClock] = useState(() => Date.now());
+
+  // Tick the elapsed time and flash the tab title while the alert is up.
+  // Keyed on the alert, not the snapshot: repeats and escalations replace
+  // `active`, and re-running mid-flash would capture the flashed title.
+  const alertId = active?.id;
+  const alertAction = active?.action;
+  useEffect(() => {
+    if (!alertId) return;
+    const title = document.title;
+    const timer = setInterval(() => {
+      setClock(Date.now());
+      document.title = document.title === title ? `⚠ ${alertAction}` : title;
+    }, 1000);
+    return () => {
+      clearInterval(timer);
+      document.title = title;
+    };
+  }, [alertId, alertAction]);
+
+  if (!active) return null;
+
+  const color = RISK_COLORS[active.level] ?? "#ff1744";
+  const elapsed = Math.max(0, Math.round((clock - active.raisedAt) / 1000));
+
+  const acknowledge = (e) => {
+    e.preventDefault();
+    try {
+      manager.acknowledge(operator, note);
+      // So the next escalation can reach the operator outside this tab
+      requestDesktopNotifications();
+      setNote("");
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div
+      role="alertdialog"
+      aria-modal="true"
+      aria-labelledby="risk-alert-title"
+      style={{
+        position: "fixed",
+        inset: 0,
+        zIndex: 20000,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        background: active.escalation > 0 ? "rgba(80,0,0,0.92)" : "rgba(20,0,0,0.88)",
+        animation: `riskAlertPulse ${active.escalation > 0 ? 0.6 : 1.2}s ease-in-out infinite`,
+        fontFamily: "'JetBrains Mono', monospace",
+        color: "#fff",
+      }}
+    >
+      <style>{`@keyframes riskAlertPulse { 0%, 100% { box-shadow: inset 0 0 0 0 ${color}; } 50% { box-shadow: inset 0 0 120px 20px ${color}; } }`}</style>
+      <form
+        onSubmit={acknowledge}
+        style={{
+          width: "min(560px, 90vw)",
+          padding: "28px",
+          borderRadius: "14px",
+          background: "#0a0a0a",
+          border: `2px solid ${color}`,
+        }}
+      >
+        <div style={{ fontSize: "12px", letterSpacing: "3px", color }}>
+          {ESCALATION_LABELS[Math.min(active.escalation, ESCALATION_LABELS.length - 1)]} · {elapsed}s unacknowledged
+        </div>
+        <div id="risk-alert-title" style={{ fontSize: "34px", fontWeight: 800, margin: "8px 0", color }}>
+          {active.action.replace("_", " ")}
+        </div>
+        <div style={{ fontSize: "13px", color: "#ddd", marginBottom: "14px" }}>
+          RISK · {active.level}
+          {active.score != null && ` · ${Math.round(active.score * 100)}%`}
+          {active.thought_ids.length > 1 && ` · ${active.thought_ids.length} alerting thoughts`}
+        </div>
+        <div style={{ fontSize: "13px", color: "#aaa", marginBottom: "10px" }}>{active.summary}</div>
+        {active.hazards.length === 0 && <div style={{ fontSize: "13px" }}>⚠ No hazards reported</div>}
+        {active.hazards.map((h, i) => (
+          <div key={i} style={{ fontSize: "13px", marginBottom: "4px" }}>
+            ⚠ {h.description}
+            {h.severity != null && <span style={{ color: "#aaa" }}> · severity {Math.round(h.severity * 100)}%</span>}
+          </div>
+        ))}
+
+        <div style={{ display: "flex", flexDirection: "column", gap: "8px", marginTop: "20px" }}>
+          <input
+            autoFocus
+            value={operator}
+            onChange={(e) => setOperator(e.target.value)}
+            placeholder="Your name"
+            aria-label="Operator name"
+            style={{ background: "#111", color: "#fff", border: "1px solid #444", borderRadius: "6px", padding: "10px", fontFamily: "inherit" }}
+          />
+          <input
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Note (optional): what did you do?"
+            aria-label="Note"
+            style={{ background: "#111", color: "#fff", border: "1px solid #444", borderRadius: "6px", padding: "10px", fontFamily: "inherit" }}
+          />
+          {error && <div style={{ color: "#ff1744", fontSize: "12px" }}>{error}</div>}
+          <button
+            type="submit"
+            style={{
+              background: color,
+              color: "#000",
+              border: "none",
+              borderRadius: "6px",
+              padding: "12px",
+              fontWeight: 800,
+              letterSpacing: "2px",
+              cursor: "pointer",
+              fontFamily: "inherit",
+            }}
+          >
+            ACKNOWLEDGE
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,149 @@
+import { useState, useSyncExternalStore } from "react";
+import { parseSession, sessionRecorder } from "./sessionRecorder";
+import { replay } from "./sessionPlayer";
+import { SCENARIOS, simulation } from "./thoughtSimulator";
+import useReplay from "./useReplay";
+
+const SPEEDS = [0.5, 1, 2, 4];
+
+const formatTime = (ms) => {
+  const s = Math.floor(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+};
+
+const buttonStyle = (color, active) => ({
+  background: active ? `${color}33` : `${color}11`,
+  border: `1px solid ${color}66`,
+  color,
+  padding: "5px 10px",
+  borderRadius: "6px",
+  cursor: "pointer",
+  fontSize: "11px",
+  fontFamily: "inherit",
+});
+
+// Record / save / load sessions, drive replay and switch the simulator on
+export default function SessionControls({ style }) {
+  const rec = useSyncExternalStore(sessionRecorder.subscribe, sessionRecorder.getSnapshot);
+  const scenario = useSyncExternalStore(simulation.subscribe, simulation.getScenario);
+  const { player, state } = useReplay();
+  const [includeFrames, setIncludeFrames] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+
+  const loadFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const session = parseSession(await file.text());
+      simulation.stop();
+      replay.load(session);
+      setLoadError(null);
+    } catch (err) {
+      setLoadError(err.message);
+    }
+  };
+
+  return (
+    <div
+      style={{
+        display: "flex",
+        alignItems: "center",
+        gap: "8px",
+        flexWrap: "wrap",
+        fontSize: "11px",
+        fontFamily: "'JetBrains Mono', monospace",
+        color: "#aaa",
+        ...style,
+      }}
+    >
+      {!player && (
+        <>
+          <button
+            style={buttonStyle("#ff1744", rec.recording)}
+            onClick={() => (rec.recording ? sessionRecorder.stop() : sessionRecorder.start({ includeFrames }))}
+          >
+            {rec.recording ? "■ Stop" : "● Rec"}
+          </button>
+          <label style={{ display: "flex", alignItems: "center", gap: "4px" }}>
+            <input
+              type="checkbox"
+              checked={includeFrames}
+              disabled={rec.recording}
+              onChange={(e) => setIncludeFrames(e.target.checked)}
+            />
+            frames
+          </label>
+          {rec.startedAt && (
+            <span>
+              {rec.thoughtCount} thoughts{rec.includeFrames && ` · ${rec.frameCount} frames`}
+            </span>
+          )}
+          <button
+            style={buttonStyle("#00e5ff")}
+            disabled={rec.recording || rec.thoughtCount === 0}
+            onClick={() => sessionRecorder.download()}
+          >
+            ⬇ Save
+          </button>
+          <label style={{ ...buttonStyle("#7c4dff"), display: "inline-block" }}>
+            📂 Replay
+            <input type="file" accept="application/json,.json" onChange={loadFile} style={{ display: "none" }} />
+          </label>
+          {loadError && <span style={{ color: "#ff1744" }}>{loadError}</span>}
+          <select
+            value={scenario ?? ""}
+            onChange={(e) => (e.target.value ? simulation.start(e.target.value) : simulation.stop())}
+            title="Simulate the backend offline"
+            style={{ background: "#0a1828", color: scenario ? "#ff9100" : "#aaa", border: "1px solid #1e3a5f", fontSize: "11px" }}
+          >
+            <option value="">🧪 Live backend</option>
+            <option value="tour">🧪 Simulate: all scenarios</option>
+            {Object.entries(SCENARIOS).map(([key, def]) => (
+              <option key={key} value={key}>
+                🧪 Simulate: {def.label}
+              </option>
+            ))}
+          </select>
+        </>
+      )}
+
+      {player && state && (
+        <>
+          <span style={{ color: "#7c4dff", letterSpacing: "1px" }}>REPLAY</span>
+          <button
+            style={buttonStyle("#00e676", state.playing)}
+            onClick={() => (state.playing ? player.pause() : player.play())}
+          >
+            {state.playing ? "⏸" : "▶"}
+          </button>
+          <input
+            type="range"
+            min={0}
+            max={state.duration}
+            value={state.position}
+            onChange={(e) => player.seek(Number(e.target.value))}
+            style={{ width: "160px" }}
+          />
+          <span>
+            {formatTime(state.position)} / {formatTime(state.duration)}
+          </span>
+          <select
+            value={state.speed}
+            onChange={(e) => player.setSpeed(Number(e.target.value))}
+            style={{ background: "#0a1828", color: "#aaa", border: "1px solid #1e3a5f", fontSize: "11px" }}
+          >
+            {SPEEDS.map((s) => (
+              <option key={s} value={s}>
+                {s}×
+              </option>
+            ))}
+          </select>
+          <button style={buttonStyle("#ff9100")} onClick={() => replay.eject()}>
+            ⏏ Live
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
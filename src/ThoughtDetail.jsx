@@ -0,0 +1,40 @@
+import PipelineInspector from "./PipelineInspector";
+import MarkOutcome from "./MarkOutcome";
+
+// Full pipeline output for one thought, shown over the current view
+export default function ThoughtDetail({ thought, onClose }) {
+  if (!thought) return null;
+  return (
+    <div
+      onClick={onClose}
+      style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.6)", zIndex: 10001, display: "flex", alignItems: "center", justifyContent: "center" }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          width: "640px",
+          maxHeight: "80vh",
+          overflowY: "auto",
+          padding: "20px",
+          borderRadius: "14px",
+          background: "#0a1828",
+          border: "1px solid #1e3a5f",
+          fontFamily: "Inter, sans-serif",
+          color: "#fff",
+        }}
+      >
+        <div style={{ display: "flex", justifyContent: "space-between", marginBottom: "14px", fontSize: "11px", color: "#aaa" }}>
+          <span>
+            {new Date(thought.timestamp).toLocaleTimeString()} · {thought.meta?.thought_chain_id ?? "no chain"} · {thought.thought_id.slice(0, 8)}
+          </span>
+          <MarkOutcome thought={thought} style={{ marginLeft: "auto", marginRight: "12px" }} />
+          <button onClick={onClose} style={{ background: "none", border: "none", color: "#aaa", cursor: "pointer" }}>
+            ✕
+          </button>
+        </div>
+
+        <PipelineInspector thought={thought} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+import { useMemo, useState } from "react";
+import { groupThoughtChains } from "./thoughtChains";
+import { RISK_COLORS } from "./riskLevels";
+import FeedbackStatus from "./FeedbackStatus";
+
+const seconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+const similar = (cut) => `${Math.round(cut.similarity * 100)}% similar`;
+const NO_CUTS = [];
+
+// Thoughts grouped into collapsible chains with scene-transition markers,
+// newest chain first. history is newest first, as the views keep it; cuts
+// are the camera's scene cuts, marked where they split (or should have
+// split) a chain.
+export default function ThoughtTimeline({ history, cuts = NO_CUTS, onSelect }) {
+  const chains = useMemo(() => groupThoughtChains([...history].reverse(), cuts).reverse(), [history, cuts]);
+  // Chains the user toggled; the newest is open unless toggled
+  const [toggled, setToggled] = useState({});
+
+  const toggle = (key) => setToggled((prev) => ({ ...prev, [key]: !prev[key] }));
+
+  return (
+    <div>
+      {chains.map((chain, i) => {
+        const key = `${chain.id}:${chain.start}`;
+        const open = (i === 0) !== Boolean(toggled[key]);
+        const riskColor = RISK_COLORS[chain.peakRisk];
+
+        return (
+          <div key={key} style={{ marginBottom: "10px" }}>
+            <div
+              onClick={() => toggle(key)}
+              style={{
+                cursor: "pointer",
+                padding: "6px 8px",
+                borderLeft: `3px solid ${riskColor}`,
+                background: "rgba(255,255,255,0.04)",
+                borderRadius: "4px",
+                fontSize: "11px",
+                color: "#ddd",
+              }}
+            >
+              <div style={{ display: "flex", justifyContent: "space-between" }}>
+                <span>
+                  {open ? "▾" : "▸"} {chain.id ?? "unchained"}
+                </span>
+                <span style={{ color: riskColor }}>{chain.peakRisk}</span>
+              </div>
+              <div style={{ color: "#888", marginTop: "2px" }}>
+                {chain.thoughts.length} · {seconds(chain.duration_ms)}
+                {chain.activities.length > 0 && ` · ${chain.activities.join(", ")}`}
+              </div>
+            </div>
+
+            {open &&
+              [...chain.thoughts].reverse().map((t) => {
+                const change = chain.sceneChanges.find((c) => c.thought_id === t.thought_id);
+                const cut = chain.sceneCuts.find((c) => c.thought_id === t.thought_id)?.cut;
+                return (
+                  <div key={t.thought_id}>
+                    {change && (
+                      <div style={{ fontSize: "10px", color: "#ff9100", margin: "4px 0 4px 10px" }}>
+                        ⚠ scene {change.from} → {change.to} inside chain
+                      </div>
+                    )}
+                    {cut && (
+                      <div style={{ fontSize: "10px", color: "#ff9100", margin: "4px 0 4px 10px" }}>
+                        ✂ camera cut inside chain ({similar(cut)})
+                      </div>
+                    )}
+                    <div
+                      onClick={() => onSelect(t)}
+                      style={{
+                        cursor: "pointer",
+                        fontSize: "12px",
+                        margin: "6px 0 6px 10px",
+                        color: "#ddd",
+                        opacity: t === history[0] ? 1 : 0.65,
+                      }}
+                    >
+                      <span style={{ color: RISK_COLORS[t.pipeline.risk.level] }}>●</span> {t.pipeline.interpretation.summary}{" "}
+                      <FeedbackStatus thoughtId={t.thought_id} compact />
+                    </div>
+                  </div>
+                );
+              })}
+
+            {(chain.transition || chain.cut) && (
+              <div
+                title={chain.cut ? `${chain.cut.from} → ${chain.cut.to}` : undefined}
+                style={{
+                  display: "flex",
+                  alignItems: "center",
+                  gap: "6px",
+                  fontSize: "10px",
+                  letterSpacing: "1px",
+                  color: chain.cut ? "#7c4dff" : "#00e5ff",
+                  marginTop: "8px",
+                }}
+              >
+                <span style={{ flex: 1, borderTop: `1px dashed ${chain.cut ? "#7c4dff55" : "#00e5ff55"}` }} />
+                {chain.cut && `✂ CUT · ${similar(chain.cut)}`}
+                {chain.cut && chain.transition && " · "}
+                {chain.transition && `SCENE ${chain.transition.from} → ${chain.transition.to}`}
+                <span style={{ flex: 1, borderTop: `1px dashed ${chain.cut ? "#7c4dff55" : "#00e5ff55"}` }} />
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+import { useEffect, useRef, useState } from "react";
+import useThoughtStream from "./useThoughtStream";
+import useSpeech from "./useSpeech";
+import { speech, toneFor } from "./speech";
+import { narrate, narrationTemplates } from "./narration";
+import {
+  createVoiceRecognizer,
+  describeConfidence,
+  describeHazards,
+  matchKey,
+  VIEWS,
+  VOICE_COMMANDS,
+} from "./voiceCommands";
+
+const isTyping = (target) => ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName) || target?.isContentEditable;
+
+// 🎙 Mic toggle, last heard command and reply. Falls back to keyboard
+// shortcuts, which also work alongside the mic.
+export default function VoiceCommandBar({ view, onSwitchView, style }) {
+  const { thought } = useThoughtStream();
+  const { enabled: voiceOn } = useSpeech();
+  const [listening, setListening] = useState(false);
+  const [heard, setHeard] = useState(null);
+  const [reply, setReply] = useState(null);
+  const [micError, setMicError] = useState(null);
+
+  // Recognition callbacks outlive renders; always run the latest handler
+  const runRef = useRef(null);
+  runRef.current = (command) => {
+    let text = null;
+    let tone = "curious";
+    switch (command.id) {
+      case "describe":
+        text = thought ? narrate(thought, narrationTemplates.get()) : "I haven't had a thought yet.";
+        tone = toneFor(thought);
+        break;
+      case "confidence":
+        text = describeConfidence(thought);
+        break;
+      case "hazards":
+        text = describeHazards(thought);
+        tone = toneFor(thought);
+        break;
+      case "repeat":
+        speech.repeat();
+        setReply("Repeating");
+        return;
+      case "mute":
+        speech.disable();
+        setReply("Voice muted");
+        return;
+      case "unmute":
+        speech.enable();
+        text = "Voice on";
+        break;
+      case "view":
+        onSwitchView(command.view);
+        text = `${VIEWS[command.view]} view`;
+        break;
+      default:
+        return;
+    }
+    setReply(text);
+    speech.say(text, { tone, priority: tone === "urgent" ? "urgent" : "normal" });
+  };
+
+  const recognizerRef = useRef(null);
+  if (recognizerRef.current === null) {
+    recognizerRef.current = createVoiceRecognizer({
+      onCommand: (command) => runRef.current(command),
+      onHeard: setHeard,
+      onError: (message) => {
+        setMicError(message);
+        setListening(false);
+      },
+    });
+  }
+  const recognizer = recognizerRef.current;
+
+  useEffect(() => () => recognizer.stop(), [recognizer]);
+
+  // ⌨ Keyboard fallback
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.ctrlKey || e.metaKey || e.altKey || isTyping(e.target)) return;
+      const command = matchKey(e.key);
+      if (!command) return;
+      setHeard(`[${e.key}]`);
+      runRef.current(command);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  const toggleMic = () => {
+    if (listening) {
+      recognizer.stop();
+      setListening(false);
+    } else {
+      setMicError(null);
+      recognizer.start();
+      setListening(true);
+    }
+  };
+
+  const hints = VOICE_COMMANDS.map((c) => `${c.keys.join("/")} ${c.phrase}`).join(" · ");
+
+  return (
+    <div
+      style={{
+        display: "flex",
+        alignItems: "center",
+        gap: "10px",
+        maxWidth: "640px",
+        padding: "6px 12px",
+        borderRadius: "10px",
+        background: "rgba(0,0,0,0.6)",
+        border: "1px solid #1e3a5f",
+        backdropFilter: "blur(10px)",
+        fontFamily: "'JetBrains Mono', monospace",
+        fontSize: "11px",
+        color: "#aaa",
+        ...style,
+      }}
+    >
+      {recognizer.supported ? (
+        <button
+          onClick={toggleMic}
+          title={listening ? "Stop listening" : "Listen for voice commands"}
+          style={{
+            background: listening ? "#ff174433" : "#00e5ff11",
+            border: `1px solid ${listening ? "#ff1744" : "#00e5ff66"}`,
+            color: listening ? "#ff1744" : "#00e5ff",
+            padding: "5px 10px",
+            borderRadius: "6px",
+            cursor: "pointer",
+            fontSize: "11px",
+            fontFamily: "inherit",
+          }}
+        >
+          {listening ? "● Listening" : "🎙 Voice commands"}
+        </button>
+      ) : (
+        <span title={hints} style={{ color: "#666" }}>
+          ⌨ {hints}
+        </span>
+      )}
+      <span style={{ color: voiceOn ? "#00e676" : "#666" }}>{voiceOn ? "🔊" : "🔇"}</span>
+      <span style={{ color: "#666" }}>{VIEWS[view]}</span>
+      {micError && <span style={{ color: "#ff1744" }}>{micError}</span>}
+      {heard && <span style={{ color: "#ddd" }}>“{heard}”</span>}
+      {reply && <span style={{ color: "#00e5ff", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>→ {reply}</span>}
+    </div>
+  );
+}
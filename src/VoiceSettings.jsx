@@ -0,0 +1,51 @@
+import { speech, VOICE_PROFILES } from "./speech";
+import useSpeech from "./useSpeech";
+
+const SAMPLES = {
+  calm: "Everything looks safe.",
+  curious: "I'm not sure what that is.",
+  urgent: "Warning. Stop moving.",
+};
+
+// Pick a voice per tone profile; choices are remembered
+export default function VoiceSettings({ style }) {
+  const { enabled, speaking, queued, dropped, voices } = useSpeech();
+  const available = speech.getVoices();
+
+  if (!speech.supported) {
+    return <div style={{ fontSize: "11px", color: "#666", ...style }}>Speech is not supported in this browser</div>;
+  }
+
+  return (
+    <div style={{ fontSize: "11px", color: "#aaa", fontFamily: "'JetBrains Mono', monospace", ...style }}>
+      <div style={{ color: "#00e5ff", letterSpacing: "1px", marginBottom: "8px" }}>VOICES</div>
+      {Object.keys(VOICE_PROFILES).map((tone) => (
+        <div key={tone} style={{ display: "flex", alignItems: "center", gap: "8px", marginBottom: "6px" }}>
+          <span style={{ width: "60px" }}>{tone}</span>
+          <select
+            value={voices[tone] ?? ""}
+            onChange={(e) => speech.setVoice(tone, e.target.value)}
+            style={{ flex: 1, background: "#0a1828", color: "#aaa", border: "1px solid #1e3a5f", fontSize: "11px" }}
+          >
+            <option value="">Default</option>
+            {available.map((v) => (
+              <option key={v.voiceURI} value={v.voiceURI}>
+                {v.name} ({v.lang})
+              </option>
+            ))}
+          </select>
+          <button
+            disabled={!enabled}
+            onClick={() => speech.say(SAMPLES[tone], { tone, priority: "normal" })}
+            style={{ background: "none", border: "1px solid #1e3a5f", color: "#aaa", cursor: "pointer", fontSize: "11px" }}
+          >
+            ▶
+          </button>
+        </div>
+      ))}
+      <div style={{ color: "#666" }}>
+        {speaking ? `Speaking (${speaking.tone})` : "Idle"} · {queued} queued · {dropped} dropped
+      </div>
+    </div>
+  );
+}
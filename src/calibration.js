@@ -0,0 +1,124 @@
+import { CALIBRATION_DEBT_LIMIT, nextCalibrationDebt } from "./ruleEngine";
+
+// Ground-truth labels for thoughts ("was this right?") and the calibration
+// measures built from them: reliability diagram, expected calibration error
+// (ECE) and R7's calibration debt over time.
+//
+// Label: { thought_id, confidence, correct, at, summary }
+//   confidence = uncertainty.overall of the thought as it was shown
+
+const STORAGE_KEY = "cognitive.calibration";
+const MAX_LABELS = 1000;
+
+export const RELIABILITY_BINS = 10;
+
+// Equal-width confidence bins: { lo, hi, count, confidence, accuracy }
+export function reliabilityBins(labels, bins = RELIABILITY_BINS) {
+  const result = Array.from({ length: bins }, (_, i) => ({
+    lo: i / bins,
+    hi: (i + 1) / bins,
+    count: 0,
+    confidence: null,
+    accuracy: null,
+  }));
+  const sums = result.map(() => ({ confidence: 0, correct: 0 }));
+
+  labels.forEach(({ confidence, correct }) => {
+    const i = Math.min(bins - 1, Math.floor(confidence * bins));
+    result[i].count += 1;
+    sums[i].confidence += confidence;
+    sums[i].correct += correct ? 1 : 0;
+  });
+
+  return result.map((bin, i) =>
+    bin.count ? { ...bin, confidence: sums[i].confidence / bin.count, accuracy: sums[i].correct / bin.count } : bin
+  );
+}
+
+// Σ (n_b / N) · |accuracy_b − confidence_b|
+export function expectedCalibrationError(labels, bins = RELIABILITY_BINS) {
+  if (labels.length === 0) return null;
+  return reliabilityBins(labels, bins).reduce(
+    (sum, bin) => (bin.count ? sum + (bin.count / labels.length) * Math.abs(bin.accuracy - bin.confidence) : sum),
+    0
+  );
+}
+
+// R7 debt after each label, in the order they were given
+export function debtTimeline(labels) {
+  let debt = 0;
+  return [...labels]
+    .sort((a, b) => a.at - b.at)
+    .map((label) => {
+      debt = nextCalibrationDebt(debt, label);
+      return { at: label.at, thought_id: label.thought_id, debt, multiplierActive: debt > CALIBRATION_DEBT_LIMIT };
+    });
+}
+
+function load(storage) {
+  try {
+    return JSON.parse(storage?.getItem(STORAGE_KEY)) ?? [];
+  } catch {
+    return [];
+  }
+}
+
+export function createCalibrationStore({
+  storage = typeof window !== "undefined" ? window.localStorage : undefined,
+  now = () => Date.now(),
+} = {}) {
+  const listeners = new Set();
+  let snapshot = build(load(storage));
+
+  function build(labels) {
+    const timeline = debtTimeline(labels);
+    const debt = timeline.length ? timeline[timeline.length - 1].debt : 0;
+    return {
+      labels,
+      byId: Object.fromEntries(labels.map((l) => [l.thought_id, l])),
+      timeline,
+      debt,
+      multiplierActive: debt > CALIBRATION_DEBT_LIMIT,
+      ece: expectedCalibrationError(labels),
+      accuracy: labels.length ? labels.filter((l) => l.correct).length / labels.length : null,
+    };
+  }
+
+  function setLabels(labels) {
+    const kept = labels.slice(-MAX_LABELS);
+    storage?.setItem(STORAGE_KEY, JSON.stringify(kept));
+    snapshot = build(kept);
+    listeners.forEach((listener) => listener());
+  }
+
+  return {
+    // Re-marking a thought replaces its label but keeps its place in time
+    mark(thought, correct) {
+      const existing = snapshot.byId[thought.thought_id];
+      const label = {
+        thought_id: thought.thought_id,
+        confidence: thought.pipeline.uncertainty.overall,
+        correct,
+        at: existing?.at ?? now(),
+        summary: thought.pipeline.interpretation.summary,
+      };
+      setLabels(
+        existing
+          ? snapshot.labels.map((l) => (l.thought_id === label.thought_id ? label : l))
+          : [...snapshot.labels, label]
+      );
+    },
+    unmark(thoughtId) {
+      setLabels(snapshot.labels.filter((l) => l.thought_id !== thoughtId));
+    },
+    clear: () => setLabels([]),
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => snapshot,
+  };
+}
+
+// Shared by all views
+export const calibration = createCalibrationStore();
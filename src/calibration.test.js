@@ -0,0 +1,39 @@
+import { createCalibrationStore, debtTimeline, expectedCalibrationError, reliabilityBins } from './calibration';
+
+const label = (confidence, correct, at = 0) => ({ thought_id: `t${at}`, confidence, correct, at });
+
+test('reliability bins and ECE', () => {
+  const labels = [label(0.95, true), label(0.92, false), label(0.35, false), label(0.31, true)];
+  const bins = reliabilityBins(labels);
+  expect(bins[9]).toMatchObject({ count: 2, accuracy: 0.5 });
+  expect(bins[9].confidence).toBeCloseTo(0.935);
+  expect(bins[3]).toMatchObject({ count: 2, accuracy: 0.5 });
+  expect(bins[0].count).toBe(0);
+  // half the labels are 0.435 off, half 0.17 off
+  expect(expectedCalibrationError(labels)).toBeCloseTo(0.3025);
+  expect(expectedCalibrationError([])).toBeNull();
+});
+
+test('debt timeline follows R7 and shows when the multiplier kicks in', () => {
+  const overconfidentWrong = Array.from({ length: 6 }, (_, i) => label(0.9, false, i));
+  const timeline = debtTimeline([...overconfidentWrong, label(0.8, true, 6)]);
+  expect(timeline.map((p) => p.multiplierActive)).toEqual([false, false, false, false, false, true, true]);
+  expect(timeline[5].debt).toBeCloseTo(0.6);
+  expect(timeline[6].debt).toBeCloseTo(0.55);
+});
+
+test('store keeps one label per thought and persists it', () => {
+  const saved = {};
+  const storage = { getItem: (k) => saved[k] ?? null, setItem: (k, v) => (saved[k] = v) };
+  let t = 0;
+  const store = createCalibrationStore({ storage, now: () => ++t });
+  const thought = { thought_id: 'a', pipeline: { uncertainty: { overall: 0.9 }, interpretation: { summary: 's' } } };
+
+  store.mark(thought, false);
+  store.mark(thought, true);
+  expect(store.getSnapshot().labels).toEqual([{ thought_id: 'a', confidence: 0.9, correct: true, at: 1, summary: 's' }]);
+  expect(createCalibrationStore({ storage }).getSnapshot().accuracy).toBe(1);
+
+  store.unmark('a');
+  expect(store.getSnapshot()).toMatchObject({ labels: [], debt: 0, ece: null });
+});
@@ -0,0 +1,60 @@
+// Backend location and timing shared by every view. Override the base URL
+// with REACT_APP_API_BASE_URL (e.g. http://localhost:8000 for a local backend).
+
+export const API_BASE_URL = (
+  process.env.REACT_APP_API_BASE_URL ||
+  "https://cognitive-ai-backend-k48m.onrender.com"
+).replace(/\/+$/, "");
+
+export const POLL_INTERVAL_MS = 3000;
+export const MAX_BACKOFF_MS = 30000;
+
+// No new thought for this long marks the stream stale
+export const STALE_AFTER_MS = 10000;
+
+// Consecutive failed requests before the stream reports offline
+export const OFFLINE_AFTER_FAILURES = 3;
+
+// "auto" tries WebSocket, then Server-Sent Events, then HTTP polling.
+// Set REACT_APP_THOUGHT_TRANSPORT to websocket, sse or poll to pin one.
+export const THOUGHT_TRANSPORT = process.env.REACT_APP_THOUGHT_TRANSPORT || "auto";
+
+// Failed connects before a push transport is given up for the next one
+export const PUSH_CONNECT_ATTEMPTS = 1;
+
+// While polling as a fallback, try push again this often
+export const PUSH_UPGRADE_MS = 60000;
+
+// Webcam frames sent to the backend for analysis
+export const FRAME_UPLOAD_FPS = Number(process.env.REACT_APP_FRAME_FPS) || 1;
+export const FRAME_WIDTH = Number(process.env.REACT_APP_FRAME_WIDTH) || 640;
+export const FRAME_HEIGHT = Number(process.env.REACT_APP_FRAME_HEIGHT) || 480;
+
+// Outcome feedback waits this long for further edits before it is sent
+export const FEEDBACK_SYNC_DELAY_MS = 1500;
+
+// Unacknowledged HALT / ALERT_HUMAN alerts escalate after this long, up to
+// ALERT_MAX_ESCALATION times
+export const ALERT_ESCALATE_AFTER_MS = Number(process.env.REACT_APP_ALERT_ESCALATE_MS) || 15000;
+export const ALERT_MAX_ESCALATION = 2;
+
+// In-browser fallback perception (COCO-SSD on TensorFlow.js). The WASM
+// binaries are copied into public/ from the installed backend before start
+// and build (scripts/copy-tfjs-wasm.js). The model is fetched from
+// coco-ssd's default host unless REACT_APP_LOCAL_MODEL_URL points at a
+// self-hosted lite_mobilenet_v2 model.json.
+export const LOCAL_PERCEPTION_MODEL_URL = process.env.REACT_APP_LOCAL_MODEL_URL || undefined;
+export const LOCAL_PERCEPTION_WASM_PATH =
+  process.env.REACT_APP_TFJS_WASM_PATH || `${process.env.PUBLIC_URL ?? ""}/tfjs-backend-wasm/`;
+export const LOCAL_PERCEPTION_FPS = Number(process.env.REACT_APP_LOCAL_PERCEPTION_FPS) || 2;
+
+// Client-side scene cuts (rule R5): a frame less similar than this to the
+// one before starts a new thought_chain_id, at most once per
+// SCENE_MIN_DURATION_MS
+export const SCENE_CUT_SIMILARITY = Number(process.env.REACT_APP_SCENE_CUT_SIMILARITY) || 0.4;
+export const SCENE_MIN_DURATION_MS = 2000;
+
+// Thought history kept in IndexedDB: anything older than this many days, or
+// beyond the newest HISTORY_MAX_THOUGHTS, is pruned
+export const HISTORY_RETENTION_DAYS = Number(process.env.REACT_APP_HISTORY_RETENTION_DAYS) || 7;
+export const HISTORY_MAX_THOUGHTS = Number(process.env.REACT_APP_HISTORY_MAX_THOUGHTS) || 5000;
@@ -0,0 +1,74 @@
+import { calibration } from "./calibration";
+import { createRuleEngine } from "./ruleEngine";
+import { thoughtStream } from "./thoughtStream";
+
+// The shared thought stream with the reflective rules R1–R7 applied once,
+// so every view, the risk alerts and the stored history see the same
+// enforced thought. R7 uses the calibration debt from the user's labels.
+//
+// Snapshot: the stream's snapshot with `thought` replaced by the enforced
+// copy, plus
+//   raw        the thought as the backend sent it
+//   ruleStats  pass / fail counts per rule (engine.getStats())
+//   ruleState  the engine's running state (engine.getState())
+//
+// Only this module evaluates rules; the raw stream is still used to record
+// sessions, so a replay is enforced again the same way.
+
+export function createEnforcedStream({ stream = thoughtStream, engine = createRuleEngine(), calibrationStore = calibration } = {}) {
+  const listeners = new Set();
+  let rawSnapshot = null;
+  let lastRaw = null;
+  let enforced = null;
+  let snapshot = null;
+  let unsubscribe = null;
+
+  // Derived lazily from the stream's snapshot; each raw thought is evaluated
+  // exactly once however often this is read
+  function sync() {
+    const current = stream.getSnapshot();
+    if (current === rawSnapshot) return snapshot;
+    rawSnapshot = current;
+
+    if (current.thought !== lastRaw) {
+      lastRaw = current.thought;
+      if (current.thought) {
+        engine.setCalibrationDebt(calibrationStore.getSnapshot().debt);
+        enforced = engine.evaluate(current.thought).thought;
+      } else {
+        enforced = null;
+      }
+    }
+    snapshot = {
+      ...current,
+      thought: enforced,
+      raw: current.thought,
+      ruleStats: engine.getStats(),
+      ruleState: engine.getState(),
+    };
+    return snapshot;
+  }
+
+  return {
+    subscribe(listener) {
+      listeners.add(listener);
+      if (!unsubscribe) {
+        unsubscribe = stream.subscribe(() => {
+          sync();
+          listeners.forEach((l) => l());
+        });
+      }
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) {
+          unsubscribe?.();
+          unsubscribe = null;
+        }
+      };
+    },
+    getSnapshot: sync,
+  };
+}
+
+// Shared by all views
+export const enforcedStream = createEnforcedStream();
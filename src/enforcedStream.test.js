@@ -0,0 +1,71 @@
+import { createEnforcedStream } from './enforcedStream';
+import { createRuleEngine } from './ruleEngine';
+import { makeThought } from './testThoughts';
+
+function fakeStream() {
+  const listeners = new Set();
+  let snapshot = { status: 'open', thought: null, transport: 'poll' };
+  return {
+    push(thought, transport = 'poll') {
+      snapshot = { ...snapshot, thought, transport };
+      listeners.forEach((l) => l());
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => snapshot,
+  };
+}
+
+const calibrationStore = (debt = 0) => ({ getSnapshot: () => ({ debt }) });
+
+test('applies the rules to each thought once and keeps the raw thought', () => {
+  const stream = fakeStream();
+  const engine = createRuleEngine();
+  const evaluate = jest.spyOn(engine, 'evaluate');
+  const enforced = createEnforcedStream({ stream, engine, calibrationStore: calibrationStore() });
+  const seen = [];
+  enforced.subscribe(() => seen.push(enforced.getSnapshot()));
+
+  const raw = makeThought('a', { risk: { score: 0.9, level: 'HIGH' } });
+  stream.push(raw);
+  enforced.getSnapshot();
+  enforced.getSnapshot();
+
+  const snapshot = enforced.getSnapshot();
+  expect(evaluate).toHaveBeenCalledTimes(1);
+  expect(seen).toHaveLength(1);
+  expect(snapshot.raw).toBe(raw);
+  expect(snapshot.transport).toBe('poll');
+  expect(snapshot.thought.pipeline.risk.recommended_action).toBe('HALT');
+  expect(snapshot.thought.meta.triggered_rules).toContain('R3');
+  expect(snapshot.ruleStats.R3.fail).toBe(1);
+});
+
+test('passes the calibration debt to R7 before evaluating', () => {
+  const stream = fakeStream();
+  const engine = createRuleEngine();
+  const setDebt = jest.spyOn(engine, 'setCalibrationDebt');
+  const enforced = createEnforcedStream({ stream, engine, calibrationStore: calibrationStore(0.4) });
+  enforced.subscribe(() => {});
+
+  stream.push(makeThought('a'));
+  expect(setDebt).toHaveBeenCalledWith(0.4);
+  expect(enforced.getSnapshot().ruleState.calibrationDebt).toBe(0.4);
+});
+
+test('stops listening to the stream when the last listener leaves', () => {
+  const stream = fakeStream();
+  const unsubscribe = jest.fn();
+  const subscribe = jest.spyOn(stream, 'subscribe').mockReturnValue(unsubscribe);
+  const enforced = createEnforcedStream({ stream, engine: createRuleEngine(), calibrationStore: calibrationStore() });
+
+  const a = enforced.subscribe(() => {});
+  const b = enforced.subscribe(() => {});
+  expect(subscribe).toHaveBeenCalledTimes(1);
+  a();
+  expect(unsubscribe).not.toHaveBeenCalled();
+  b();
+  expect(unsubscribe).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,184 @@
+import { API_BASE_URL, FEEDBACK_SYNC_DELAY_MS, MAX_BACKOFF_MS } from "./config";
+import { calibration } from "./calibration";
+
+// What actually happened, per thought: users confirm, reject or correct the
+// thought as a whole, each hypothesis, each detected label and each hazard.
+// Entries are kept in localStorage and POSTed to /feedback in the
+// {outcome_feedback_json} shape the Reflection prompt reads:
+//
+//   { thought_id, thought_chain_id, confidence, submitted_at,
+//     outcomes: [{ target, index?, subject, verdict, correction? }] }
+//
+//   target  = "thought" | "hypothesis" | "label" | "hazard"
+//   verdict = "confirmed" | "rejected" | "corrected"
+//
+// Entry status: "pending" until the backend accepts it, then "synced";
+// "failed" entries are retried with backoff.
+
+const STORAGE_KEY = "cognitive.feedback";
+const MAX_ENTRIES = 500;
+
+export const VERDICTS = ["confirmed", "rejected", "corrected"];
+
+// The thing a target points at, as text for the reflection prompt
+function subjectOf(thought, target, index) {
+  const { perception, interpretation, risk } = thought.pipeline;
+  switch (target) {
+    case "hypothesis":
+      return interpretation.hypotheses?.[index]?.description;
+    case "label":
+      return perception.objects[index]?.label;
+    case "hazard":
+      return risk.hazards?.[index]?.description;
+    default:
+      return interpretation.summary;
+  }
+}
+
+export function toOutcomeFeedback(entry) {
+  return {
+    thought_id: entry.thought_id,
+    thought_chain_id: entry.thought_chain_id,
+    confidence: entry.confidence,
+    submitted_at: entry.updatedAt,
+    outcomes: entry.outcomes,
+  };
+}
+
+function load(storage) {
+  try {
+    return JSON.parse(storage?.getItem(STORAGE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+}
+
+export function createFeedbackStore({
+  baseUrl = API_BASE_URL,
+  fetchImpl = (...args) => fetch(...args),
+  storage = typeof window !== "undefined" ? window.localStorage : undefined,
+  labels = calibration,
+  syncDelayMs = FEEDBACK_SYNC_DELAY_MS,
+  maxBackoffMs = MAX_BACKOFF_MS,
+  now = () => Date.now(),
+} = {}) {
+  const listeners = new Set();
+  let entries = load(storage);
+  let syncTimer = null;
+  let syncing = false;
+  let failures = 0;
+
+  function save(next) {
+    const kept = Object.values(next)
+      .sort((a, b) => a.updatedAt - b.updatedAt)
+      .slice(-MAX_ENTRIES);
+    entries = Object.fromEntries(kept.map((e) => [e.thought_id, e]));
+    storage?.setItem(STORAGE_KEY, JSON.stringify(entries));
+    listeners.forEach((listener) => listener());
+  }
+
+  function scheduleSync(delay) {
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(sync, delay);
+  }
+
+  async function sync() {
+    syncTimer = null;
+    if (syncing) return;
+    const due = Object.values(entries).filter((e) => e.status !== "synced");
+    if (due.length === 0) return;
+
+    syncing = true;
+    let failed = false;
+    for (const entry of due) {
+      try {
+        const res = await fetchImpl(`${baseUrl}/feedback`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(toOutcomeFeedback(entry)),
+        });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        // Edited while in flight: leave it pending for the next round
+        if (entries[entry.thought_id]?.updatedAt === entry.updatedAt) {
+          save({ ...entries, [entry.thought_id]: { ...entries[entry.thought_id], status: "synced", error: null } });
+        }
+      } catch (err) {
+        failed = true;
+        if (entries[entry.thought_id]) {
+          save({ ...entries, [entry.thought_id]: { ...entries[entry.thought_id], status: "failed", error: err.message } });
+        }
+      }
+    }
+    syncing = false;
+
+    failures = failed ? failures + 1 : 0;
+    if (failed) {
+      scheduleSync(Math.min(maxBackoffMs, syncDelayMs * 2 ** failures));
+    } else if (Object.values(entries).some((e) => e.status === "pending")) {
+      scheduleSync(syncDelayMs);
+    }
+  }
+
+  // Thought-level verdicts are also calibration labels
+  function label(thought, verdict) {
+    if (!labels) return;
+    if (verdict === null) labels.unmark(thought.thought_id);
+    else labels.mark(thought, verdict === "confirmed");
+  }
+
+  // verdict null removes the outcome for that target
+  function setOutcome(thought, { target = "thought", index, verdict, correction }) {
+    const existing = entries[thought.thought_id];
+    const same = (o) => o.target === target && (o.index ?? null) === (index ?? null);
+    const outcomes = (existing?.outcomes ?? []).filter((o) => !same(o));
+
+    if (verdict) {
+      outcomes.push({
+        target,
+        ...(index != null && { index }),
+        subject: subjectOf(thought, target, index),
+        verdict,
+        ...(verdict === "corrected" && { correction }),
+      });
+    }
+    if (target === "thought") label(thought, verdict ?? null);
+
+    const next = { ...entries };
+    if (outcomes.length === 0 && existing?.status !== "synced") {
+      delete next[thought.thought_id];
+    } else {
+      next[thought.thought_id] = {
+        thought_id: thought.thought_id,
+        thought_chain_id: thought.meta?.thought_chain_id ?? null,
+        confidence: thought.pipeline.uncertainty.overall,
+        outcomes,
+        status: "pending",
+        error: null,
+        updatedAt: now(),
+      };
+    }
+    save(next);
+    scheduleSync(syncDelayMs);
+  }
+
+  // Anything left unsent by a previous session goes out on start
+  if (Object.values(entries).some((e) => e.status !== "synced")) scheduleSync(syncDelayMs);
+
+  return {
+    setOutcome,
+    sync,
+    outcomeFor(thoughtId, target = "thought", index) {
+      return entries[thoughtId]?.outcomes.find(
+        (o) => o.target === target && (o.index ?? null) === (index ?? null)
+      ) ?? null;
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => entries,
+  };
+}
+
+// Shared by all views
+export const feedback = createFeedbackStore();
@@ -0,0 +1,77 @@
+import { createFeedbackStore } from './feedback';
+
+const thought = {
+  thought_id: 'abc',
+  pipeline: {
+    perception: { objects: [{ label: 'dog', confidence: 0.8 }] },
+    interpretation: { summary: 'A dog is sitting', hypotheses: [{ description: 'Dog waiting', probability: 0.7 }] },
+    uncertainty: { overall: 0.8 },
+    risk: { level: 'MEDIUM', hazards: [{ type: 'trip', description: 'Lead across the path', severity: 0.4 }] },
+  },
+  meta: { thought_chain_id: 'c-1' },
+};
+
+function setup(responses) {
+  const saved = {};
+  const storage = { getItem: (k) => saved[k] ?? null, setItem: (k, v) => (saved[k] = v) };
+  const fetchImpl = jest.fn(async () => responses.shift() ?? { ok: true });
+  const labels = { mark: jest.fn(), unmark: jest.fn() };
+  const store = createFeedbackStore({ baseUrl: 'http://api', fetchImpl, storage, labels, syncDelayMs: 100, now: () => 42 });
+  return { store, fetchImpl, labels, storage };
+}
+
+// Fire the sync timer, then let the awaited fetches settle
+async function advance(ms) {
+  jest.advanceTimersByTime(ms);
+  for (let i = 0; i < 10; i++) await Promise.resolve();
+}
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+test('collects outcomes per target and sends them in the reflection shape', async () => {
+  const { store, fetchImpl, labels } = setup([]);
+  store.setOutcome(thought, { verdict: 'confirmed' });
+  store.setOutcome(thought, { target: 'hypothesis', index: 0, verdict: 'rejected' });
+  store.setOutcome(thought, { target: 'label', index: 0, verdict: 'corrected', correction: 'cat' });
+  expect(labels.mark).toHaveBeenCalledWith(thought, true);
+  expect(store.getSnapshot().abc.status).toBe('pending');
+
+  await advance(100);
+  expect(fetchImpl).toHaveBeenCalledTimes(1);
+  const [url, init] = fetchImpl.mock.calls[0];
+  expect(url).toBe('http://api/feedback');
+  expect(JSON.parse(init.body)).toEqual({
+    thought_id: 'abc',
+    thought_chain_id: 'c-1',
+    confidence: 0.8,
+    submitted_at: 42,
+    outcomes: [
+      { target: 'thought', subject: 'A dog is sitting', verdict: 'confirmed' },
+      { target: 'hypothesis', index: 0, subject: 'Dog waiting', verdict: 'rejected' },
+      { target: 'label', index: 0, subject: 'dog', verdict: 'corrected', correction: 'cat' },
+    ],
+  });
+  expect(store.getSnapshot().abc.status).toBe('synced');
+});
+
+test('failed sends stay visible and are retried', async () => {
+  const { store, fetchImpl, storage } = setup([{ ok: false, status: 503 }]);
+  store.setOutcome(thought, { target: 'hazard', index: 0, verdict: 'rejected' });
+
+  await advance(100);
+  expect(store.getSnapshot().abc).toMatchObject({ status: 'failed', error: 'HTTP 503' });
+  expect(JSON.parse(storage.getItem('cognitive.feedback')).abc.status).toBe('failed');
+
+  await advance(200);
+  expect(fetchImpl).toHaveBeenCalledTimes(2);
+  expect(store.getSnapshot().abc.status).toBe('synced');
+});
+
+test('clearing the thought verdict removes its calibration label', () => {
+  const { store, labels } = setup([]);
+  store.setOutcome(thought, { verdict: 'rejected' });
+  store.setOutcome(thought, { verdict: null });
+  expect(labels.unmark).toHaveBeenCalledWith('abc');
+  expect(store.getSnapshot().abc).toBeUndefined();
+});
@@ -0,0 +1,171 @@
+// Frame quality measured on the client, on the same frames that are sent to
+// the backend:
+//
+//   brightness  mean luma (0–1) and a 16-bin histogram
+//   blur        variance of the Laplacian; low means few sharp edges
+//   motion      mean absolute luma change from the previous frame (0–1)
+//
+// These become the schema's LOW_LIGHT / MOTION_BLUR flags and a 0–1
+// frame_quality score. Poor frames get a REQUEST_REFRAME hint saying what
+// to change.
+//
+// Analysis: { brightness: { mean, histogram, dark, bright }, blur, motion,
+//             flags, frame_quality }
+
+export const HISTOGRAM_BINS = 16;
+
+export const QUALITY_THRESHOLDS = {
+  lowLightMean: 0.25, // mean luma below this is LOW_LIGHT…
+  darkFraction: 0.6, // …as is a frame mostly below 0.15
+  overexposedMean: 0.85,
+  blurVariance: 60, // Laplacian variance below this is MOTION_BLUR
+  motion: 0.08, // frame-to-frame change above this is camera movement
+  reframeBelow: 0.45, // frame_quality that asks for a reframe
+};
+
+// Every second pixel in each direction is plenty for these measures
+const SAMPLE_STEP = 2;
+
+const round = (v) => Math.round(v * 100) / 100;
+const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+// Subsampled greyscale: { width, height, values } with values 0–255
+export function toLuma({ data, width, height }, step = SAMPLE_STEP) {
+  const w = Math.floor(width / step);
+  const h = Math.floor(height / step);
+  const values = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = (y * step * width + x * step) * 4;
+      values[y * w + x] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+  }
+  return { width: w, height: h, values };
+}
+
+export function brightnessStats({ values }) {
+  const histogram = new Array(HISTOGRAM_BINS).fill(0);
+  let sum = 0;
+  let dark = 0;
+  let bright = 0;
+  values.forEach((v) => {
+    sum += v;
+    histogram[Math.min(HISTOGRAM_BINS - 1, Math.floor((v / 256) * HISTOGRAM_BINS))] += 1;
+    if (v < 0.15 * 255) dark += 1;
+    if (v > 0.9 * 255) bright += 1;
+  });
+  const n = values.length || 1;
+  return {
+    mean: round(sum / n / 255),
+    histogram: histogram.map((count) => count / n),
+    dark: round(dark / n),
+    bright: round(bright / n),
+  };
+}
+
+// Variance of the 4-neighbour Laplacian over the interior pixels
+export function laplacianVariance({ width, height, values }) {
+  let sum = 0;
+  let sumSq = 0;
+  let n = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const lap = values[i - width] + values[i + width] + values[i - 1] + values[i + 1] - 4 * values[i];
+      sum += lap;
+      sumSq += lap * lap;
+      n += 1;
+    }
+  }
+  if (n === 0) return 0;
+  const mean = sum / n;
+  return Math.round(sumSq / n - mean * mean);
+}
+
+// Mean absolute change between two luma frames of the same size, 0–1
+export function frameMotion(current, previous) {
+  if (!previous || previous.values.length !== current.values.length) return null;
+  let diff = 0;
+  for (let i = 0; i < current.values.length; i++) diff += Math.abs(current.values[i] - previous.values[i]);
+  return round(diff / current.values.length / 255);
+}
+
+// previousLuma: toLuma() of the frame before, for motion. Returns the
+// analysis plus `luma` to pass in next time.
+export function analyzeFrame(imageData, previousLuma = null, thresholds = QUALITY_THRESHOLDS) {
+  const luma = toLuma(imageData);
+  const brightness = brightnessStats(luma);
+  const blur = laplacianVariance(luma);
+  const motion = frameMotion(luma, previousLuma);
+
+  const flags = [];
+  if (brightness.mean < thresholds.lowLightMean || brightness.dark > thresholds.darkFraction) flags.push("LOW_LIGHT");
+  if (blur < thresholds.blurVariance) flags.push("MOTION_BLUR");
+
+  const exposure =
+    brightness.mean > thresholds.overexposedMean
+      ? 1 - (brightness.mean - thresholds.overexposedMean) / (1 - thresholds.overexposedMean)
+      : Math.min(1, brightness.mean / 0.4);
+  const sharpness = Math.min(1, blur / (thresholds.blurVariance * 2));
+  const stability = motion == null ? 1 : 1 - Math.min(1, motion / (thresholds.motion * 2));
+  const frame_quality = round(clamp01(exposure * 0.4 + sharpness * 0.4 + stability * 0.2));
+
+  return { brightness, blur, motion, flags, frame_quality, luma };
+}
+
+// What to tell the user when a frame is poor, or null when it is fine
+export function reframeHint(analysis, thresholds = QUALITY_THRESHOLDS) {
+  if (!analysis) return null;
+  const reasons = [];
+  if (analysis.flags.includes("LOW_LIGHT")) reasons.push("Too dark: turn on a light or face a window");
+  if (analysis.brightness.mean > thresholds.overexposedMean) reasons.push("Too bright: angle the camera away from the light");
+  if (analysis.flags.includes("MOTION_BLUR")) {
+    reasons.push(
+      analysis.motion != null && analysis.motion > thresholds.motion
+        ? "Blurry: hold the camera still"
+        : "Blurry: wipe the lens or step back so it can focus"
+    );
+  }
+  if (reasons.length === 0 && analysis.frame_quality >= thresholds.reframeBelow) return null;
+  if (reasons.length === 0) reasons.push("Poor frame: reframe the scene");
+  return { action: "REQUEST_REFRAME", frame_quality: analysis.frame_quality, reasons };
+}
+
+// Keeps the previous frame for motion and the latest analysis for the UI.
+// enrich() has the frame uploader's enricher shape and adds the results to
+// every outgoing frame.
+export function createFrameAnalyzer({ thresholds = QUALITY_THRESHOLDS } = {}) {
+  const listeners = new Set();
+  let previousLuma = null;
+  let snapshot = { analysis: null, hint: null };
+
+  function analyze(imageData) {
+    const { luma, ...analysis } = analyzeFrame(imageData, previousLuma, thresholds);
+    previousLuma = luma;
+    snapshot = { analysis, hint: reframeHint(analysis, thresholds) };
+    listeners.forEach((listener) => listener());
+    return analysis;
+  }
+
+  return {
+    analyze,
+    enrich(canvas) {
+      const analysis = analyze(canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height));
+      return {
+        frame_quality: analysis.frame_quality,
+        quality_flags: analysis.flags,
+        quality_metrics: { brightness: analysis.brightness.mean, blur: analysis.blur, motion: analysis.motion },
+      };
+    },
+    reset() {
+      previousLuma = null;
+      snapshot = { analysis: null, hint: null };
+      listeners.forEach((listener) => listener());
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => snapshot,
+  };
+}
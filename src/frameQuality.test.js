@@ -0,0 +1,119 @@
+import {
+  toLuma,
+  brightnessStats,
+  laplacianVariance,
+  frameMotion,
+  analyzeFrame,
+  reframeHint,
+  createFrameAnalyzer,
+  HISTOGRAM_BINS,
+} from './frameQuality';
+
+const SIZE = 32;
+
+// RGBA ImageData-like frame from a luma function of (x, y)
+function makeImage(luma, width = SIZE, height = SIZE) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      data.fill(luma(x, y), i, i + 3);
+      data[i + 3] = 255;
+    }
+  }
+  return { data, width, height };
+}
+
+// Sharp 4px checkerboard, mid brightness
+const sharp = (shift = 0) => makeImage((x, y) => ((Math.floor((x + shift) / 4) + Math.floor(y / 4)) % 2 ? 220 : 40));
+const flat = (value) => makeImage(() => value);
+
+describe('measures', () => {
+  it('subsamples to greyscale', () => {
+    const luma = toLuma(flat(100));
+    expect(luma.width).toBe(SIZE / 2);
+    expect(luma.values[0]).toBeCloseTo(100, 0);
+  });
+
+  it('builds a normalised brightness histogram', () => {
+    const stats = brightnessStats(toLuma(flat(10)));
+    expect(stats.histogram).toHaveLength(HISTOGRAM_BINS);
+    expect(stats.histogram[0]).toBe(1);
+    expect(stats.mean).toBe(0.04);
+    expect(stats.dark).toBe(1);
+  });
+
+  it('finds no edges in a flat frame and many in a checkerboard', () => {
+    expect(laplacianVariance(toLuma(flat(128)))).toBe(0);
+    expect(laplacianVariance(toLuma(sharp()))).toBeGreaterThan(1000);
+  });
+
+  it('measures motion against the previous frame only', () => {
+    expect(frameMotion(toLuma(flat(100)), null)).toBeNull();
+    expect(frameMotion(toLuma(flat(100)), toLuma(flat(100)))).toBe(0);
+    expect(frameMotion(toLuma(flat(100)), toLuma(flat(151)))).toBe(0.2);
+  });
+});
+
+describe('analyzeFrame', () => {
+  it('passes a bright, sharp, still frame', () => {
+    const first = analyzeFrame(sharp());
+    const { flags, frame_quality, motion } = analyzeFrame(sharp(), first.luma);
+    expect(flags).toEqual([]);
+    expect(motion).toBe(0);
+    expect(frame_quality).toBeGreaterThan(0.9);
+    expect(reframeHint(analyzeFrame(sharp()))).toBeNull();
+  });
+
+  it('flags dark frames as LOW_LIGHT and featureless ones as MOTION_BLUR', () => {
+    const dark = analyzeFrame(flat(20));
+    expect(dark.flags).toEqual(['LOW_LIGHT', 'MOTION_BLUR']);
+    expect(dark.frame_quality).toBeLessThan(0.45);
+
+    const hint = reframeHint(dark);
+    expect(hint.action).toBe('REQUEST_REFRAME');
+    expect(hint.reasons).toEqual([
+      'Too dark: turn on a light or face a window',
+      'Blurry: wipe the lens or step back so it can focus',
+    ]);
+  });
+
+  it('blames camera movement when blur comes with motion', () => {
+    const previous = analyzeFrame(sharp()).luma;
+    const hint = reframeHint(analyzeFrame(flat(130), previous));
+    expect(hint.reasons).toEqual(['Blurry: hold the camera still']);
+  });
+
+  it('asks to reframe overexposed frames', () => {
+    expect(reframeHint(analyzeFrame(flat(250))).reasons).toContain('Too bright: angle the camera away from the light');
+  });
+});
+
+describe('createFrameAnalyzer', () => {
+  it('enriches outgoing frames and remembers the previous one for motion', () => {
+    const analyzer = createFrameAnalyzer();
+    const frames = [sharp(), sharp(2)];
+    const canvas = (image) => ({
+      width: image.width,
+      height: image.height,
+      getContext: () => ({ getImageData: () => image }),
+    });
+
+    const first = analyzer.enrich(canvas(frames[0]));
+    expect(first).toEqual({
+      frame_quality: expect.any(Number),
+      quality_flags: [],
+      quality_metrics: { brightness: expect.any(Number), blur: expect.any(Number), motion: null },
+    });
+    expect(analyzer.enrich(canvas(frames[1])).quality_metrics.motion).toBeGreaterThan(0);
+
+    const listener = jest.fn();
+    analyzer.subscribe(listener);
+    analyzer.analyze(flat(10));
+    expect(listener).toHaveBeenCalled();
+    expect(analyzer.getSnapshot().hint.action).toBe('REQUEST_REFRAME');
+
+    analyzer.reset();
+    expect(analyzer.getSnapshot()).toEqual({ analysis: null, hint: null });
+  });
+});
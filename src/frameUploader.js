@@ -0,0 +1,160 @@
+import {
+  API_BASE_URL,
+  FRAME_HEIGHT,
+  FRAME_UPLOAD_FPS,
+  FRAME_WIDTH,
+} from "./config";
+
+// Captures webcam frames at a fixed rate and posts them to the backend's
+// /frames endpoint. Every frame carries a content hash as frame_ref so the
+// thought that comes back (which echoes frame_ref) can be matched to the
+// exact image it describes.
+//
+// Frames are taken straight from the <video> element, so they keep the
+// camera's orientation and aspect ratio even when the preview is mirrored.
+//
+// Snapshot: { running, sent, dropped, failed, lastFrameRef, lastError }
+
+const JPEG_QUALITY = 0.8;
+const KEEP_FRAMES = 30;
+
+function dataUrlToBytes(dataUrl) {
+  const binary = atob(dataUrl.slice(dataUrl.indexOf(",") + 1));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// FNV-1a, for insecure origins where crypto.subtle is unavailable
+function fnv1a(bytes) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    hash ^= bytes[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+// Draw the current video frame into `canvas`, scaled down to fit
+// maxWidth × maxHeight without changing the aspect ratio
+export function captureVideoFrame(video, maxWidth, maxHeight, canvas = document.createElement("canvas")) {
+  if (!video?.videoWidth) return null;
+  const scale = Math.min(maxWidth / video.videoWidth, maxHeight / video.videoHeight, 1);
+  canvas.width = Math.round(video.videoWidth * scale);
+  canvas.height = Math.round(video.videoHeight * scale);
+  canvas.getContext("2d").drawImage(video, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+export async function hashFrame(dataUrl) {
+  const bytes = dataUrlToBytes(dataUrl);
+  if (window.crypto?.subtle) {
+    return `sha256:${toHex(await crypto.subtle.digest("SHA-256", bytes))}`;
+  }
+  return `fnv1a:${fnv1a(bytes)}`;
+}
+
+// getVideo: () => HTMLVideoElement | null
+// enrichers: (canvas, frame) => extra fields merged into the upload body
+// onCapture: (frame) => void, called with every captured frame and its image
+export function createFrameUploader({
+  getVideo,
+  onCapture = () => {},
+  baseUrl = API_BASE_URL,
+  fps = FRAME_UPLOAD_FPS,
+  width = FRAME_WIDTH,
+  height = FRAME_HEIGHT,
+  enrichers = [],
+  fetchImpl = (...args) => fetch(...args),
+} = {}) {
+  const listeners = new Set();
+  const frames = new Map();
+
+  let snapshot = {
+    running: false,
+    sent: 0,
+    dropped: 0,
+    failed: 0,
+    lastFrameRef: null,
+    lastError: null,
+  };
+  let timer = null;
+  let inFlight = false;
+  let canvas = null;
+
+  function update(patch) {
+    snapshot = { ...snapshot, ...patch };
+    listeners.forEach((listener) => listener());
+  }
+
+  function remember(frame) {
+    frames.set(frame.frame_ref, frame);
+    if (frames.size > KEEP_FRAMES) frames.delete(frames.keys().next().value);
+  }
+
+  async function captureAndSend() {
+    // Never queue behind a slow upload; drop the frame instead
+    if (inFlight) {
+      update({ dropped: snapshot.dropped + 1 });
+      return;
+    }
+
+    canvas = captureVideoFrame(getVideo(), width, height, canvas ?? undefined);
+    if (!canvas) return;
+
+    inFlight = true;
+    try {
+      const image = canvas.toDataURL("image/jpeg", JPEG_QUALITY);
+      const frame = {
+        frame_ref: await hashFrame(image),
+        captured_at: Date.now(),
+        width: canvas.width,
+        height: canvas.height,
+      };
+      enrichers.forEach((enrich) => Object.assign(frame, enrich(canvas, frame)));
+      remember({ ...frame, image });
+      onCapture({ ...frame, image });
+
+      const res = await fetchImpl(`${baseUrl}/frames`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...frame, image }),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+      update({ sent: snapshot.sent + 1, lastFrameRef: frame.frame_ref, lastError: null });
+    } catch (err) {
+      update({ failed: snapshot.failed + 1, lastError: err.message });
+    } finally {
+      inFlight = false;
+    }
+  }
+
+  function tick() {
+    captureAndSend();
+    timer = setTimeout(tick, 1000 / fps);
+  }
+
+  return {
+    start() {
+      if (snapshot.running) return;
+      update({ running: true });
+      tick();
+    },
+    stop() {
+      clearTimeout(timer);
+      update({ running: false });
+    },
+    // The captured frame a thought describes, if it is still held
+    frameFor: (thought) => (thought?.frame_ref ? frames.get(thought.frame_ref) ?? null : null),
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => snapshot,
+  };
+}
@@ -0,0 +1,120 @@
+import { PIPELINE_STAGES } from "./pipelineStages";
+import { thoughtStream } from "./thoughtStream";
+
+// Measured latency, compared with the budgets documented in PIPELINE_STAGES.
+//
+//   pipeline    meta.total_latency_ms, as reported by the backend; it leaves
+//               out reflection, so it is held to SYNC_BUDGET_MS
+//   endToEnd    receipt time − thought.timestamp (includes network and queueing)
+//   stages      meta.stage_latency_ms[stage], when the backend sends it
+//
+// Each is summarised over a rolling window as { count, p50, p95, p99 }; a
+// stage is over budget when its p95 exceeds the budget.
+
+export const STAGE_BUDGETS_MS = Object.fromEntries(
+  PIPELINE_STAGES.map((s) => [s.id, parseInt(s.latency, 10)])
+);
+
+// Reflection runs async at ~1Hz, outside the main loop
+export const TOTAL_BUDGET_MS = Object.values(STAGE_BUDGETS_MS).reduce((sum, ms) => sum + ms, 0);
+export const SYNC_BUDGET_MS = TOTAL_BUDGET_MS - STAGE_BUDGETS_MS.reflection;
+
+export const LATENCY_WINDOW = 200;
+
+// Nearest-rank percentile
+export function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(0, rank - 1)];
+}
+
+export function summarize(values) {
+  return {
+    count: values.length,
+    p50: percentile(values, 50),
+    p95: percentile(values, 95),
+    p99: percentile(values, 99),
+  };
+}
+
+export function measureLatency(thought, receivedAt) {
+  return {
+    pipeline: thought.meta?.total_latency_ms ?? null,
+    endToEnd: receivedAt - thought.timestamp,
+    stages: thought.meta?.stage_latency_ms ?? {},
+  };
+}
+
+export function createLatencyTracker({ stream = thoughtStream, windowSize = LATENCY_WINDOW } = {}) {
+  const listeners = new Set();
+  let samples = { pipeline: [], endToEnd: [], stages: {} };
+  let snapshot = buildSnapshot();
+  let lastThought = null;
+  let unsubscribe = null;
+
+  const push = (list, value) => (value == null ? list : [...list, value].slice(-windowSize));
+
+  function buildSnapshot() {
+    const stages = Object.fromEntries(
+      PIPELINE_STAGES.map(({ id }) => {
+        const stats = summarize(samples.stages[id] ?? []);
+        const budget = STAGE_BUDGETS_MS[id];
+        return [id, { ...stats, budget, over: stats.p95 !== null && stats.p95 > budget }];
+      })
+    );
+    const pipeline = summarize(samples.pipeline);
+    return {
+      pipeline: { ...pipeline, over: pipeline.p95 !== null && pipeline.p95 > SYNC_BUDGET_MS },
+      endToEnd: summarize(samples.endToEnd),
+      // Negative end-to-end times mean the backend clock runs ahead of ours
+      clockSkew: samples.endToEnd.some((ms) => ms < 0),
+      stages,
+    };
+  }
+
+  function record(thought, receivedAt) {
+    const m = measureLatency(thought, receivedAt);
+    const stages = { ...samples.stages };
+    Object.entries(m.stages).forEach(([id, ms]) => {
+      stages[id] = push(stages[id] ?? [], ms);
+    });
+    samples = { pipeline: push(samples.pipeline, m.pipeline), endToEnd: push(samples.endToEnd, m.endToEnd), stages };
+    snapshot = buildSnapshot();
+    listeners.forEach((listener) => listener());
+  }
+
+  function onStream() {
+    const { thought, receivedAt, transport } = stream.getSnapshot();
+    if (!thought || thought === lastThought) return;
+    lastThought = thought;
+    // Replayed thoughts arrive long after their timestamps
+    if (transport === "replay") return;
+    record(thought, receivedAt);
+  }
+
+  return {
+    record,
+    reset() {
+      samples = { pipeline: [], endToEnd: [], stages: {} };
+      snapshot = buildSnapshot();
+      listeners.forEach((listener) => listener());
+    },
+    // Measures the stream only while someone is watching
+    subscribe(listener) {
+      listeners.add(listener);
+      if (!unsubscribe && stream) unsubscribe = stream.subscribe(onStream);
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) {
+          unsubscribe?.();
+          unsubscribe = null;
+        }
+      };
+    },
+    getSnapshot: () => snapshot,
+  };
+}
+
+// Shared by all views
+export const latencyTracker = createLatencyTracker();
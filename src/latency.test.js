@@ -0,0 +1,42 @@
+import { createLatencyTracker, percentile, STAGE_BUDGETS_MS, SYNC_BUDGET_MS, TOTAL_BUDGET_MS } from './latency';
+
+test('budgets come from PIPELINE_STAGES', () => {
+  expect(STAGE_BUDGETS_MS).toEqual({ perception: 50, interpretation: 200, uncertainty: 80, risk: 100, reflection: 300 });
+  expect(TOTAL_BUDGET_MS).toBe(730);
+  expect(SYNC_BUDGET_MS).toBe(430);
+});
+
+test('nearest-rank percentiles', () => {
+  const values = Array.from({ length: 100 }, (_, i) => i + 1);
+  expect(percentile(values, 50)).toBe(50);
+  expect(percentile(values, 95)).toBe(95);
+  expect(percentile(values, 99)).toBe(99);
+  expect(percentile([], 50)).toBeNull();
+});
+
+test('rolls up stage timings and flags stages over budget', () => {
+  const tracker = createLatencyTracker({ stream: null, windowSize: 10 });
+  for (let i = 0; i < 20; i++) {
+    tracker.record(
+      {
+        timestamp: 1000,
+        meta: { total_latency_ms: 400 + i, stage_latency_ms: { perception: 40, interpretation: 190 + i * 2 } },
+      },
+      1600 + i
+    );
+  }
+
+  const { pipeline, endToEnd, stages, clockSkew } = tracker.getSnapshot();
+  expect(pipeline).toMatchObject({ count: 10, p50: 414, p99: 419, over: false });
+  expect(endToEnd.p50).toBe(614);
+  expect(stages.perception).toMatchObject({ p95: 40, over: false });
+  expect(stages.interpretation).toMatchObject({ p50: 218, p95: 228, budget: 200, over: true });
+  expect(stages.reflection).toMatchObject({ count: 0, over: false });
+  expect(clockSkew).toBe(false);
+});
+
+test('holds the pipeline total to the budget without reflection', () => {
+  const tracker = createLatencyTracker({ stream: null });
+  tracker.record({ timestamp: 1000, meta: { total_latency_ms: SYNC_BUDGET_MS + 20 } }, 1500);
+  expect(tracker.getSnapshot().pipeline).toMatchObject({ p95: 450, over: true });
+});
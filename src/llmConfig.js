@@ -0,0 +1,196 @@
+// Model, temperature, max_tokens and JSON mode for each LLM call in the
+// pipeline, with built-in and user-saved profiles. Configs are exported in
+// the shape the backend loads, as JSON or as a JS module:
+//
+//   { [stage]: { model, temperature, max_tokens, json_mode } }
+//
+//   stage = "interpretation" | "uncertainty" | "risk" | "reflection"
+
+const STORAGE_KEY = "cognitive.llmConfig";
+
+export const LLM_STAGES = ["interpretation", "uncertainty", "risk", "reflection"];
+
+export const TEMPERATURE_RANGE = [0, 1];
+export const MAX_TOKENS_RANGE = [16, 8192];
+
+export const KNOWN_MODELS = ["claude-opus-4-20250514", "claude-sonnet-4-20250514", "claude-3-5-haiku-20241022"];
+
+// Structured output everywhere except reflection, which gets a higher
+// temperature to surface creative self-critique
+export const LLM_PROFILES = {
+  hackathon: {
+    interpretation: { model: "claude-sonnet-4-20250514", temperature: 0.3, max_tokens: 512, json_mode: true },
+    uncertainty: { model: "claude-sonnet-4-20250514", temperature: 0.1, max_tokens: 256, json_mode: true },
+    risk: { model: "claude-sonnet-4-20250514", temperature: 0.1, max_tokens: 256, json_mode: true },
+    reflection: { model: "claude-sonnet-4-20250514", temperature: 0.7, max_tokens: 512, json_mode: false },
+  },
+  "low-cost": {
+    interpretation: { model: "claude-3-5-haiku-20241022", temperature: 0.3, max_tokens: 384, json_mode: true },
+    uncertainty: { model: "claude-3-5-haiku-20241022", temperature: 0.1, max_tokens: 192, json_mode: true },
+    risk: { model: "claude-3-5-haiku-20241022", temperature: 0.1, max_tokens: 192, json_mode: true },
+    reflection: { model: "claude-3-5-haiku-20241022", temperature: 0.7, max_tokens: 384, json_mode: false },
+  },
+  "high-accuracy": {
+    interpretation: { model: "claude-opus-4-20250514", temperature: 0.2, max_tokens: 1024, json_mode: true },
+    uncertainty: { model: "claude-opus-4-20250514", temperature: 0, max_tokens: 384, json_mode: true },
+    risk: { model: "claude-opus-4-20250514", temperature: 0, max_tokens: 384, json_mode: true },
+    reflection: { model: "claude-opus-4-20250514", temperature: 0.6, max_tokens: 1024, json_mode: false },
+  },
+};
+
+export const DEFAULT_PROFILE = "hackathon";
+
+// [{ stage, field, message }] — empty when the config is usable
+export function validateLlmConfig(config) {
+  const errors = [];
+  LLM_STAGES.forEach((stage) => {
+    const c = config?.[stage];
+    const error = (field, message) => errors.push({ stage, field, message: `${stage}.${field} ${message}` });
+    if (!c || typeof c !== "object") {
+      error("model", "is missing");
+      return;
+    }
+    if (typeof c.model !== "string" || !c.model.trim()) error("model", "must be a model name");
+
+    const [tMin, tMax] = TEMPERATURE_RANGE;
+    if (typeof c.temperature !== "number" || !(c.temperature >= tMin && c.temperature <= tMax)) {
+      error("temperature", `must be between ${tMin} and ${tMax}`);
+    }
+
+    const [kMin, kMax] = MAX_TOKENS_RANGE;
+    if (!Number.isInteger(c.max_tokens) || c.max_tokens < kMin || c.max_tokens > kMax) {
+      error("max_tokens", `must be a whole number from ${kMin} to ${kMax}`);
+    }
+
+    if (typeof c.json_mode !== "boolean") error("json_mode", "must be true or false");
+  });
+  return errors;
+}
+
+// Only the known stages and fields, in a fixed order
+function normalize(config) {
+  return Object.fromEntries(
+    LLM_STAGES.map((stage) => {
+      const { model, temperature, max_tokens, json_mode } = config?.[stage] ?? {};
+      return [stage, { model, temperature, max_tokens, json_mode }];
+    })
+  );
+}
+
+export function toConfigJson(config) {
+  return JSON.stringify(normalize(config), null, 2);
+}
+
+export function toConfigModule(config) {
+  return `export const LLM_CONFIG = ${toConfigJson(config)};\n`;
+}
+
+// Strings (single- or double-quoted) and comments, matched in one pass so a
+// "//" inside a string such as a URL is not taken for a comment
+const LITERAL_TOKENS = /"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|\/\*[\s\S]*?\*\/|\/\/[^\n]*/g;
+
+// Object literal → JSON: strings are set aside while comments, bare keys and
+// trailing commas are rewritten, then put back double-quoted
+function objectLiteralToJson(body) {
+  const strings = [];
+  return body
+    .replace(LITERAL_TOKENS, (token) => {
+      if (token[0] === "/") return "";
+      strings.push(token[0] === "'" ? `"${token.slice(1, -1).replace(/\\'/g, "'").replace(/"/g, '\\"')}"` : token);
+      return `"${strings.length - 1}"`;
+    })
+    .replace(/([{,]\s*)([A-Za-z_$][\w$]*)\s*:/g, '$1"$2":')
+    .replace(/,\s*([}\]])/g, "$1")
+    .replace(/"(\d+)"/g, (_, i) => strings[i]);
+}
+
+// Accepts the JSON export, the JS module export or a hand-written object
+// literal (bare keys, comments, trailing commas). Throws on invalid configs.
+export function parseLlmConfig(text) {
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end < start) throw new Error("No config object found");
+  const body = text.slice(start, end + 1);
+
+  let parsed;
+  try {
+    parsed = JSON.parse(body);
+  } catch {
+    try {
+      parsed = JSON.parse(objectLiteralToJson(body));
+    } catch (err) {
+      throw new Error(`Could not read config: ${err.message}`);
+    }
+  }
+
+  const config = normalize(parsed);
+  const errors = validateLlmConfig(config);
+  if (errors.length) throw new Error(errors.map((e) => e.message).join("; "));
+  return config;
+}
+
+function load(storage) {
+  try {
+    return JSON.parse(storage?.getItem(STORAGE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+}
+
+export function createLlmConfigStore({
+  storage = typeof window !== "undefined" ? window.localStorage : undefined,
+} = {}) {
+  const listeners = new Set();
+  const saved = load(storage);
+  let snapshot = build({
+    config: saved.config ?? LLM_PROFILES[DEFAULT_PROFILE],
+    profile: saved.profile ?? DEFAULT_PROFILE,
+    custom: saved.custom ?? {},
+  });
+
+  function build({ config, profile, custom }) {
+    return { config, profile, custom, profiles: { ...LLM_PROFILES, ...custom }, errors: validateLlmConfig(config) };
+  }
+
+  function set(next) {
+    snapshot = build({ ...snapshot, ...next });
+    const { config, profile, custom } = snapshot;
+    storage?.setItem(STORAGE_KEY, JSON.stringify({ config, profile, custom }));
+    listeners.forEach((listener) => listener());
+  }
+
+  return {
+    // Edits may be invalid while typing; snapshot.errors says what is wrong.
+    // Any edit detaches the config from its profile.
+    setStage(stage, patch) {
+      set({ config: { ...snapshot.config, [stage]: { ...snapshot.config[stage], ...patch } }, profile: null });
+    },
+    applyProfile(name) {
+      const profile = snapshot.profiles[name];
+      if (!profile) throw new Error(`Unknown profile ${name}`);
+      set({ config: profile, profile: name });
+    },
+    saveProfile(name) {
+      const trimmed = name.trim();
+      if (!trimmed) throw new Error("A profile needs a name");
+      if (LLM_PROFILES[trimmed]) throw new Error(`${trimmed} is a built-in profile`);
+      if (snapshot.errors.length) throw new Error("Fix the config before saving it");
+      set({ custom: { ...snapshot.custom, [trimmed]: normalize(snapshot.config) }, profile: trimmed });
+    },
+    deleteProfile(name) {
+      const { [name]: _removed, ...custom } = snapshot.custom;
+      set({ custom, profile: snapshot.profile === name ? null : snapshot.profile });
+    },
+    importConfig(text) {
+      set({ config: parseLlmConfig(text), profile: null });
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => snapshot,
+  };
+}
+
+// Shared by all views
+export const llmConfig = createLlmConfigStore();
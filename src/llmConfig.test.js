@@ -0,0 +1,129 @@
+import {
+  LLM_PROFILES,
+  validateLlmConfig,
+  toConfigJson,
+  toConfigModule,
+  parseLlmConfig,
+  createLlmConfigStore,
+} from './llmConfig';
+
+function memoryStorage() {
+  const data = {};
+  return {
+    getItem: (k) => (k in data ? data[k] : null),
+    setItem: (k, v) => {
+      data[k] = v;
+    },
+  };
+}
+
+describe('validateLlmConfig', () => {
+  it('accepts every built-in profile', () => {
+    Object.values(LLM_PROFILES).forEach((profile) => expect(validateLlmConfig(profile)).toEqual([]));
+  });
+
+  it('reports out-of-range and missing values per stage and field', () => {
+    const config = {
+      ...LLM_PROFILES.hackathon,
+      risk: { model: '', temperature: 1.5, max_tokens: 100.5, json_mode: 'yes' },
+      reflection: undefined,
+    };
+    expect(validateLlmConfig(config).map((e) => `${e.stage}.${e.field}`)).toEqual([
+      'risk.model',
+      'risk.temperature',
+      'risk.max_tokens',
+      'risk.json_mode',
+      'reflection.model',
+    ]);
+  });
+});
+
+describe('parseLlmConfig', () => {
+  it('round-trips the JSON and JS exports', () => {
+    const config = LLM_PROFILES['low-cost'];
+    expect(parseLlmConfig(toConfigJson(config))).toEqual(config);
+    expect(parseLlmConfig(toConfigModule(config))).toEqual(config);
+  });
+
+  it('reads hand-written object literals', () => {
+    const text = `const LLM_CONFIG = {
+  interpretation: { model: 'claude-sonnet-4-20250514', temperature: 0.3, max_tokens: 512, json_mode: true },
+  uncertainty:    { model: "claude-sonnet-4-20250514", temperature: 0.1, max_tokens: 256, json_mode: true },
+  risk:           { model: "claude-sonnet-4-20250514", temperature: 0.1, max_tokens: 256, json_mode: true }, // strict
+  reflection:     { model: "claude-sonnet-4-20250514", temperature: 0.7, max_tokens: 512, json_mode: false, },
+};`;
+    expect(parseLlmConfig(text)).toEqual(LLM_PROFILES.hackathon);
+  });
+
+  it('keeps // and /* inside strings', () => {
+    const text = `{
+  // proxied models
+  interpretation: { model: 'https://proxy.example/v1//sonnet', temperature: 0.3, max_tokens: 512, json_mode: true },
+  uncertainty: { model: "it's /* not */ a comment", temperature: 0.1, max_tokens: 256, json_mode: true },
+  risk: { model: 'say "hi", x: 1', temperature: 0.1, max_tokens: 256, json_mode: true }, /* strict */
+  reflection: { model: "claude-sonnet-4-20250514", temperature: 0.7, max_tokens: 512, json_mode: false },
+}`;
+    const config = parseLlmConfig(text);
+    expect(config.interpretation.model).toBe('https://proxy.example/v1//sonnet');
+    expect(config.uncertainty.model).toBe("it's /* not */ a comment");
+    expect(config.risk.model).toBe('say "hi", x: 1');
+  });
+
+  it('drops unknown fields and rejects invalid configs', () => {
+    const extra = JSON.parse(toConfigJson(LLM_PROFILES.hackathon));
+    extra.interpretation.top_p = 0.9;
+    expect(parseLlmConfig(JSON.stringify(extra)).interpretation).not.toHaveProperty('top_p');
+
+    expect(() => parseLlmConfig('nothing here')).toThrow('No config object found');
+    expect(() => parseLlmConfig('{ interpretation: ')).toThrow('No config object found');
+    expect(() => parseLlmConfig('{"interpretation": {}}')).toThrow('interpretation.model must be a model name');
+  });
+});
+
+describe('createLlmConfigStore', () => {
+  it('starts on the hackathon profile', () => {
+    const { config, profile, errors } = createLlmConfigStore({ storage: memoryStorage() }).getSnapshot();
+    expect(profile).toBe('hackathon');
+    expect(config).toEqual(LLM_PROFILES.hackathon);
+    expect(errors).toEqual([]);
+  });
+
+  it('detaches edits from the profile and validates them', () => {
+    const store = createLlmConfigStore({ storage: memoryStorage() });
+    store.setStage('risk', { temperature: 2 });
+    const snapshot = store.getSnapshot();
+    expect(snapshot.profile).toBeNull();
+    expect(snapshot.config.risk.temperature).toBe(2);
+    expect(snapshot.errors).toEqual([expect.objectContaining({ stage: 'risk', field: 'temperature' })]);
+    expect(() => store.saveProfile('mine')).toThrow('Fix the config before saving it');
+  });
+
+  it('saves, persists and deletes custom profiles but not built-in ones', () => {
+    const storage = memoryStorage();
+    const store = createLlmConfigStore({ storage });
+    store.applyProfile('high-accuracy');
+    store.setStage('reflection', { json_mode: true });
+    expect(() => store.saveProfile('low-cost')).toThrow('low-cost is a built-in profile');
+    store.saveProfile(' strict ');
+
+    const reloaded = createLlmConfigStore({ storage });
+    expect(reloaded.getSnapshot().profile).toBe('strict');
+    expect(reloaded.getSnapshot().profiles.strict.reflection.json_mode).toBe(true);
+
+    reloaded.applyProfile('hackathon');
+    reloaded.applyProfile('strict');
+    expect(reloaded.getSnapshot().config.reflection.model).toBe('claude-opus-4-20250514');
+    reloaded.deleteProfile('strict');
+    expect(reloaded.getSnapshot().profiles).not.toHaveProperty('strict');
+    expect(reloaded.getSnapshot().profile).toBeNull();
+    expect(() => reloaded.applyProfile('strict')).toThrow('Unknown profile strict');
+  });
+
+  it('imports configs and leaves the current one alone on failure', () => {
+    const store = createLlmConfigStore({ storage: memoryStorage() });
+    store.importConfig(toConfigModule(LLM_PROFILES['low-cost']));
+    expect(store.getSnapshot().config).toEqual(LLM_PROFILES['low-cost']);
+    expect(() => store.importConfig('{"risk": 1}')).toThrow();
+    expect(store.getSnapshot().config).toEqual(LLM_PROFILES['low-cost']);
+  });
+});
@@ -0,0 +1,283 @@
+import {
+  FRAME_HEIGHT,
+  FRAME_WIDTH,
+  LOCAL_PERCEPTION_FPS,
+  LOCAL_PERCEPTION_MODEL_URL,
+  LOCAL_PERCEPTION_WASM_PATH,
+} from "./config";
+import { captureVideoFrame } from "./frameUploader";
+import { analyzeFrame } from "./frameQuality";
+import { describeObjects } from "./narration";
+import { computeOverallConfidence, jaccardSimilarity, selectAction } from "./uncertainty";
+import { thoughtStream } from "./thoughtStream";
+
+// Fallback perception that runs in the browser when the backend is out of
+// reach: COCO-SSD on TensorFlow.js (WASM, else plain CPU) over webcam frames.
+// It feeds the thought stream as a "local" source, so the overlay, narration
+// and risk badge keep working.
+//
+// Only perception is real. Interpretation is a plain description of the
+// detections and risk is a coarse people-near-vehicles check; the thought is
+// marked meta.model_versions.perception = "local perception · …" so nothing
+// downstream mistakes it for the backend's reasoning.
+
+export const LOCAL_PERCEPTION_LABEL = "local perception";
+
+const MAX_OBJECTS = 20;
+const MIN_SCORE = 0.5;
+
+const VEHICLES = ["car", "bus", "truck", "motorcycle", "bicycle", "train"];
+const TRAFFIC = [...VEHICLES, "traffic light", "stop sign", "parking meter"];
+const INDOOR = [
+  "chair", "couch", "bed", "dining table", "toilet", "tv", "laptop", "mouse", "keyboard",
+  "microwave", "oven", "toaster", "sink", "refrigerator", "book", "potted plant",
+];
+const OUTDOOR = ["bench", "fire hydrant", "bird", "kite", "umbrella", "skateboard", "surfboard", "boat", "horse", "cow", "sheep"];
+const CROWD_SIZE = 5;
+
+const round = (v) => Math.round(v * 100) / 100;
+const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+// Best guess at the schema's scene_type from what was detected
+export function sceneTypeFor(objects) {
+  const count = (labels) => objects.filter((o) => labels.includes(o.label)).length;
+  if (count(["person"]) >= CROWD_SIZE) return "crowd";
+  if (count(TRAFFIC) > 0) return "traffic";
+  if (count(INDOOR) > count(OUTDOOR)) return "indoor";
+  if (count(OUTDOOR) > 0) return "outdoor";
+  return "unknown";
+}
+
+// detections: COCO-SSD output, bbox as [x, y, width, height] in frame pixels
+// frame: { width, height }
+// quality: analyzeFrame() result for the frame, for frame_quality and flags
+export function toLocalThought(
+  detections,
+  frame,
+  { quality = null, previousLabels = null, latencyMs = null, detector = "coco-ssd", now = Date.now() } = {}
+) {
+  const objects = detections.slice(0, MAX_OBJECTS).map((d) => ({
+    label: d.class,
+    confidence: round(d.score),
+    // Normalised [x1, y1, x2, y2], independent of the capture size
+    bbox: [d.bbox[0] / frame.width, d.bbox[1] / frame.height, (d.bbox[0] + d.bbox[2]) / frame.width, (d.bbox[1] + d.bbox[3]) / frame.height].map(
+      (v) => round(clamp01(v))
+    ),
+  }));
+  const labels = new Set(objects.map((o) => o.label));
+  const described = describeObjects(objects);
+
+  const frameQuality = quality?.frame_quality ?? null;
+  const flags = quality?.flags ?? [];
+  const dims = {
+    visual_clarity: frameQuality ?? 0.5,
+    semantic_certainty: objects.length ? round(objects.reduce((s, o) => s + o.confidence, 0) / objects.length) : 0.3,
+    temporal_consistency: previousLabels ? round(jaccardSimilarity(labels, previousLabels)) : 0.5,
+    // Detection alone explains little of a scene
+    completeness: 0.3,
+  };
+  const overall = round(computeOverallConfidence({ ...dims, flags }));
+
+  const nearVehicle = labels.has("person") && VEHICLES.some((v) => labels.has(v));
+  const risk = nearVehicle
+    ? {
+        score: 0.45,
+        level: "MEDIUM",
+        hazards: [{ type: "collision", description: "Person and vehicle in view", severity: 0.45 }],
+        recommended_action: "SLOW_DOWN",
+      }
+    : { score: 0.15, level: "LOW", hazards: [], recommended_action: "CONTINUE" };
+
+  return {
+    thought_id: `local-${now}-${Math.random().toString(16).slice(2, 10)}`,
+    timestamp: now,
+    pipeline: {
+      perception: {
+        objects,
+        scene_type: sceneTypeFor(objects),
+        ...(frameQuality != null && { frame_quality: frameQuality }),
+      },
+      interpretation: {
+        summary: `Local perception: ${described || "nothing recognised"}.`.slice(0, 200),
+        observations: objects.map((o) => `${o.label} (${Math.round(o.confidence * 100)}%)`),
+        inferences: [],
+        hypotheses: [],
+        activity_labels: [],
+      },
+      uncertainty: { overall, ...dims, flags, action: selectAction(overall, flags) },
+      risk,
+    },
+    meta: {
+      ...(latencyMs != null && {
+        total_latency_ms: Math.round(latencyMs),
+        stage_latency_ms: { perception: Math.round(latencyMs) },
+      }),
+      model_versions: { perception: `${LOCAL_PERCEPTION_LABEL} · ${detector}` },
+      triggered_rules: [],
+      thought_chain_id: "local",
+    },
+  };
+}
+
+export const isLocalThought = (thought) =>
+  Boolean(thought?.meta?.model_versions?.perception?.startsWith(LOCAL_PERCEPTION_LABEL));
+
+// COCO-SSD on the first TensorFlow.js backend that initialises. Loaded on
+// demand so the detector isn't part of the main bundle.
+export async function loadCocoSsd({
+  modelUrl = LOCAL_PERCEPTION_MODEL_URL,
+  wasmPath = LOCAL_PERCEPTION_WASM_PATH,
+  backends = ["wasm", "cpu"],
+} = {}) {
+  const tf = await import("@tensorflow/tfjs-core");
+  await import("@tensorflow/tfjs-backend-cpu");
+  const wasm = await import("@tensorflow/tfjs-backend-wasm");
+  if (wasmPath) wasm.setWasmPaths(wasmPath);
+
+  let backend = null;
+  for (const name of backends) {
+    try {
+      if (await tf.setBackend(name)) {
+        backend = name;
+        break;
+      }
+    } catch {
+      // try the next one
+    }
+  }
+  if (!backend) throw new Error("No TensorFlow.js backend available");
+  await tf.ready();
+
+  const cocoSsd = await import("@tensorflow-models/coco-ssd");
+  const model = await cocoSsd.load({ base: "lite_mobilenet_v2", ...(modelUrl && { modelUrl }) });
+  return {
+    name: `coco-ssd lite_mobilenet_v2 (tfjs-${backend})`,
+    detect: (input) => model.detect(input, MAX_OBJECTS, MIN_SCORE),
+  };
+}
+
+function captureForDetection(video, width, height) {
+  const canvas = captureVideoFrame(video, width, height);
+  if (!canvas) return null;
+  const imageData = canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height);
+  return { input: canvas, imageData, width: canvas.width, height: canvas.height };
+}
+
+// A thought-stream source (see thoughtTransports.js) producing one local
+// thought per detected frame. Frames are skipped while detection is busy.
+export function openLocalPerception({
+  getVideo,
+  getDetector,
+  fps = LOCAL_PERCEPTION_FPS,
+  width = FRAME_WIDTH,
+  height = FRAME_HEIGHT,
+  capture = captureForDetection,
+  now = () => Date.now(),
+}) {
+  return ({ onOpen, onMessage, onClose }) => {
+    let closed = false;
+    let busy = false;
+    let timer = null;
+    let previousLabels = null;
+    let previousLuma = null;
+
+    async function tick(detector) {
+      if (closed || busy) return;
+      const frame = capture(getVideo(), width, height);
+      if (!frame) return;
+      busy = true;
+      try {
+        const started = now();
+        const detections = await detector.detect(frame.input);
+        if (closed) return;
+        const { luma, ...quality } = analyzeFrame(frame.imageData, previousLuma);
+        previousLuma = luma;
+        const thought = toLocalThought(detections, frame, {
+          quality,
+          previousLabels,
+          latencyMs: now() - started,
+          detector: detector.name,
+          now: now(),
+        });
+        previousLabels = new Set(thought.pipeline.perception.objects.map((o) => o.label));
+        onMessage(thought);
+      } catch (err) {
+        closed = true;
+        clearInterval(timer);
+        onClose(err);
+      } finally {
+        busy = false;
+      }
+    }
+
+    getDetector().then(
+      (detector) => {
+        if (closed) return;
+        onOpen();
+        tick(detector);
+        timer = setInterval(() => tick(detector), 1000 / fps);
+      },
+      (err) => {
+        if (!closed) onClose(err);
+      }
+    );
+
+    return () => {
+      closed = true;
+      clearInterval(timer);
+    };
+  };
+}
+
+// Local perception currently feeding the stream, shared by all views.
+// Snapshot: { active, loading, detector, error }
+export function createLocalPerceptionController({ stream = thoughtStream, loadDetector = loadCocoSsd, ...options } = {}) {
+  const listeners = new Set();
+  let snapshot = { active: false, loading: false, detector: null, error: null };
+  let detectorPromise = null;
+
+  function update(patch) {
+    snapshot = { ...snapshot, ...patch };
+    listeners.forEach((listener) => listener());
+  }
+
+  // The model is loaded once and kept for later starts
+  function getDetector() {
+    if (!detectorPromise) {
+      update({ loading: true, error: null });
+      detectorPromise = loadDetector().then(
+        (detector) => {
+          update({ loading: false, detector: detector.name });
+          return detector;
+        },
+        (err) => {
+          // Back to the backend rather than a source that will never open
+          detectorPromise = null;
+          update({ loading: false, active: false, error: err.message });
+          if (stream.getSnapshot().transport === "local") stream.clearSource();
+          throw err;
+        }
+      );
+    }
+    return detectorPromise;
+  }
+
+  return {
+    start(getVideo) {
+      update({ active: true, error: null });
+      stream.setSource("local", openLocalPerception({ ...options, getVideo, getDetector }));
+    },
+    stop() {
+      if (!snapshot.active) return;
+      update({ active: false });
+      if (stream.getSnapshot().transport === "local") stream.clearSource();
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => snapshot,
+  };
+}
+
+export const localPerception = createLocalPerceptionController();
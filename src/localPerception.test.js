@@ -0,0 +1,148 @@
+import {
+  sceneTypeFor,
+  toLocalThought,
+  isLocalThought,
+  openLocalPerception,
+  createLocalPerceptionController,
+} from './localPerception';
+import { validateThought } from './thoughtSchema';
+
+const frame = { width: 640, height: 480 };
+
+function checkerImage(width = 16, height = 16) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let p = 0; p < width * height; p++) data.fill(p % 4 < 2 ? 30 : 230, p * 4, p * 4 + 4);
+  return { data, width, height };
+}
+
+async function flush() {
+  for (let i = 0; i < 5; i++) await Promise.resolve();
+}
+
+describe('sceneTypeFor', () => {
+  const objects = (...labels) => labels.map((label) => ({ label }));
+
+  it('guesses the scene from detected labels', () => {
+    expect(sceneTypeFor(objects('person', 'person', 'person', 'person', 'person'))).toBe('crowd');
+    expect(sceneTypeFor(objects('person', 'car'))).toBe('traffic');
+    expect(sceneTypeFor(objects('laptop', 'chair', 'bench'))).toBe('indoor');
+    expect(sceneTypeFor(objects('bench', 'dog'))).toBe('outdoor');
+    expect(sceneTypeFor(objects('person'))).toBe('unknown');
+  });
+});
+
+describe('toLocalThought', () => {
+  const detections = [
+    { class: 'person', score: 0.91, bbox: [64, 48, 128, 240] },
+    { class: 'car', score: 0.7, bbox: [320, 240, 400, 300] },
+  ];
+
+  it('builds a schema-valid thought marked as local perception', () => {
+    const quality = { frame_quality: 0.8, flags: ['LOW_LIGHT'] };
+    const thought = toLocalThought(detections, frame, { quality, latencyMs: 41.6, detector: 'test', now: 1000 });
+    expect(validateThought(thought)).toEqual({ valid: true, errors: [] });
+    expect(isLocalThought(thought)).toBe(true);
+    expect(thought.meta.model_versions.perception).toBe('local perception · test');
+    expect(thought.meta.stage_latency_ms).toEqual({ perception: 42 });
+    expect(thought.pipeline.perception).toMatchObject({ scene_type: 'traffic', frame_quality: 0.8 });
+    expect(thought.pipeline.uncertainty.flags).toEqual(['LOW_LIGHT']);
+  });
+
+  it('normalises COCO-SSD boxes to [x1, y1, x2, y2]', () => {
+    const [person, car] = toLocalThought(detections, frame).pipeline.perception.objects;
+    expect(person).toEqual({ label: 'person', confidence: 0.91, bbox: [0.1, 0.1, 0.3, 0.6] });
+    expect(car.bbox).toEqual([0.5, 0.5, 1, 1]);
+  });
+
+  it('flags people near vehicles as a medium risk', () => {
+    expect(toLocalThought(detections, frame).pipeline.risk).toMatchObject({ level: 'MEDIUM', recommended_action: 'SLOW_DOWN' });
+    expect(toLocalThought(detections.slice(0, 1), frame).pipeline.risk).toMatchObject({ level: 'LOW', hazards: [] });
+  });
+
+  it('measures temporal consistency against the previous labels', () => {
+    const thought = toLocalThought(detections, frame, { previousLabels: new Set(['person']) });
+    expect(thought.pipeline.uncertainty.temporal_consistency).toBe(0.5);
+    expect(isLocalThought({ meta: { model_versions: { simulator: '1.0' } } })).toBe(false);
+  });
+});
+
+describe('openLocalPerception', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  const capture = () => ({ input: 'canvas', imageData: checkerImage(), ...frame });
+
+  it('opens once the detector loads and emits a thought per frame', async () => {
+    const detector = { name: 'fake', detect: jest.fn(async () => [{ class: 'dog', score: 0.8, bbox: [0, 0, 64, 48] }]) };
+    const onOpen = jest.fn();
+    const onMessage = jest.fn();
+    const close = openLocalPerception({ getVideo: () => ({}), getDetector: async () => detector, capture, fps: 2 })({
+      onOpen,
+      onMessage,
+      onClose: jest.fn(),
+    });
+
+    await flush();
+    expect(onOpen).toHaveBeenCalled();
+    expect(onMessage).toHaveBeenCalledTimes(1);
+    expect(onMessage.mock.calls[0][0].pipeline.perception.objects[0].label).toBe('dog');
+
+    jest.advanceTimersByTime(500);
+    await flush();
+    expect(onMessage).toHaveBeenCalledTimes(2);
+
+    close();
+    jest.advanceTimersByTime(2000);
+    await flush();
+    expect(onMessage).toHaveBeenCalledTimes(2);
+  });
+
+  it('closes with the error when detection fails', async () => {
+    const onClose = jest.fn();
+    const detector = { name: 'fake', detect: async () => Promise.reject(new Error('out of memory')) };
+    openLocalPerception({ getVideo: () => ({}), getDetector: async () => detector, capture })({
+      onOpen: jest.fn(),
+      onMessage: jest.fn(),
+      onClose,
+    });
+    await flush();
+    expect(onClose).toHaveBeenCalledWith(new Error('out of memory'));
+  });
+});
+
+describe('createLocalPerceptionController', () => {
+  function fakeStream() {
+    let source = null;
+    return {
+      setSource: jest.fn((kind, open) => {
+        source = { kind, open };
+        open({ onOpen: () => {}, onMessage: () => {}, onClose: () => {} });
+      }),
+      clearSource: jest.fn(() => {
+        source = null;
+      }),
+      getSnapshot: () => ({ transport: source?.kind ?? 'poll' }),
+    };
+  }
+
+  it('switches the stream to the local source and back', () => {
+    const stream = fakeStream();
+    const controller = createLocalPerceptionController({ stream, loadDetector: () => new Promise(() => {}) });
+    controller.start(() => null);
+    expect(stream.setSource).toHaveBeenCalledWith('local', expect.any(Function));
+    expect(controller.getSnapshot()).toMatchObject({ active: true, loading: true });
+
+    controller.stop();
+    expect(stream.clearSource).toHaveBeenCalled();
+    expect(controller.getSnapshot().active).toBe(false);
+  });
+
+  it('falls back to the backend when the model cannot load', async () => {
+    const stream = fakeStream();
+    const controller = createLocalPerceptionController({ stream, loadDetector: async () => Promise.reject(new Error('offline')) });
+    controller.start(() => null);
+    await flush();
+    expect(controller.getSnapshot()).toMatchObject({ active: false, loading: false, error: 'offline' });
+    expect(stream.clearSource).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,166 @@
+// Turns a thought into a spoken sentence. Wording comes from editable phrase
+// templates (one per risk level and per uncertainty flag) filled with slots
+// built from the pipeline:
+//
+//   {hedge}       confidence-dependent qualifier ("I think", "I'm not sure, but")
+//   {objects}     "a person and two cars"
+//   {hypothesis}  top interpretation hypothesis
+//   {hazard}      most severe hazard description
+//   {action}      risk.recommended_action in words
+//
+// HIGH and CRITICAL always produce a sentence, even if their template was
+// edited down to nothing.
+
+const STORAGE_KEY = "cognitive.narrationTemplates";
+
+export const DEFAULT_NARRATION_TEMPLATES = {
+  // First entry whose min ≤ uncertainty.overall wins
+  hedges: [
+    { min: 0.8, text: "" },
+    { min: 0.6, text: "I think" },
+    { min: 0.4, text: "I'm not sure, but" },
+    { min: 0, text: "I can't tell clearly, but" },
+  ],
+  risk: {
+    SAFE: "{hedge} I can see {objects}. Everything looks safe.",
+    LOW: "{hedge} I can see {objects}. Everything looks safe.",
+    MEDIUM: "{hedge} I can see {objects}. Stay aware: {hazard}.",
+    HIGH: "Warning. {hedge} there is a hazard: {hazard}. {action}.",
+    CRITICAL: "Stop. {hazard}. {action} now.",
+  },
+  hypothesis: "My best guess: {hypothesis}.",
+  flags: {
+    LOW_LIGHT: "It's quite dark, so I may be missing things.",
+    MOTION_BLUR: "The picture is blurry.",
+    OCCLUSION: "Something is partly hidden from me.",
+    NOVEL_SCENE: "I haven't seen a place like this before.",
+    AMBIGUOUS_INTENT: "I can't tell what they're about to do.",
+    HISTORY_MISMATCH: "This doesn't match what I saw a moment ago.",
+  },
+  actions: {
+    CONTINUE: "Carry on",
+    SLOW_DOWN: "Slow down",
+    PAUSE: "Pause",
+    HALT: "Stop moving",
+    ALERT_HUMAN: "Get help",
+  },
+  nothing: "nothing in particular",
+  noHazard: "something needs your attention",
+  maxObjects: 3,
+  maxFlags: 1,
+};
+
+const URGENT_LEVELS = ["HIGH", "CRITICAL"];
+const NUMBER_WORDS = ["no", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine"];
+
+const lowerFirst = (s) => (/^[A-Z][a-z]/.test(s) ? s[0].toLowerCase() + s.slice(1) : s);
+const upperFirst = (s) => s.charAt(0).toUpperCase() + s.slice(1);
+const trimPeriod = (s) => s.replace(/[.!\s]+$/, "");
+
+function joinList(items) {
+  if (items.length <= 1) return items.join("");
+  return `${items.slice(0, -1).join(", ")} and ${items[items.length - 1]}`;
+}
+
+// "a person and two cars", most frequent labels first
+export function describeObjects(objects = [], max = DEFAULT_NARRATION_TEMPLATES.maxObjects) {
+  const counts = new Map();
+  objects.forEach(({ label }) => counts.set(label, (counts.get(label) ?? 0) + 1));
+  const phrases = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, max)
+    .map(([label, n]) => {
+      if (n > 1) return `${NUMBER_WORDS[n] ?? n} ${label}s`;
+      return `${/^[aeiou]/i.test(label) ? "an" : "a"} ${label}`;
+    });
+  return joinList(phrases);
+}
+
+export function hedgeFor(confidence, hedges = DEFAULT_NARRATION_TEMPLATES.hedges) {
+  return hedges.find((h) => (confidence ?? 0) >= h.min)?.text ?? "";
+}
+
+// Replaces {slots}, then tidies spacing and sentence capitals left by empty slots
+export function fillTemplate(template, slots) {
+  return template
+    .replace(/\{(\w+)\}/g, (_, name) => slots[name] ?? "")
+    .replace(/\s+/g, " ")
+    .replace(/\s+([.,:!?])/g, "$1")
+    .replace(/([.:!?])\1+/g, "$1")
+    .replace(/:\s*\./g, ".")
+    .trim()
+    .replace(/(^|[.!?]\s+)([a-z])/g, (_, pre, c) => pre + c.toUpperCase());
+}
+
+export function narrate(thought, templates = DEFAULT_NARRATION_TEMPLATES) {
+  const t = { ...DEFAULT_NARRATION_TEMPLATES, ...templates };
+  const { perception, interpretation, uncertainty, risk } = thought?.pipeline ?? {};
+  const level = risk?.level ?? "SAFE";
+  const urgent = URGENT_LEVELS.includes(level);
+
+  const hazards = [...(risk?.hazards ?? [])].sort((a, b) => (b.severity ?? 0) - (a.severity ?? 0));
+  const hypotheses = [...(interpretation?.hypotheses ?? [])].sort((a, b) => b.probability - a.probability);
+  const objects = describeObjects(perception?.objects, t.maxObjects);
+
+  const slots = {
+    hedge: hedgeFor(uncertainty?.overall, t.hedges),
+    objects: objects || t.nothing,
+    hypothesis: hypotheses[0] ? lowerFirst(trimPeriod(hypotheses[0].description)) : "",
+    hazard: hazards[0] ? lowerFirst(trimPeriod(hazards[0].description)) : urgent ? t.noHazard : "",
+    action: t.actions[risk?.recommended_action] ?? "",
+  };
+
+  const sentences = [];
+  let main = t.risk[level] ? fillTemplate(t.risk[level], slots) : "";
+  if (!main && urgent) main = fillTemplate(DEFAULT_NARRATION_TEMPLATES.risk[level], slots);
+  if (main) sentences.push(main);
+
+  // Calm thoughts also say what the model believes is going on
+  if (!urgent && slots.hypothesis && t.hypothesis) {
+    sentences.push(fillTemplate(t.hypothesis, slots));
+  }
+
+  (uncertainty?.flags ?? [])
+    .map((flag) => t.flags[flag])
+    .filter(Boolean)
+    .slice(0, t.maxFlags)
+    .forEach((phrase) => sentences.push(fillTemplate(phrase, slots)));
+
+  return upperFirst(sentences.join(" "));
+}
+
+// User-edited templates, persisted in localStorage and shared by all views
+const listeners = new Set();
+
+function load() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return saved ? { ...DEFAULT_NARRATION_TEMPLATES, ...saved } : DEFAULT_NARRATION_TEMPLATES;
+  } catch {
+    return DEFAULT_NARRATION_TEMPLATES;
+  }
+}
+
+let current = load();
+
+function setCurrent(templates) {
+  current = templates;
+  listeners.forEach((listener) => listener());
+}
+
+export const narrationTemplates = {
+  get: () => current,
+  save(templates) {
+    const merged = { ...DEFAULT_NARRATION_TEMPLATES, ...templates };
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(merged));
+    setCurrent(merged);
+  },
+  reset() {
+    window.localStorage.removeItem(STORAGE_KEY);
+    setCurrent(DEFAULT_NARRATION_TEMPLATES);
+  },
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+};
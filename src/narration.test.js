@@ -0,0 +1,53 @@
+import { DEFAULT_NARRATION_TEMPLATES, describeObjects, fillTemplate, narrate } from './narration';
+
+const thought = ({ level = 'LOW', overall = 0.9, objects = ['person'], hazards = [], flags = [], hypotheses = [], action = 'CONTINUE' } = {}) => ({
+  pipeline: {
+    perception: { objects: objects.map((label) => ({ label, confidence: 0.9 })) },
+    interpretation: { summary: '', hypotheses },
+    uncertainty: { overall, flags },
+    risk: { level, hazards, recommended_action: action },
+  },
+});
+
+test('describes any objects, grouped and counted', () => {
+  expect(describeObjects([{ label: 'car' }, { label: 'umbrella' }, { label: 'car' }])).toBe('two cars and an umbrella');
+  expect(narrate(thought({ objects: ['dog'] }))).toBe('I can see a dog. Everything looks safe.');
+  expect(narrate(thought({ objects: [] }))).toBe('I can see nothing in particular. Everything looks safe.');
+});
+
+test('hedges by confidence and mentions flags and the top hypothesis', () => {
+  const text = narrate(
+    thought({
+      overall: 0.5,
+      flags: ['LOW_LIGHT'],
+      hypotheses: [
+        { description: 'Person leaving', probability: 0.3 },
+        { description: 'Person reading', probability: 0.6 },
+      ],
+    })
+  );
+  expect(text).toBe(
+    "I'm not sure, but I can see a person. Everything looks safe. My best guess: person reading. It's quite dark, so I may be missing things."
+  );
+});
+
+test('never goes silent on HIGH or CRITICAL risk', () => {
+  const critical = thought({
+    level: 'CRITICAL',
+    action: 'HALT',
+    hazards: [
+      { type: 'trip', description: 'Cable on the floor', severity: 0.3 },
+      { type: 'collision', description: 'Car about to strike the person', severity: 0.95 },
+    ],
+  });
+  expect(narrate(critical)).toBe('Stop. Car about to strike the person. Stop moving now.');
+
+  const blank = { ...DEFAULT_NARRATION_TEMPLATES, risk: { HIGH: '', CRITICAL: '' } };
+  expect(narrate(thought({ level: 'HIGH', action: 'PAUSE' }), blank)).toBe(
+    'Warning. There is a hazard: something needs your attention. Pause.'
+  );
+});
+
+test('fillTemplate tidies empty slots', () => {
+  expect(fillTemplate('{hedge} I see {objects}. Stay aware: {hazard}.', { objects: 'a cat' })).toBe('I see a cat. Stay aware.');
+});
@@ -0,0 +1,52 @@
+// Map perception bounding boxes onto the on-screen video element.
+//
+// bbox is [x1, y1, x2, y2] in source-frame pixels, or normalised 0–1 when
+// every value is ≤ 1. The video may be letterboxed ("contain", the <video>
+// default), cropped ("cover") or stretched ("fill"), and mirrored.
+
+export function isNormalized(bbox) {
+  return bbox.every((v) => v >= 0 && v <= 1);
+}
+
+export function projectBox(bbox, source, container, { mirrored = false, objectFit = "contain" } = {}) {
+  const [x1, y1, x2, y2] = isNormalized(bbox)
+    ? [bbox[0] * source.width, bbox[1] * source.height, bbox[2] * source.width, bbox[3] * source.height]
+    : bbox;
+
+  let scaleX;
+  let scaleY;
+  if (objectFit === "fill") {
+    scaleX = container.width / source.width;
+    scaleY = container.height / source.height;
+  } else {
+    const pick = objectFit === "cover" ? Math.max : Math.min;
+    scaleX = scaleY = pick(container.width / source.width, container.height / source.height);
+  }
+
+  // Centred, so cover gives negative offsets (cropped edges)
+  const offsetX = (container.width - source.width * scaleX) / 2;
+  const offsetY = (container.height - source.height * scaleY) / 2;
+
+  let left = offsetX + Math.min(x1, x2) * scaleX;
+  const top = offsetY + Math.min(y1, y2) * scaleY;
+  const width = Math.abs(x2 - x1) * scaleX;
+  const height = Math.abs(y2 - y1) * scaleY;
+
+  if (mirrored) left = container.width - left - width;
+
+  return { left, top, width, height };
+}
+
+// Hazards don't reference objects directly; an object is involved when the
+// hazard lists its label or mentions it in its type or description
+export function hazardsForObject(object, hazards = []) {
+  const label = object.label?.toLowerCase();
+  if (!label) return [];
+  const pattern = new RegExp(`\\b${label.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}s?\\b`, "i");
+  return hazards.filter(
+    (h) =>
+      h.labels?.some((l) => l.toLowerCase() === label) ||
+      pattern.test(h.type ?? "") ||
+      pattern.test(h.description ?? "")
+  );
+}
@@ -0,0 +1,27 @@
+import { hazardsForObject, projectBox } from './overlayGeometry';
+
+const source = { width: 640, height: 480 };
+
+test('letterboxes with contain and mirrors horizontally', () => {
+  // 1280×720 container: scale 1.5, 160px bars left and right
+  const container = { width: 1280, height: 720 };
+  expect(projectBox([0, 0, 100, 100], source, container)).toEqual({ left: 160, top: 0, width: 150, height: 150 });
+  expect(projectBox([0, 0, 100, 100], source, container, { mirrored: true })).toEqual({ left: 970, top: 0, width: 150, height: 150 });
+});
+
+test('crops with cover and accepts normalised boxes', () => {
+  // 1280×480 container: scale 2, 240px cropped top and bottom
+  const container = { width: 1280, height: 480 };
+  expect(projectBox([0.5, 0.5, 0.75, 1], source, container, { objectFit: 'cover' })).toEqual({
+    left: 640,
+    top: 240,
+    width: 320,
+    height: 480,
+  });
+});
+
+test('matches hazards to objects by label', () => {
+  const hazards = [{ type: 'collision', description: 'Cyclist approaching fast' }, { type: 'trip', description: 'Cables on floor' }];
+  expect(hazardsForObject({ label: 'cable' }, hazards)).toHaveLength(1);
+  expect(hazardsForObject({ label: 'person' }, hazards)).toHaveLength(0);
+});
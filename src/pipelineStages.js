@@ -0,0 +1,60 @@
+// The five stages of a CognitiveThought, in pipeline order, with the colours
+// every view uses for them and each stage's latency budget.
+
+export const PIPELINE_STAGES = [
+  {
+    id: "perception",
+    icon: "👁",
+    label: "Perception",
+    color: "#00e5ff",
+    desc: "Raw visual feature extraction and scene decomposition",
+    inputs: ["Camera frame", "Depth data", "Motion vectors"],
+    outputs: ["Object list", "Scene graph", "Bounding boxes"],
+    latency: "50ms",
+    impl: `// Stage 1: Perception\nconst perception = await visionModel.analyze(frame, {\n  tasks: ['detect', 'segment', 'depth'],\n  confidence_threshold: 0.4,\n  return_embeddings: true\n});\n\n// Output: raw percepts\nreturn {\n  objects: perception.detections,\n  scene_embedding: perception.global_embed,\n  timestamp: Date.now()\n};`,
+  },
+  {
+    id: "interpretation",
+    icon: "🧠",
+    label: "Interpretation",
+    color: "#7c4dff",
+    desc: "Semantic understanding — what is happening and why",
+    inputs: ["Percept bundle", "Scene history", "World model"],
+    outputs: ["Activity labels", "Intent hypotheses", "Context tags"],
+    latency: "200ms",
+    impl: `// Stage 2: Interpretation\nconst context = buildContext(percepts, history);\nconst interp = await llm.complete({\n  system: INTERPRETATION_PROMPT,\n  user: formatPercepts(context),\n  temperature: 0.3,  // Low temp for factual grounding\n  max_tokens: 512\n});\n\nreturn parseInterpretation(interp);`,
+  },
+  {
+    id: "uncertainty",
+    icon: "⚖️",
+    label: "Uncertainty",
+    color: "#ff9100",
+    desc: "Calibrate confidence — know what you don't know",
+    inputs: ["Interpretation", "Percept confidence", "History match"],
+    outputs: ["Confidence map", "Ambiguity flags", "Info requests"],
+    latency: "80ms",
+    impl: `// Stage 3: Uncertainty Quantification\nconst uc = computeUncertainty({\n  visual_conf: percepts.avg_confidence,\n  semantic_entropy: interp.token_entropy,\n  history_coherence: matchHistory(interp, history),\n  occlusion_ratio: percepts.occlusion_score\n});\n\n// Trigger clarification if needed\nif (uc.overall < CONF_THRESHOLD) {\n  return { action: 'REQUEST_REFRAME', reason: uc.flags };\n}`,
+  },
+  {
+    id: "risk",
+    icon: "🔺",
+    label: "Risk Assessment",
+    color: "#ff1744",
+    desc: "Flag hazards, anomalies, and action constraints",
+    inputs: ["Interpretation", "Uncertainty", "Safety rules"],
+    outputs: ["Risk score", "Hazard labels", "Action blocklist"],
+    latency: "100ms",
+    impl: `// Stage 4: Risk Assessment\nconst risk = riskEngine.evaluate({\n  interpretation: interp,\n  uncertainty: uc,\n  rules: SAFETY_RULES,\n  context_type: env.context  // 'public', 'indoor', 'traffic'\n});\n\n// Block high-risk actions immediately\nif (risk.score > 0.85) {\n  emit('SAFETY_HALT', risk.hazards);\n  return risk;\n}`,
+  },
+  {
+    id: "reflection",
+    icon: "🪞",
+    label: "Reflection",
+    color: "#00e676",
+    desc: "Self-critique the reasoning chain and update beliefs",
+    inputs: ["Full thought chain", "Prior predictions", "Outcome feedback"],
+    outputs: ["Updated beliefs", "Confidence delta", "Learning signal"],
+    latency: "300ms",
+    impl: `// Stage 5: Reflection (runs async, ~1Hz)\nconst reflection = await llm.complete({\n  system: REFLECTION_PROMPT,\n  user: formatThoughtChain(thoughtHistory.last(10)),\n  temperature: 0.7,  // Higher for creative self-critique\n  max_tokens: 256\n});\n\nbeliefStore.update(reflection.corrections);\nconfidenceCalibrator.adjust(reflection.calibration_delta);`,
+  },
+];
@@ -0,0 +1,235 @@
+import { toOutcomeFeedback } from "./feedback";
+
+// System + user prompt for each LLM call in the pipeline, the {slot} values
+// each one takes, and named versions of user edits to them.
+//
+// Slots are filled from recorded thoughts: the thought being replayed plus
+// the ones before it (newest first), and any outcome feedback on them.
+//
+// Version: { name, savedAt, templates: { [id]: { system, user } } }
+
+export const PROMPT_TEMPLATES = [
+  {
+    id: "interpretation",
+    stage: "Interpretation",
+    icon: "🔍",
+    color: "#7c4dff",
+    system: `You are a visual reasoning engine analyzing real-time camera input.
+Your job: interpret what you SEE, not what you assume.
+
+Rules:
+- Ground every claim in visible evidence
+- Use present tense ("a person is walking")
+- Separate observations from inferences with [OBS] / [INF] tags
+- If ambiguous, list top 2 hypotheses with likelihoods
+- Max 150 words
+
+Output format: JSON only`,
+    user: `Frame timestamp: {timestamp}
+Detected objects: {objects_json}
+Scene embedding similarity to last frame: {similarity_score}
+Recent history: {last_3_interpretations}
+
+What is happening in this scene?`,
+  },
+  {
+    id: "uncertainty",
+    stage: "Uncertainty Narration",
+    icon: "⚖️",
+    color: "#ff9100",
+    system: `You are an epistemic auditor for a vision AI system.
+Assess the quality and confidence of a visual interpretation.
+
+Score these dimensions (0.0–1.0):
+- visual_clarity: How clear/unoccluded is the scene?
+- semantic_certainty: How unambiguous is the interpretation?
+- temporal_consistency: Does this match recent frames?
+- completeness: Is the scene fully understood?
+
+Return ONLY valid JSON. No prose.`,
+    user: `Interpretation: {interpretation_json}
+Percept confidence scores: {confidence_array}
+Occlusion detected: {occlusion_bool}
+Frames since last stable reading: {frame_gap}
+
+Provide uncertainty assessment.`,
+  },
+  {
+    id: "reflection",
+    stage: "Reflection & Self-Critique",
+    icon: "🪞",
+    color: "#00e676",
+    system: `You are the metacognitive layer of a vision AI.
+Review the last N thoughts and identify:
+1. Prediction errors (where you were wrong)
+2. Overconfidence (high conf + wrong outcome)
+3. Underconfidence (low conf + correct outcome)
+4. Systematic biases (repeated error patterns)
+
+Be brutally honest. This is internal only.
+Output: JSON with 'corrections', 'bias_flags', 'calibration_delta'`,
+    user: `Thought chain (last 10 steps):
+{thought_history_json}
+
+Actual outcomes observed:
+{outcome_feedback_json}
+
+What did I get wrong? What should I update?`,
+  },
+  {
+    id: "risk",
+    stage: "Risk Narration",
+    icon: "🔺",
+    color: "#ff1744",
+    system: `You are a safety-first risk assessor for a real-world AI agent.
+Given a scene interpretation, identify:
+- Physical hazards (falls, collisions, fire, sharp objects)
+- Social hazards (crowds, distress, conflict)
+- Operational hazards (equipment, vehicles, obstructions)
+
+Risk score: 0.0 (safe) → 1.0 (halt immediately)
+If score > 0.7, output recommended_action: PAUSE or HALT
+
+Output: JSON only. Be conservative.`,
+    user: `Scene interpretation: {interpretation_json}
+Uncertainty level: {uncertainty_score}
+Environment context: {context_type}
+Prior risk history: {recent_risk_scores}
+
+Assess risk.`,
+  },
+];
+
+const STORAGE_KEY = "cognitive.promptVersions";
+const MAX_VERSIONS = 50;
+
+export const DEFAULT_PROMPTS = Object.fromEntries(
+  PROMPT_TEMPLATES.map(({ id, system, user }) => [id, { system, user }])
+);
+
+// "{slot}" names in order of first use
+export function templateSlots(text) {
+  return [...new Set([...text.matchAll(/\{(\w+)\}/g)].map((m) => m[1]))];
+}
+
+// Rough count for budgeting: ~4 characters per token for English and JSON
+export function estimateTokens(text) {
+  return Math.ceil((text?.length ?? 0) / 4);
+}
+
+const json = (value) => JSON.stringify(value ?? null);
+
+// Slot values for `thought`, given the thoughts before it (newest first) and
+// the feedback store's entries
+export function promptSlots(thought, earlier = [], feedbackEntries = {}) {
+  const { perception, interpretation, uncertainty } = thought.pipeline;
+  const stable = earlier.findIndex((t) => t.pipeline.uncertainty.action === "PROCEED");
+  const chain = [...earlier.slice(0, 9).reverse(), thought];
+
+  return {
+    timestamp: new Date(thought.timestamp).toISOString(),
+    objects_json: json(perception.objects),
+    // No embeddings are recorded; temporal consistency is the closest measure
+    similarity_score: uncertainty.temporal_consistency ?? "unknown",
+    last_3_interpretations: json(earlier.slice(0, 3).reverse().map((t) => t.pipeline.interpretation.summary)),
+    interpretation_json: json(interpretation),
+    confidence_array: json(perception.objects.map((o) => o.confidence)),
+    occlusion_bool: (uncertainty.flags ?? []).includes("OCCLUSION"),
+    frame_gap: stable === -1 ? earlier.length : stable,
+    thought_history_json: json(
+      chain.map((t) => ({
+        thought_id: t.thought_id,
+        summary: t.pipeline.interpretation.summary,
+        confidence: t.pipeline.uncertainty.overall,
+        action: t.pipeline.uncertainty.action,
+        risk_level: t.pipeline.risk.level,
+      }))
+    ),
+    outcome_feedback_json: json(
+      chain.map((t) => feedbackEntries[t.thought_id]).filter(Boolean).map(toOutcomeFeedback)
+    ),
+    uncertainty_score: uncertainty.overall,
+    context_type: perception.scene_type ?? "unknown",
+    recent_risk_scores: json(earlier.slice(0, 5).reverse().map((t) => t.pipeline.risk.score ?? null)),
+  };
+}
+
+// Unknown slots are left as "{slot}" so they stand out in the preview
+export function renderPrompt(text, slots) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (slots[name] != null ? String(slots[name]) : match));
+}
+
+// Line diff by longest common subsequence: [{ type: "same" | "added" | "removed", line }]
+export function diffLines(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: "same", line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: "removed", line: a[i++] });
+    } else {
+      result.push({ type: "added", line: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ type: "removed", line: a[i++] });
+  while (j < b.length) result.push({ type: "added", line: b[j++] });
+  return result;
+}
+
+function load(storage) {
+  try {
+    return JSON.parse(storage?.getItem(STORAGE_KEY)) ?? [];
+  } catch {
+    return [];
+  }
+}
+
+export function createPromptVersionStore({
+  storage = typeof window !== "undefined" ? window.localStorage : undefined,
+  now = () => Date.now(),
+} = {}) {
+  const listeners = new Set();
+  let versions = load(storage);
+
+  function setVersions(next) {
+    versions = next.slice(-MAX_VERSIONS);
+    storage?.setItem(STORAGE_KEY, JSON.stringify(versions));
+    listeners.forEach((listener) => listener());
+  }
+
+  return {
+    // Saving under an existing name replaces that version
+    save(name, templates) {
+      const trimmed = name.trim();
+      if (!trimmed) throw new Error("A version needs a name");
+      const version = { name: trimmed, savedAt: now(), templates: { ...DEFAULT_PROMPTS, ...templates } };
+      setVersions([...versions.filter((v) => v.name !== trimmed), version]);
+      return version;
+    },
+    remove(name) {
+      setVersions(versions.filter((v) => v.name !== name));
+    },
+    get: (name) => versions.find((v) => v.name === name) ?? null,
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => versions,
+  };
+}
+
+// Shared by all views
+export const promptVersions = createPromptVersionStore();
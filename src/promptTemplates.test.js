@@ -0,0 +1,132 @@
+import {
+  PROMPT_TEMPLATES,
+  DEFAULT_PROMPTS,
+  templateSlots,
+  estimateTokens,
+  promptSlots,
+  renderPrompt,
+  diffLines,
+  createPromptVersionStore,
+} from './promptTemplates';
+import { makeThought } from './testThoughts';
+
+// An occluded, held frame of the traffic scene
+const heldThought = (id, { uncertainty, risk } = {}) =>
+  makeThought(id, {
+    uncertainty: { overall: 0.7, temporal_consistency: 0.8, flags: ['OCCLUSION'], action: 'HOLD_AND_OBSERVE', ...uncertainty },
+    risk: { level: 'MEDIUM', score: 0.4, ...risk },
+  });
+
+function memoryStorage() {
+  const data = {};
+  return {
+    getItem: (k) => (k in data ? data[k] : null),
+    setItem: (k, v) => {
+      data[k] = v;
+    },
+  };
+}
+
+describe('templateSlots', () => {
+  it('lists each slot once in order of use', () => {
+    expect(templateSlots('{a} then {b} and {a}')).toEqual(['a', 'b']);
+  });
+
+  it('finds every slot the default templates use', () => {
+    const thought = heldThought('t1');
+    const slots = promptSlots(thought);
+    PROMPT_TEMPLATES.forEach(({ system, user }) =>
+      templateSlots(`${system}\n${user}`).forEach((slot) => expect(slots).toHaveProperty(slot))
+    );
+  });
+});
+
+describe('promptSlots', () => {
+  const earlier = [
+    heldThought('t3', { risk: { level: 'HIGH', score: 0.8 } }),
+    heldThought('t2', { uncertainty: { overall: 0.9, action: 'PROCEED' } }),
+    heldThought('t1'),
+  ];
+
+  it('fills slots from the thought and the ones before it', () => {
+    const slots = promptSlots(heldThought('t4'), earlier);
+    expect(JSON.parse(slots.objects_json)).toHaveLength(2);
+    expect(JSON.parse(slots.confidence_array)).toEqual([0.9, 0.6]);
+    expect(JSON.parse(slots.last_3_interpretations)).toEqual(['summary t1', 'summary t2', 'summary t3']);
+    expect(JSON.parse(slots.recent_risk_scores)).toEqual([0.4, 0.4, 0.8]);
+    expect(slots.occlusion_bool).toBe(true);
+    expect(slots.context_type).toBe('traffic');
+    expect(slots.uncertainty_score).toBe(0.7);
+  });
+
+  it('counts frames since the last PROCEED', () => {
+    expect(promptSlots(heldThought('t4'), earlier).frame_gap).toBe(1);
+    expect(promptSlots(heldThought('t4'), [earlier[0]]).frame_gap).toBe(1);
+    expect(promptSlots(heldThought('t4')).frame_gap).toBe(0);
+  });
+
+  it('includes outcome feedback for thoughts in the chain', () => {
+    const entries = {
+      t2: { thought_id: 't2', confidence: 0.9, updatedAt: 5, outcomes: [{ target: 'thought', verdict: 'rejected' }] },
+      other: { thought_id: 'other', outcomes: [] },
+    };
+    const feedback = JSON.parse(promptSlots(heldThought('t4'), earlier, entries).outcome_feedback_json);
+    expect(feedback).toEqual([
+      expect.objectContaining({ thought_id: 't2', submitted_at: 5, outcomes: [{ target: 'thought', verdict: 'rejected' }] }),
+    ]);
+    const history = JSON.parse(promptSlots(heldThought('t4'), earlier, entries).thought_history_json);
+    expect(history.map((h) => h.thought_id)).toEqual(['t1', 't2', 't3', 't4']);
+  });
+});
+
+describe('renderPrompt', () => {
+  it('replaces known slots and keeps unknown ones visible', () => {
+    expect(renderPrompt('{a} / {b} / {c}', { a: 1, b: false })).toBe('1 / false / {c}');
+  });
+
+  it('estimates about four characters per token', () => {
+    expect(estimateTokens('12345678')).toBe(2);
+    expect(estimateTokens('123456789')).toBe(3);
+    expect(estimateTokens('')).toBe(0);
+  });
+});
+
+describe('diffLines', () => {
+  it('marks added and removed lines', () => {
+    expect(diffLines('a\nb\nc', 'a\nx\nc\nd')).toEqual([
+      { type: 'same', line: 'a' },
+      { type: 'removed', line: 'b' },
+      { type: 'added', line: 'x' },
+      { type: 'same', line: 'c' },
+      { type: 'added', line: 'd' },
+    ]);
+  });
+});
+
+describe('createPromptVersionStore', () => {
+  it('saves named versions, replacing by name, and persists them', () => {
+    const storage = memoryStorage();
+    let now = 1;
+    const store = createPromptVersionStore({ storage, now: () => now++ });
+    const edited = { interpretation: { system: 'short', user: '{objects_json}' } };
+
+    store.save(' terse ', edited);
+    store.save('other', {});
+    store.save('terse', { ...edited, risk: { system: 'x', user: 'y' } });
+
+    expect(store.getSnapshot().map((v) => v.name)).toEqual(['other', 'terse']);
+    const terse = store.get('terse');
+    expect(terse.templates.interpretation.system).toBe('short');
+    expect(terse.templates.uncertainty).toEqual(DEFAULT_PROMPTS.uncertainty);
+
+    const reloaded = createPromptVersionStore({ storage });
+    expect(reloaded.get('terse').templates.risk.user).toBe('y');
+    reloaded.remove('terse');
+    expect(reloaded.getSnapshot().map((v) => v.name)).toEqual(['other']);
+  });
+
+  it('rejects versions without a name', () => {
+    const store = createPromptVersionStore({ storage: memoryStorage() });
+    expect(() => store.save('  ', {})).toThrow('A version needs a name');
+  });
+});
@@ -0,0 +1,251 @@
+import { ALERT_ESCALATE_AFTER_MS, ALERT_MAX_ESCALATION } from "./config";
+import { enforcedStream } from "./enforcedStream";
+
+// Blocking alerts for thoughts whose risk.recommended_action is HALT or
+// ALERT_HUMAN. An alert stays active until an operator acknowledges it; left
+// unacknowledged it escalates every escalateAfterMs (louder, faster alarm and
+// a desktop notification) up to maxEscalation. Further alerting thoughts
+// while one is active are folded into it.
+//
+// Every alert is kept in an audit log in localStorage:
+//
+//   { id, thought_id, action, level, score, summary, hazards,
+//     thought_ids, raisedAt, escalation, acknowledgedBy, acknowledgedAt,
+//     note, events: [{ type, at, by?, thought_id?, escalation? }] }
+//
+//   event type = "raised" | "repeated" | "escalated" | "acknowledged"
+
+const STORAGE_KEY = "cognitive.alertLog";
+const MAX_LOG = 200;
+const SEEN_IDS_LIMIT = 200;
+
+export const ALERT_ACTIONS = ["HALT", "ALERT_HUMAN"];
+
+export const needsAlert = (thought) => ALERT_ACTIONS.includes(thought?.pipeline?.risk?.recommended_action);
+
+// Beep period and volume per escalation level
+const ALARM_PATTERNS = [
+  { periodMs: 1200, frequency: 880, volume: 0.2 },
+  { periodMs: 700, frequency: 988, volume: 0.35 },
+  { periodMs: 400, frequency: 1175, volume: 0.5 },
+];
+
+// Repeating two-tone beep on WebAudio. Browsers only allow sound after the
+// page has had a user gesture; before that the alarm stays silent.
+export function createAlarm({
+  AudioContextImpl = typeof window !== "undefined" ? window.AudioContext ?? window.webkitAudioContext : undefined,
+} = {}) {
+  let ctx = null;
+  let timer = null;
+
+  function beep({ frequency, volume }) {
+    [0, 0.18].forEach((offset, i) => {
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      osc.type = "square";
+      osc.frequency.value = i ? frequency * 0.75 : frequency;
+      gain.gain.value = volume;
+      osc.connect(gain).connect(ctx.destination);
+      osc.start(ctx.currentTime + offset);
+      osc.stop(ctx.currentTime + offset + 0.15);
+    });
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    supported: Boolean(AudioContextImpl),
+    start(escalation = 0) {
+      stop();
+      if (!AudioContextImpl) return;
+      ctx = ctx ?? new AudioContextImpl();
+      ctx.resume?.();
+      const pattern = ALARM_PATTERNS[Math.min(escalation, ALARM_PATTERNS.length - 1)];
+      beep(pattern);
+      timer = setInterval(() => beep(pattern), pattern.periodMs);
+    },
+    stop,
+  };
+}
+
+// Browsers only ask from a user gesture, so this is called from the alerts
+// panel and when an alert is acknowledged. Resolves to the permission, or
+// "unsupported" without the Notification API.
+export function requestDesktopNotifications(NotificationImpl = typeof window !== "undefined" ? window.Notification : undefined) {
+  if (!NotificationImpl) return Promise.resolve("unsupported");
+  if (NotificationImpl.permission !== "default") return Promise.resolve(NotificationImpl.permission);
+  return Promise.resolve(NotificationImpl.requestPermission());
+}
+
+function desktopNotify(alert) {
+  if (typeof window === "undefined" || window.Notification?.permission !== "granted") return;
+  new window.Notification(`Unacknowledged ${alert.action} (escalation ${alert.escalation})`, {
+    body: alert.hazards.map((h) => h.description).join("; ") || alert.summary,
+    requireInteraction: true,
+  });
+}
+
+function load(storage) {
+  try {
+    return JSON.parse(storage?.getItem(STORAGE_KEY)) ?? [];
+  } catch {
+    return [];
+  }
+}
+
+export function createAlertManager({
+  stream = enforcedStream,
+  alarm = createAlarm(),
+  notify = desktopNotify,
+  storage = typeof window !== "undefined" ? window.localStorage : undefined,
+  escalateAfterMs = ALERT_ESCALATE_AFTER_MS,
+  maxEscalation = ALERT_MAX_ESCALATION,
+  now = () => Date.now(),
+} = {}) {
+  const listeners = new Set();
+  const seenIds = [];
+  let log = load(storage);
+  // An alert left active by a reload still needs acknowledging
+  let snapshot = { active: log.find((a) => !a.acknowledgedAt) ?? null, log };
+  let escalateTimer = null;
+  let lastThought = null;
+  let unsubscribe = null;
+  let resumed = false;
+
+  function update(active, nextLog) {
+    log = nextLog.slice(0, MAX_LOG);
+    storage?.setItem(STORAGE_KEY, JSON.stringify(log));
+    snapshot = { active, log };
+    listeners.forEach((listener) => listener());
+  }
+
+  // Replace the alert in the log and, while unacknowledged, as the active one
+  function save(alert) {
+    update(alert.acknowledgedAt ? null : alert, log.map((a) => (a.id === alert.id ? alert : a)));
+  }
+
+  function scheduleEscalation() {
+    clearTimeout(escalateTimer);
+    escalateTimer = null;
+    const alert = snapshot.active;
+    if (!alert || alert.escalation >= maxEscalation) return;
+    escalateTimer = setTimeout(escalate, escalateAfterMs);
+  }
+
+  function escalate() {
+    escalateTimer = null;
+    const alert = snapshot.active;
+    if (!alert) return;
+    const escalation = alert.escalation + 1;
+    const next = {
+      ...alert,
+      escalation,
+      events: [...alert.events, { type: "escalated", at: now(), escalation }],
+    };
+    save(next);
+    alarm.start(escalation);
+    notify(next);
+    scheduleEscalation();
+  }
+
+  function check(thought) {
+    if (!needsAlert(thought) || seenIds.includes(thought.thought_id)) return;
+    seenIds.push(thought.thought_id);
+    if (seenIds.length > SEEN_IDS_LIMIT) seenIds.shift();
+
+    const { risk, interpretation } = thought.pipeline;
+    const at = now();
+    const active = snapshot.active;
+
+    if (active) {
+      const known = new Set(active.hazards.map((h) => h.description));
+      save({
+        ...active,
+        thought_ids: [...active.thought_ids, thought.thought_id],
+        hazards: [...active.hazards, ...(risk.hazards ?? []).filter((h) => !known.has(h.description))],
+        events: [...active.events, { type: "repeated", at, thought_id: thought.thought_id }],
+      });
+      return;
+    }
+
+    const alert = {
+      id: `alert-${at}-${thought.thought_id}`,
+      thought_id: thought.thought_id,
+      action: risk.recommended_action,
+      level: risk.level,
+      score: risk.score ?? null,
+      summary: interpretation?.summary ?? "",
+      hazards: risk.hazards ?? [],
+      thought_ids: [thought.thought_id],
+      raisedAt: at,
+      escalation: 0,
+      acknowledgedBy: null,
+      acknowledgedAt: null,
+      note: null,
+      events: [{ type: "raised", at, thought_id: thought.thought_id }],
+    };
+    update(alert, [alert, ...log]);
+    alarm.start(0);
+    scheduleEscalation();
+  }
+
+  function acknowledge(operator, note) {
+    const alert = snapshot.active;
+    if (!alert) return;
+    const by = operator?.trim();
+    if (!by) throw new Error("Enter your name to acknowledge the alert");
+    const at = now();
+    clearTimeout(escalateTimer);
+    escalateTimer = null;
+    alarm.stop();
+    save({
+      ...alert,
+      acknowledgedBy: by,
+      acknowledgedAt: at,
+      note: note?.trim() || null,
+      events: [...alert.events, { type: "acknowledged", at, by }],
+    });
+  }
+
+  function onStream() {
+    const { thought, transport } = stream.getSnapshot();
+    if (!thought || thought === lastThought) return;
+    lastThought = thought;
+    // Replayed sessions already happened; nobody can act on them now
+    if (transport === "replay") return;
+    check(thought);
+  }
+
+  return {
+    check,
+    acknowledge,
+    clearLog() {
+      update(snapshot.active, snapshot.active ? [snapshot.active] : []);
+    },
+    // Watches the stream while someone is listening; App keeps the alert
+    // overlay mounted so that is whenever the app is open
+    subscribe(listener) {
+      listeners.add(listener);
+      if (!unsubscribe && stream) unsubscribe = stream.subscribe(onStream);
+      if (!resumed && snapshot.active) {
+        alarm.start(snapshot.active.escalation);
+        scheduleEscalation();
+      }
+      resumed = true;
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) {
+          unsubscribe?.();
+          unsubscribe = null;
+        }
+      };
+    },
+    getSnapshot: () => snapshot,
+  };
+}
+
+// Shared by all views
+export const riskAlerts = createAlertManager();
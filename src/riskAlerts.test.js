@@ -0,0 +1,175 @@
+import { createAlertManager, needsAlert, requestDesktopNotifications } from './riskAlerts';
+import { makeThought } from './testThoughts';
+
+// A critical frame recommending `action`
+const alertThought = (id, action = 'HALT', hazards = [{ type: 'physical', description: 'Car approaching', severity: 0.9 }]) =>
+  makeThought(id, { risk: { level: 'CRITICAL', score: 0.92, recommended_action: action, hazards } });
+
+function memoryStorage() {
+  const data = {};
+  return {
+    getItem: (k) => (k in data ? data[k] : null),
+    setItem: (k, v) => {
+      data[k] = v;
+    },
+  };
+}
+
+function fakeStream() {
+  const listeners = new Set();
+  let snapshot = { thought: null, transport: 'poll' };
+  return {
+    push(thought, transport = 'poll') {
+      snapshot = { thought, transport };
+      listeners.forEach((l) => l());
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => snapshot,
+  };
+}
+
+describe('createAlertManager', () => {
+  let clock;
+  let alarm;
+  let notify;
+
+  const make = (options = {}) =>
+    createAlertManager({
+      stream: null,
+      alarm,
+      notify,
+      storage: memoryStorage(),
+      escalateAfterMs: 1000,
+      maxEscalation: 2,
+      now: () => clock,
+      ...options,
+    });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    clock = 1000;
+    alarm = { start: jest.fn(), stop: jest.fn() };
+    notify = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('alerts only on HALT and ALERT_HUMAN', () => {
+    expect(needsAlert(alertThought('a', 'HALT'))).toBe(true);
+    expect(needsAlert(alertThought('a', 'ALERT_HUMAN'))).toBe(true);
+    expect(needsAlert(alertThought('a', 'PAUSE'))).toBe(false);
+
+    const manager = make();
+    manager.check(alertThought('t1', 'SLOW_DOWN'));
+    expect(manager.getSnapshot().active).toBeNull();
+    expect(alarm.start).not.toHaveBeenCalled();
+  });
+
+  it('raises a blocking alert with the alarm and its hazards', () => {
+    const manager = make();
+    manager.check(alertThought('t1'));
+    const { active, log } = manager.getSnapshot();
+    expect(active).toMatchObject({
+      thought_id: 't1',
+      action: 'HALT',
+      level: 'CRITICAL',
+      escalation: 0,
+      hazards: [expect.objectContaining({ description: 'Car approaching' })],
+    });
+    expect(log).toEqual([active]);
+    expect(alarm.start).toHaveBeenCalledWith(0);
+  });
+
+  it('folds further alerting thoughts into the active alert once each', () => {
+    const manager = make();
+    manager.check(alertThought('t1'));
+    manager.check(alertThought('t1'));
+    manager.check(alertThought('t2', 'ALERT_HUMAN', [{ description: 'Car approaching' }, { description: 'Person fell' }]));
+    const { active, log } = manager.getSnapshot();
+    expect(log).toHaveLength(1);
+    expect(active.thought_ids).toEqual(['t1', 't2']);
+    expect(active.hazards.map((h) => h.description)).toEqual(['Car approaching', 'Person fell']);
+    expect(active.events.map((e) => e.type)).toEqual(['raised', 'repeated']);
+  });
+
+  it('escalates when unacknowledged, up to the maximum', () => {
+    const manager = make();
+    manager.check(alertThought('t1'));
+
+    jest.advanceTimersByTime(999);
+    expect(manager.getSnapshot().active.escalation).toBe(0);
+    clock += 1000;
+    jest.advanceTimersByTime(1);
+    expect(manager.getSnapshot().active.escalation).toBe(1);
+    expect(alarm.start).toHaveBeenLastCalledWith(1);
+    expect(notify).toHaveBeenCalledWith(expect.objectContaining({ escalation: 1 }));
+
+    jest.advanceTimersByTime(5000);
+    expect(manager.getSnapshot().active.escalation).toBe(2);
+    expect(notify).toHaveBeenCalledTimes(2);
+  });
+
+  it('requires an operator name and records who acknowledged and when', () => {
+    const manager = make();
+    manager.check(alertThought('t1'));
+    expect(() => manager.acknowledge('  ')).toThrow('Enter your name to acknowledge the alert');
+    expect(manager.getSnapshot().active).not.toBeNull();
+
+    clock = 4000;
+    manager.acknowledge(' Sam ', ' moved the cart ');
+    const { active, log } = manager.getSnapshot();
+    expect(active).toBeNull();
+    expect(alarm.stop).toHaveBeenCalled();
+    expect(log[0]).toMatchObject({ acknowledgedBy: 'Sam', acknowledgedAt: 4000, note: 'moved the cart' });
+    expect(log[0].events[log[0].events.length - 1]).toEqual({ type: 'acknowledged', at: 4000, by: 'Sam' });
+
+    jest.advanceTimersByTime(5000);
+    expect(manager.getSnapshot().log[0].escalation).toBe(0);
+    expect(notify).not.toHaveBeenCalled();
+
+    manager.check(alertThought('t2'));
+    expect(manager.getSnapshot().log).toHaveLength(2);
+  });
+
+  it('keeps an unacknowledged alert across reloads and resumes the alarm', () => {
+    const storage = memoryStorage();
+    make({ storage }).check(alertThought('t1'));
+    alarm.start.mockClear();
+
+    const reloaded = make({ storage });
+    expect(reloaded.getSnapshot().active.thought_id).toBe('t1');
+    reloaded.subscribe(() => {});
+    expect(alarm.start).toHaveBeenCalledWith(0);
+  });
+
+  it('watches the stream while subscribed and ignores replays', () => {
+    const stream = fakeStream();
+    const manager = make({ stream });
+    const unsubscribe = manager.subscribe(() => {});
+
+    stream.push(alertThought('r1'), 'replay');
+    expect(manager.getSnapshot().active).toBeNull();
+    stream.push(alertThought('t1'));
+    expect(manager.getSnapshot().active.thought_id).toBe('t1');
+
+    manager.acknowledge('Sam');
+    unsubscribe();
+    stream.push(alertThought('t2'));
+    expect(manager.getSnapshot().active).toBeNull();
+  });
+});
+
+describe('requestDesktopNotifications', () => {
+  it('asks only while the permission is undecided', async () => {
+    const ask = jest.fn(async () => 'granted');
+    await expect(requestDesktopNotifications({ permission: 'default', requestPermission: ask })).resolves.toBe('granted');
+    await expect(requestDesktopNotifications({ permission: 'denied', requestPermission: ask })).resolves.toBe('denied');
+    expect(ask).toHaveBeenCalledTimes(1);
+    await expect(requestDesktopNotifications(null)).resolves.toBe('unsupported');
+  });
+});
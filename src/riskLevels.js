@@ -0,0 +1,26 @@
+// Risk levels from the thought schema, least to most severe
+export const RISK_LEVELS = ["SAFE", "LOW", "MEDIUM", "HIGH", "CRITICAL"];
+
+export const RISK_COLORS = {
+  SAFE: "#00e676",
+  LOW: "#00e676",
+  MEDIUM: "#ff9100",
+  HIGH: "#ff1744",
+  CRITICAL: "#d50000",
+};
+
+export const riskRank = (level) => RISK_LEVELS.indexOf(level);
+
+export const maxRisk = (a, b) => (riskRank(b) > riskRank(a) ? b : a);
+
+// Lowest score that maps to each level, most severe first
+export const RISK_THRESHOLDS = {
+  CRITICAL: 0.85,
+  HIGH: 0.6,
+  MEDIUM: 0.3,
+  LOW: 0.1,
+  SAFE: 0,
+};
+
+export const riskLevel = (score) =>
+  Object.keys(RISK_THRESHOLDS).find((level) => score >= RISK_THRESHOLDS[level]) ?? "SAFE";
@@ -0,0 +1,231 @@
+import { selectAction } from "./uncertainty";
+
+// Client-side enforcement of the reflective rules R1–R7. The engine is
+// stateful: it keeps the history each rule needs across thoughts and counts
+// pass/fail per rule for the Rules tab.
+
+export const RULE_IDS = ["R1", "R2", "R3", "R4", "R5", "R6", "R7"];
+
+export const LOW_CONFIDENCE = 0.5;
+export const LOW_CONFIDENCE_STREAK = 3;
+export const RISK_OVERRIDE_SCORE = 0.7;
+export const HALT_SCORE = 0.85;
+export const SUSPECT_REFLECTION_ROUNDS = 10;
+export const NOVEL_SCENE_FRAMES = 3;
+export const NOVEL_SCENE_MAX_CONFIDENCE = 0.6;
+export const CALIBRATION_DEBT_LIMIT = 0.5;
+export const CALIBRATION_MULTIPLIER = 0.85;
+
+// Calibration debt bookkeeping (R7)
+export const OVERCONFIDENT_THRESHOLD = 0.75;
+export const UNDERCONFIDENT_THRESHOLD = 0.5;
+export const OVERCONFIDENT_DEBT = 0.1;
+export const UNDERCONFIDENT_DEBT = 0.05;
+export const ACCURATE_REPAYMENT = 0.05;
+
+const STOPPING_ACTIONS = ["PAUSE", "HALT", "ALERT_HUMAN"];
+
+// One step of R7's calibration debt for an observed outcome
+export function nextCalibrationDebt(debt, { confidence, correct }) {
+  if (!correct && confidence >= OVERCONFIDENT_THRESHOLD) return debt + OVERCONFIDENT_DEBT;
+  if (correct && confidence < UNDERCONFIDENT_THRESHOLD) return debt + UNDERCONFIDENT_DEBT;
+  return Math.max(0, debt - ACCURATE_REPAYMENT);
+}
+
+function initialState() {
+  return {
+    lowConfStreak: 0,
+    zeroCorrectionRounds: 0,
+    chainId: null,
+    sceneType: null,
+    framesInChain: 0,
+    calibrationDebt: 0,
+  };
+}
+
+function initialStats() {
+  return Object.fromEntries(
+    RULE_IDS.map((id) => [id, { pass: 0, fail: 0, lastViolation: null }])
+  );
+}
+
+// Copy only the parts of the thought the rules may rewrite
+function cloneForEnforcement(thought) {
+  return {
+    ...thought,
+    pipeline: {
+      ...thought.pipeline,
+      uncertainty: { ...thought.pipeline.uncertainty },
+      risk: { ...thought.pipeline.risk },
+    },
+    meta: { ...thought.meta },
+  };
+}
+
+export function createRuleEngine() {
+  let state = initialState();
+  let stats = initialStats();
+
+  function evaluate(incoming) {
+    const thought = cloneForEnforcement(incoming);
+    const { interpretation = {}, uncertainty, risk, reflection } = thought.pipeline;
+    const flags = uncertainty.flags ?? [];
+    const results = {};
+    const violations = [];
+    const events = [];
+
+    const fail = (rule, msg) => {
+      results[rule] = "fail";
+      violations.push({ rule, msg });
+    };
+    const pass = (rule) => {
+      if (!results[rule]) results[rule] = "pass";
+    };
+
+    // R1: Evidence requirement
+    if (interpretation.summary && !interpretation.observations?.length) {
+      fail("R1", "Interpretation missing observation grounding");
+    } else {
+      pass("R1");
+    }
+
+    // R2: Sustained low confidence escalation (the override is applied
+    // after R7 and R6, which may recompute the action)
+    state.lowConfStreak =
+      uncertainty.overall < LOW_CONFIDENCE ? state.lowConfStreak + 1 : 0;
+    const sustainedLowConfidence = state.lowConfStreak >= LOW_CONFIDENCE_STREAK;
+    if (sustainedLowConfidence) {
+      events.push({ type: "SUSTAINED_LOW_CONFIDENCE", streak: state.lowConfStreak });
+    }
+
+    // R5: Chain bookkeeping happens before R6 needs the frame count
+    const chainId = thought.meta.thought_chain_id ?? null;
+    const sceneType = thought.pipeline.perception?.scene_type ?? null;
+    const sceneChanged =
+      state.sceneType !== null && sceneType !== null && sceneType !== state.sceneType;
+    if (!chainId) {
+      fail("R5", "Thought has no thought_chain_id");
+    } else if (chainId === state.chainId && sceneChanged) {
+      fail("R5", `Scene changed ${state.sceneType} → ${sceneType} without a new chain`);
+    } else {
+      pass("R5");
+    }
+    if (chainId !== state.chainId) {
+      state.chainId = chainId;
+      state.framesInChain = 0;
+    }
+    state.sceneType = sceneType;
+    const framesBefore = state.framesInChain;
+    state.framesInChain += 1;
+
+    // R4: Reflection that never finds an error is suspect
+    if (reflection) {
+      state.zeroCorrectionRounds = reflection.corrections?.length
+        ? 0
+        : state.zeroCorrectionRounds + 1;
+      if (state.zeroCorrectionRounds >= SUSPECT_REFLECTION_ROUNDS) {
+        fail("R4", `${state.zeroCorrectionRounds} reflection rounds with zero corrections`);
+      } else {
+        pass("R4");
+      }
+    }
+
+    // R7: Calibration debt dampens confidence until repaid
+    if (state.calibrationDebt > CALIBRATION_DEBT_LIMIT) {
+      uncertainty.overall *= CALIBRATION_MULTIPLIER;
+      uncertainty.action = selectAction(uncertainty.overall, flags);
+      fail("R7", `calibration_debt=${state.calibrationDebt.toFixed(2)} → ${CALIBRATION_MULTIPLIER} multiplier`);
+    } else {
+      pass("R7");
+    }
+
+    // R6: Novelty patience
+    if (
+      flags.includes("NOVEL_SCENE") &&
+      framesBefore < NOVEL_SCENE_FRAMES &&
+      uncertainty.overall > NOVEL_SCENE_MAX_CONFIDENCE
+    ) {
+      uncertainty.overall = NOVEL_SCENE_MAX_CONFIDENCE;
+      uncertainty.action = "HOLD_AND_OBSERVE";
+      fail("R6", `Novel scene frame ${framesBefore + 1} capped at ${NOVEL_SCENE_MAX_CONFIDENCE}`);
+    } else {
+      pass("R6");
+    }
+
+    // R2: Surface the streak to the caller and hold
+    if (sustainedLowConfidence) {
+      if (!flags.includes("SUSTAINED_LOW_CONFIDENCE")) {
+        uncertainty.flags = [...flags, "SUSTAINED_LOW_CONFIDENCE"];
+      }
+      if (uncertainty.action !== "HOLD_AND_OBSERVE") {
+        fail("R2", `${uncertainty.action} after ${state.lowConfStreak} low-confidence frames → HOLD_AND_OBSERVE`);
+        uncertainty.action = "HOLD_AND_OBSERVE";
+      }
+    }
+    pass("R2");
+
+    // R3: Risk overrides confidence
+    const highRisk =
+      risk.level === "HIGH" || risk.level === "CRITICAL" || risk.score > RISK_OVERRIDE_SCORE;
+    if (
+      highRisk &&
+      (uncertainty.action === "PROCEED" || !STOPPING_ACTIONS.includes(risk.recommended_action))
+    ) {
+      if (uncertainty.action === "PROCEED") uncertainty.action = "HOLD_AND_OBSERVE";
+      if (!STOPPING_ACTIONS.includes(risk.recommended_action)) {
+        risk.recommended_action =
+          risk.level === "CRITICAL" || risk.score > HALT_SCORE ? "HALT" : "PAUSE";
+      }
+      fail("R3", "Risk gate override applied");
+    } else {
+      pass("R3");
+    }
+
+    RULE_IDS.forEach((id) => {
+      if (!results[id]) return;
+      const s = stats[id];
+      if (results[id] === "pass") {
+        s.pass += 1;
+      } else {
+        s.fail += 1;
+        s.lastViolation = {
+          thought_id: thought.thought_id,
+          msg: violations.find((v) => v.rule === id).msg,
+        };
+      }
+    });
+
+    thought.meta.triggered_rules = violations.map((v) => v.rule);
+    return { thought, violations, results, events };
+  }
+
+  // Feed an observed outcome into R7's calibration debt
+  function recordOutcome(outcome) {
+    state.calibrationDebt = nextCalibrationDebt(state.calibrationDebt, outcome);
+    return state.calibrationDebt;
+  }
+
+  // Debt replayed from stored outcomes (see calibration.js)
+  function setCalibrationDebt(debt) {
+    state.calibrationDebt = debt;
+  }
+
+  return {
+    evaluate,
+    recordOutcome,
+    setCalibrationDebt,
+    getStats: () =>
+      Object.fromEntries(RULE_IDS.map((id) => [id, { ...stats[id] }])),
+    getState: () => ({ ...state }),
+    reset: () => {
+      state = initialState();
+      stats = initialStats();
+    },
+  };
+}
+
+// A recorded sequence (oldest first) with the rules applied in order, as a
+// fresh engine would have enforced it live
+export function enforceThoughts(thoughts, engine = createRuleEngine()) {
+  return thoughts.map((t) => engine.evaluate(t).thought);
+}
@@ -0,0 +1,66 @@
+import { createRuleEngine, enforceThoughts } from './ruleEngine';
+import { makeThought } from './testThoughts';
+
+test('R3 forces a stop on high risk without mutating the input', () => {
+  const engine = createRuleEngine();
+  const input = makeThought('t', { risk: { score: 0.9, level: 'HIGH' } });
+  const { thought } = engine.evaluate(input);
+  expect(thought.pipeline.risk.recommended_action).toBe('HALT');
+  expect(thought.pipeline.uncertainty.action).toBe('HOLD_AND_OBSERVE');
+  expect(thought.meta.triggered_rules).toContain('R3');
+  expect(input.pipeline.risk.recommended_action).toBe('CONTINUE');
+});
+
+test('R6 caps confidence for the first frames of a novel chain', () => {
+  const engine = createRuleEngine();
+  const results = [1, 2, 3, 4].map(() => engine.evaluate(makeThought('t', { uncertainty: { overall: 0.9, flags: ['NOVEL_SCENE'] } })).thought);
+  expect(results.slice(0, 3).every((t) => t.pipeline.uncertainty.overall === 0.6)).toBe(true);
+  expect(results[3].pipeline.uncertainty.overall).toBe(0.9);
+});
+
+test('R2 flags proceeding through a low-confidence streak', () => {
+  const engine = createRuleEngine();
+  engine.evaluate(makeThought('t', { uncertainty: { overall: 0.3 } }));
+  engine.evaluate(makeThought('t', { uncertainty: { overall: 0.3 } }));
+  const { violations, events } = engine.evaluate(makeThought('t', { uncertainty: { overall: 0.3 } }));
+  expect(violations.map((v) => v.rule)).toContain('R2');
+  expect(events[0].type).toBe('SUSTAINED_LOW_CONFIDENCE');
+});
+
+test('R2 escalates a low-confidence streak to HOLD_AND_OBSERVE with a flag', () => {
+  const engine = createRuleEngine();
+  const low = () => makeThought('t', { uncertainty: { overall: 0.2, action: 'FALLBACK_TO_PRIOR', flags: ['OCCLUSION'] } });
+  const first = engine.evaluate(low()).thought;
+  engine.evaluate(low());
+  const input = low();
+  const { thought } = engine.evaluate(input);
+
+  expect(first.pipeline.uncertainty.action).toBe('FALLBACK_TO_PRIOR');
+  expect(thought.pipeline.uncertainty.action).toBe('HOLD_AND_OBSERVE');
+  expect(thought.pipeline.uncertainty.flags).toEqual(['OCCLUSION', 'SUSTAINED_LOW_CONFIDENCE']);
+  expect(thought.meta.triggered_rules).toContain('R2');
+  expect(input.pipeline.uncertainty.flags).toEqual(['OCCLUSION']);
+});
+
+test('R4 flags ten reflections without corrections', () => {
+  const engine = createRuleEngine();
+  for (let i = 0; i < 9; i++) engine.evaluate(makeThought('t', { reflection: { corrections: [] } }));
+  expect(engine.getStats().R4.fail).toBe(0);
+  engine.evaluate(makeThought('t', { reflection: { corrections: [] } }));
+  expect(engine.getStats().R4).toMatchObject({ pass: 9, fail: 1 });
+});
+
+test('R7 applies the multiplier while calibration debt is above 0.5', () => {
+  const engine = createRuleEngine();
+  for (let i = 0; i < 6; i++) engine.recordOutcome({ confidence: 0.9, correct: false });
+  const { thought } = engine.evaluate(makeThought('t', { uncertainty: { overall: 0.8 } }));
+  expect(thought.pipeline.uncertainty.overall).toBeCloseTo(0.68);
+  expect(thought.meta.triggered_rules).toContain('R7');
+});
+
+test('enforceThoughts applies the rules across a recorded sequence', () => {
+  const thoughts = [0.3, 0.3, 0.3].map((overall) => makeThought('t', { uncertainty: { overall } }));
+  const enforced = enforceThoughts(thoughts);
+  expect(enforced.map((t) => t.meta.triggered_rules.includes('R2'))).toEqual([false, false, true]);
+  expect(thoughts[2].meta.triggered_rules).toBeUndefined();
+});
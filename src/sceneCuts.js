@@ -0,0 +1,148 @@
+import { SCENE_CUT_SIMILARITY, SCENE_MIN_DURATION_MS } from "./config";
+
+// Scene-cut detection on the frames sent to the backend, so a new scene
+// starts a new thought chain (rule R5) even when the backend can't tell.
+//
+// Each frame is fingerprinted with a 64-bit difference hash (layout) and a
+// 64-bin colour histogram (palette). Similarity to the previous frame is
+// the mean of the two, 0–1:
+//
+//   hash       1 − 2 × hamming / 64, floored at 0 (unrelated frames ≈ 0)
+//   histogram  histogram intersection
+//
+// Below the threshold is a cut: the frame gets a new thought_chain_id and
+// a cut event is emitted.
+//
+// Cut: { at, frame_ref, from, to, similarity }  (from / to are chain ids)
+// Snapshot: { chainId, similarity, cuts }  (cuts oldest first)
+
+const HASH_WIDTH = 9; // 9 × 8 greys → 8 × 8 left/right comparisons
+const HASH_HEIGHT = 8;
+const HASH_BITS = (HASH_WIDTH - 1) * HASH_HEIGHT;
+const COLOUR_LEVELS = 4; // per channel, 4³ = 64 bins
+const SAMPLE_STEP = 2;
+const KEEP_CUTS = 50;
+
+const round = (v) => Math.round(v * 100) / 100;
+
+// { hash: Uint8Array of 0/1 bits, histogram: Float32Array summing to 1 }
+export function fingerprint({ data, width, height }, step = SAMPLE_STEP) {
+  const greys = new Float32Array(HASH_WIDTH * HASH_HEIGHT);
+  const counts = new Uint32Array(HASH_WIDTH * HASH_HEIGHT);
+  const histogram = new Float32Array(COLOUR_LEVELS ** 3);
+  let samples = 0;
+
+  for (let y = 0; y < height; y += step) {
+    const cellY = Math.min(HASH_HEIGHT - 1, Math.floor((y / height) * HASH_HEIGHT));
+    for (let x = 0; x < width; x += step) {
+      const i = (y * width + x) * 4;
+      const [r, g, b] = [data[i], data[i + 1], data[i + 2]];
+      const cell = cellY * HASH_WIDTH + Math.min(HASH_WIDTH - 1, Math.floor((x / width) * HASH_WIDTH));
+      greys[cell] += 0.299 * r + 0.587 * g + 0.114 * b;
+      counts[cell] += 1;
+
+      const bin = (c) => Math.min(COLOUR_LEVELS - 1, Math.floor((c / 256) * COLOUR_LEVELS));
+      histogram[(bin(r) * COLOUR_LEVELS + bin(g)) * COLOUR_LEVELS + bin(b)] += 1;
+      samples += 1;
+    }
+  }
+
+  const mean = (cell) => (counts[cell] ? greys[cell] / counts[cell] : 0);
+  const hash = new Uint8Array(HASH_BITS);
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      hash[y * (HASH_WIDTH - 1) + x] = mean(y * HASH_WIDTH + x) > mean(y * HASH_WIDTH + x + 1) ? 1 : 0;
+    }
+  }
+  if (samples) histogram.forEach((count, i) => (histogram[i] = count / samples));
+  return { hash, histogram };
+}
+
+export function hashSimilarity(a, b) {
+  let differing = 0;
+  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) differing += 1;
+  return Math.max(0, 1 - (2 * differing) / a.length);
+}
+
+export function histogramSimilarity(a, b) {
+  let shared = 0;
+  for (let i = 0; i < a.length; i++) shared += Math.min(a[i], b[i]);
+  return shared;
+}
+
+export function frameSimilarity(a, b) {
+  return round((hashSimilarity(a.hash, b.hash) + histogramSimilarity(a.histogram, b.histogram)) / 2);
+}
+
+// Chain ids are "scene-<session>-001", "scene-<session>-002", … so chains
+// from different page loads never collide
+export function createSceneCutDetector({
+  threshold = SCENE_CUT_SIMILARITY,
+  minSceneMs = SCENE_MIN_DURATION_MS,
+  now = () => Date.now(),
+} = {}) {
+  const listeners = new Set();
+  const cutListeners = new Set();
+  const session = now().toString(36);
+  let serial = 0;
+  let previous = null;
+  let sceneStart = null;
+  let snapshot = { chainId: null, similarity: null, cuts: [] };
+
+  const nextChainId = () => `scene-${session}-${String(++serial).padStart(3, "0")}`;
+
+  function update(patch) {
+    snapshot = { ...snapshot, ...patch };
+    listeners.forEach((listener) => listener());
+  }
+
+  // Returns the chain the frame belongs to and its similarity to the frame
+  // before (null for the first frame after a reset)
+  function observe(imageData, frameRef = null) {
+    const print = fingerprint(imageData);
+    const at = now();
+    const similarity = previous ? frameSimilarity(print, previous) : null;
+    previous = print;
+
+    if (!snapshot.chainId) {
+      sceneStart = at;
+      update({ chainId: nextChainId(), similarity });
+    } else if (similarity < threshold && at - sceneStart >= minSceneMs) {
+      const cut = { at, frame_ref: frameRef, from: snapshot.chainId, to: nextChainId(), similarity };
+      sceneStart = at;
+      update({ chainId: cut.to, similarity, cuts: [...snapshot.cuts, cut].slice(-KEEP_CUTS) });
+      cutListeners.forEach((listener) => listener(cut));
+    } else {
+      update({ similarity });
+    }
+    return { chainId: snapshot.chainId, similarity };
+  }
+
+  return {
+    observe,
+    // Frame uploader enricher: stamps the chain id on every outgoing frame
+    enrich(canvas, frame) {
+      const { chainId, similarity } = observe(
+        canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height),
+        frame?.frame_ref ?? null
+      );
+      return { thought_chain_id: chainId, scene_similarity: similarity };
+    },
+    // The camera stopped: whatever comes next is a new chain. Cuts are kept
+    // for the timeline.
+    reset() {
+      previous = null;
+      sceneStart = null;
+      update({ chainId: null, similarity: null });
+    },
+    onCut(listener) {
+      cutListeners.add(listener);
+      return () => cutListeners.delete(listener);
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => snapshot,
+  };
+}
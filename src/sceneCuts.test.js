@@ -0,0 +1,86 @@
+import { fingerprint, frameSimilarity, hashSimilarity, createSceneCutDetector } from './sceneCuts';
+
+const SIZE = 32;
+
+// RGBA ImageData-like frame from a colour function of (x, y)
+function makeImage(colour) {
+  const data = new Uint8ClampedArray(SIZE * SIZE * 4);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      data.set([...colour(x, y), 255], (y * SIZE + x) * 4);
+    }
+  }
+  return { data, width: SIZE, height: SIZE };
+}
+
+// Dark-to-light left-to-right gradient in blue, and its mirror in orange
+const blueRoom = (shift = 0) => makeImage((x) => [20, 40, Math.min(255, 60 + (x + shift) * 6)]);
+const orangeStreet = () => makeImage((x) => [Math.min(255, 250 - x * 6), 140, 20]);
+
+describe('similarity', () => {
+  it('rates a frame identical to itself and a slight shift as similar', () => {
+    const a = fingerprint(blueRoom());
+    expect(frameSimilarity(a, a)).toBe(1);
+    expect(frameSimilarity(a, fingerprint(blueRoom(1)))).toBeGreaterThan(0.7);
+  });
+
+  it('rates a different layout and palette as dissimilar', () => {
+    const a = fingerprint(blueRoom());
+    const b = fingerprint(orangeStreet());
+    expect(hashSimilarity(a.hash, b.hash)).toBe(0);
+    expect(frameSimilarity(a, b)).toBeLessThan(0.4);
+  });
+});
+
+describe('createSceneCutDetector', () => {
+  let clock;
+  const detector = (options) => createSceneCutDetector({ now: () => clock, ...options });
+
+  beforeEach(() => {
+    clock = 1000;
+  });
+
+  it('starts a chain on the first frame and keeps it while the scene holds', () => {
+    const d = detector();
+    expect(d.observe(blueRoom(), 'f1')).toEqual({ chainId: expect.stringMatching(/^scene-\w+-001$/), similarity: null });
+    clock += 5000;
+    const { chainId } = d.observe(blueRoom(1), 'f2');
+    expect(chainId).toMatch(/-001$/);
+    expect(d.getSnapshot().cuts).toEqual([]);
+  });
+
+  it('emits a cut and a new chain id when the scene changes', () => {
+    const d = detector();
+    const onCut = jest.fn();
+    d.onCut(onCut);
+    const first = d.observe(blueRoom(), 'f1').chainId;
+    clock += 5000;
+    const second = d.observe(orangeStreet(), 'f2').chainId;
+
+    expect(second).toMatch(/-002$/);
+    expect(onCut).toHaveBeenCalledWith({ at: 6000, frame_ref: 'f2', from: first, to: second, similarity: expect.any(Number) });
+    expect(d.getSnapshot()).toMatchObject({ chainId: second, cuts: [onCut.mock.calls[0][0]] });
+  });
+
+  it('ignores cuts closer together than the minimum scene length', () => {
+    const d = detector({ minSceneMs: 2000 });
+    d.observe(blueRoom());
+    clock += 500;
+    d.observe(orangeStreet());
+    expect(d.getSnapshot().cuts).toHaveLength(0);
+    clock += 2000;
+    d.observe(blueRoom());
+    expect(d.getSnapshot().cuts).toHaveLength(1);
+  });
+
+  it('stamps the chain id on uploaded frames and starts a new chain after a reset', () => {
+    const d = detector();
+    const imageData = blueRoom();
+    const canvas = { width: SIZE, height: SIZE, getContext: () => ({ getImageData: () => imageData }) };
+
+    expect(d.enrich(canvas, { frame_ref: 'f1' })).toEqual({ thought_chain_id: expect.stringMatching(/-001$/), scene_similarity: null });
+    d.reset();
+    expect(d.enrich(canvas, { frame_ref: 'f2' }).thought_chain_id).toMatch(/-002$/);
+    expect(d.getSnapshot().cuts).toHaveLength(0);
+  });
+});
@@ -0,0 +1,153 @@
+import { thoughtStream } from "./thoughtStream";
+
+// Replays a recorded session (see sessionRecorder.js) through the thought
+// stream, so every view behaves as if the backend were sending it. The player
+// is a transport-shaped source with play / pause / seek / speed controls and
+// exposes the recorded frame for the current position.
+//
+// Snapshot: { playing, position, speed, duration, frame, ended }
+
+const TICK_MS = 100;
+const HEARTBEAT_MS = 1000;
+
+// Index of the last entry with t ≤ position, or -1
+function lastAtOrBefore(entries, position) {
+  let lo = 0;
+  let hi = entries.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (entries[mid].t <= position) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+export function createSessionPlayer(session, { now = () => Date.now() } = {}) {
+  const listeners = new Set();
+  const thoughts = [...session.thoughts].sort((a, b) => a.t - b.t);
+  const frames = [...session.frames].sort((a, b) => a.t - b.t);
+  const duration = Math.max(
+    session.duration_ms ?? 0,
+    thoughts[thoughts.length - 1]?.t ?? 0,
+    frames[frames.length - 1]?.t ?? 0
+  );
+
+  let snapshot = { playing: false, position: 0, speed: 1, duration, frame: null, ended: false };
+  let ctx = null;
+  let cursor = 0; // next thought to deliver
+  let timer = null;
+  let lastTick = null;
+  let lastHeartbeat = 0;
+
+  function update(patch) {
+    snapshot = { ...snapshot, ...patch };
+    listeners.forEach((listener) => listener());
+  }
+
+  function currentFrame(position) {
+    const i = lastAtOrBefore(frames, position);
+    return i === -1 ? null : frames[i];
+  }
+
+  function deliverUpTo(position) {
+    while (cursor < thoughts.length && thoughts[cursor].t <= position) {
+      ctx?.onMessage(thoughts[cursor].thought);
+      cursor += 1;
+    }
+  }
+
+  function tick() {
+    const t = now();
+    let position = snapshot.position;
+    if (snapshot.playing) {
+      position = Math.min(duration, position + (t - lastTick) * snapshot.speed);
+    }
+    lastTick = t;
+    deliverUpTo(position);
+
+    if (t - lastHeartbeat >= HEARTBEAT_MS) {
+      lastHeartbeat = t;
+      ctx?.onMessage({ type: "heartbeat" });
+    }
+
+    const ended = position >= duration;
+    const frame = currentFrame(position);
+    if (position !== snapshot.position || frame !== snapshot.frame || ended !== snapshot.ended) {
+      update({ position, frame, ended, playing: snapshot.playing && !ended });
+    }
+  }
+
+  function seek(position) {
+    const clamped = Math.max(0, Math.min(duration, position));
+    ctx?.resetSeen();
+
+    // Show the thought that was on screen at that moment
+    const i = lastAtOrBefore(thoughts, clamped);
+    cursor = i === -1 ? 0 : i;
+    deliverUpTo(clamped);
+    update({ position: clamped, frame: currentFrame(clamped), ended: clamped >= duration });
+  }
+
+  return {
+    // Transport interface for thoughtStream.setSource
+    open(context) {
+      ctx = context;
+      ctx.onOpen();
+      lastTick = now();
+      seek(snapshot.position);
+      timer = setInterval(tick, TICK_MS);
+      return () => {
+        clearInterval(timer);
+        ctx = null;
+      };
+    },
+    play() {
+      lastTick = now();
+      if (snapshot.ended) seek(0);
+      update({ playing: true, ended: false });
+    },
+    pause: () => update({ playing: false }),
+    seek,
+    setSpeed: (speed) => update({ speed }),
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => snapshot,
+  };
+}
+
+// The session currently replaying, shared by all views
+const replayListeners = new Set();
+let activePlayer = null;
+
+function setActivePlayer(player) {
+  activePlayer = player;
+  replayListeners.forEach((listener) => listener());
+}
+
+export const replay = {
+  load(session, stream = thoughtStream) {
+    activePlayer?.pause();
+    const player = createSessionPlayer(session);
+    setActivePlayer(player);
+    stream.setSource("replay", player.open);
+    return player;
+  },
+  eject(stream = thoughtStream) {
+    if (!activePlayer) return;
+    activePlayer.pause();
+    setActivePlayer(null);
+    stream.clearSource();
+  },
+  subscribe(listener) {
+    replayListeners.add(listener);
+    return () => replayListeners.delete(listener);
+  },
+  getPlayer: () => activePlayer,
+};
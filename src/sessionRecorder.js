@@ -0,0 +1,112 @@
+import { thoughtStream } from "./thoughtStream";
+import { downloadFile } from "./thoughtExport";
+
+// Records the full thought stream, optionally with the webcam frames that
+// were uploaded alongside it, into a session file that sessionPlayer.js can
+// replay through the same UI.
+//
+// Session file (JSON):
+//   { format, version, recorded_at, duration_ms,
+//     thoughts: [{ t, thought }],            t = ms since recording started
+//     frames:   [{ t, frame_ref, captured_at, width, height, image }] }
+
+export const SESSION_FORMAT = "cognitive-session";
+export const SESSION_VERSION = 1;
+
+export function createSessionRecorder({ stream = thoughtStream, now = () => Date.now() } = {}) {
+  const listeners = new Set();
+
+  let snapshot = {
+    recording: false,
+    includeFrames: false,
+    startedAt: null,
+    stoppedAt: null,
+    thoughtCount: 0,
+    frameCount: 0,
+  };
+  let thoughts = [];
+  let frames = [];
+  let lastThought = null;
+  let unsubscribe = null;
+
+  function update(patch) {
+    snapshot = { ...snapshot, ...patch };
+    listeners.forEach((listener) => listener());
+  }
+
+  function onStream() {
+    const { thought, transport } = stream.getSnapshot();
+    if (!thought || thought === lastThought || transport === "replay") return;
+    lastThought = thought;
+    thoughts.push({ t: now() - snapshot.startedAt, thought });
+    update({ thoughtCount: thoughts.length });
+  }
+
+  function start({ includeFrames = false } = {}) {
+    if (snapshot.recording) return;
+    thoughts = [];
+    frames = [];
+    lastThought = stream.getSnapshot().thought;
+    update({ recording: true, includeFrames, startedAt: now(), stoppedAt: null, thoughtCount: 0, frameCount: 0 });
+    unsubscribe = stream.subscribe(onStream);
+  }
+
+  function stop() {
+    if (!snapshot.recording) return;
+    unsubscribe?.();
+    unsubscribe = null;
+    update({ recording: false, stoppedAt: now() });
+  }
+
+  // Called by the frame uploader with each captured frame
+  function recordFrame(frame) {
+    if (!snapshot.recording || !snapshot.includeFrames) return;
+    frames.push({ t: now() - snapshot.startedAt, ...frame });
+    update({ frameCount: frames.length });
+  }
+
+  function toSession() {
+    return {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      recorded_at: snapshot.startedAt,
+      duration_ms: (snapshot.stoppedAt ?? now()) - snapshot.startedAt,
+      thoughts,
+      frames,
+    };
+  }
+
+  function download(filename = `session-${new Date(snapshot.startedAt ?? now()).toISOString().replace(/[:.]/g, "-")}.json`) {
+    downloadFile(JSON.stringify(toSession()), filename, "application/json");
+  }
+
+  return {
+    start,
+    stop,
+    recordFrame,
+    toSession,
+    download,
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => snapshot,
+  };
+}
+
+export function parseSession(text) {
+  const session = JSON.parse(text);
+  if (session?.format !== SESSION_FORMAT) {
+    throw new Error("Not a cognitive session file");
+  }
+  if (session.version > SESSION_VERSION) {
+    throw new Error(`Session version ${session.version} is newer than this app supports`);
+  }
+  if (!Array.isArray(session.thoughts)) {
+    throw new Error("Session has no thoughts");
+  }
+  return { ...session, frames: session.frames ?? [] };
+}
+
+// Shared by all views
+export const sessionRecorder = createSessionRecorder();
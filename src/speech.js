@@ -0,0 +1,206 @@
+// Shared speech output. Every view speaks through one queue so lines never
+// overlap: urgent risk speech cuts off calmer narration, routine lines are
+// dropped while something else is being said, and consecutive utterances are
+// spaced by at least minGapMs.
+//
+//   say(text, { tone, priority }) → true if spoken or queued
+//
+// Snapshot: { enabled, speaking, queued, dropped, voices }
+//   speaking = { text, tone, priority } | null, voices = { [tone]: voiceURI }
+
+const STORAGE_KEY = "cognitive.voices";
+
+export const VOICE_PROFILES = {
+  calm: { rate: 0.95, pitch: 1.05, priority: "low" },
+  curious: { rate: 1.0, pitch: 1.2, priority: "normal" },
+  urgent: { rate: 1.1, pitch: 0.8, priority: "urgent" },
+};
+
+// low lines are dropped rather than queued behind other speech
+const PRIORITY_RANK = { low: 0, normal: 1, urgent: 2 };
+
+const URGENT_LEVELS = ["HIGH", "CRITICAL"];
+const URGENT_ACTIONS = ["HALT", "ALERT_HUMAN"];
+
+// Tone for narrating a thought; a valid meta.tone from the backend wins
+export function toneFor(thought) {
+  const { uncertainty, risk } = thought?.pipeline ?? {};
+  if (URGENT_LEVELS.includes(risk?.level) || URGENT_ACTIONS.includes(risk?.recommended_action)) return "urgent";
+  if (VOICE_PROFILES[thought?.meta?.tone]) return thought.meta.tone;
+  if (uncertainty?.flags?.length || (uncertainty?.overall ?? 1) < 0.5) return "curious";
+  return "calm";
+}
+
+// The voice the views used to pick by hand
+export function preferredVoice(voices) {
+  return (
+    voices.find((v) => v.name.includes("Google")) ||
+    voices.find((v) => v.name.includes("Microsoft")) ||
+    voices[0] ||
+    null
+  );
+}
+
+function loadVoices(storage) {
+  try {
+    return JSON.parse(storage?.getItem(STORAGE_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+}
+
+export function createSpeechService({
+  synth = typeof window !== "undefined" ? window.speechSynthesis : undefined,
+  Utterance = typeof window !== "undefined" ? window.SpeechSynthesisUtterance : undefined,
+  storage = typeof window !== "undefined" ? window.localStorage : undefined,
+  minGapMs = 400,
+  maxQueue = 3,
+  now = () => Date.now(),
+} = {}) {
+  const listeners = new Set();
+  const supported = Boolean(synth && Utterance);
+
+  let snapshot = { enabled: false, speaking: null, queued: 0, dropped: 0, voices: loadVoices(storage) };
+  let queue = [];
+  let current = null; // { item, utterance }
+  let lastEndedAt = -Infinity;
+  let gapTimer = null;
+  let lastSaid = null;
+
+  function update(patch) {
+    snapshot = { ...snapshot, ...patch, queued: queue.length };
+    listeners.forEach((listener) => listener());
+  }
+
+  // Voices load asynchronously in most browsers
+  synth?.addEventListener?.("voiceschanged", () => update({}));
+
+  function availableVoices() {
+    return supported ? synth.getVoices() : [];
+  }
+
+  function voiceFor(tone) {
+    const voices = availableVoices();
+    return voices.find((v) => v.voiceURI === snapshot.voices[tone]) || preferredVoice(voices);
+  }
+
+  function finish(entry) {
+    if (current !== entry) return; // cut off and already replaced
+    current = null;
+    lastEndedAt = now();
+    update({ speaking: null });
+    pump();
+  }
+
+  function pump() {
+    if (current || queue.length === 0 || gapTimer) return;
+
+    const wait = lastEndedAt + minGapMs - now();
+    if (wait > 0) {
+      gapTimer = setTimeout(() => {
+        gapTimer = null;
+        lastEndedAt = -Infinity;
+        pump();
+      }, wait);
+      return;
+    }
+
+    const item = queue.shift();
+    const profile = VOICE_PROFILES[item.tone] ?? VOICE_PROFILES.calm;
+    const utterance = new Utterance(item.text);
+    utterance.voice = voiceFor(item.tone);
+    utterance.rate = profile.rate;
+    utterance.pitch = profile.pitch;
+    utterance.volume = 1;
+
+    const entry = { item, utterance };
+    utterance.onend = () => finish(entry);
+    utterance.onerror = () => finish(entry);
+    current = entry;
+    lastSaid = item;
+    update({ speaking: item });
+    synth.speak(utterance);
+  }
+
+  function drop(count = 1) {
+    update({ dropped: snapshot.dropped + count });
+  }
+
+  function say(text, { tone = "calm", priority = VOICE_PROFILES[tone]?.priority ?? "normal" } = {}) {
+    if (!supported || !snapshot.enabled || !text) return false;
+    const item = { text, tone, priority };
+    const rank = PRIORITY_RANK[priority];
+
+    if (current?.item.text === text || queue.some((q) => q.text === text)) return false;
+
+    if (priority === "urgent") {
+      // Urgent speech preempts anything calmer, now
+      const dropped = queue.filter((q) => q.priority !== "urgent").length;
+      queue = queue.filter((q) => q.priority === "urgent");
+      if (current && current.item.priority !== "urgent") {
+        current = null;
+        synth.cancel();
+        lastEndedAt = -Infinity;
+        clearTimeout(gapTimer);
+        gapTimer = null;
+      }
+      if (dropped) drop(dropped);
+    } else if (priority === "low" && (current || queue.length > 0)) {
+      drop();
+      return false;
+    }
+
+    // Highest priority first, first-in-first-out within a priority
+    const at = queue.findIndex((q) => PRIORITY_RANK[q.priority] < rank);
+    queue.splice(at === -1 ? queue.length : at, 0, item);
+
+    // Stale narration makes way for newer lines
+    while (queue.length > maxQueue) {
+      const oldest = queue.findIndex((q) => q.priority !== "urgent");
+      if (oldest === -1) break;
+      queue.splice(oldest, 1);
+      drop();
+    }
+
+    update({});
+    pump();
+    return true;
+  }
+
+  function clear() {
+    queue = [];
+    clearTimeout(gapTimer);
+    gapTimer = null;
+    current = null;
+    if (supported) synth.cancel();
+    update({ speaking: null });
+  }
+
+  return {
+    supported,
+    say,
+    // Says the last line again, even if it was routine narration
+    repeat: () => (lastSaid ? say(lastSaid.text, { tone: lastSaid.tone, priority: "normal" }) : false),
+    clear,
+    enable: () => update({ enabled: supported }),
+    disable() {
+      clear();
+      update({ enabled: false });
+    },
+    getVoices: availableVoices,
+    setVoice(tone, voiceURI) {
+      const voices = { ...snapshot.voices, [tone]: voiceURI };
+      if (!voiceURI) delete voices[tone];
+      storage?.setItem(STORAGE_KEY, JSON.stringify(voices));
+      update({ voices });
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => snapshot,
+  };
+}
+
+// Shared by all views
+export const speech = createSpeechService();
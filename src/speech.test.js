@@ -0,0 +1,97 @@
+import { createSpeechService, toneFor } from './speech';
+
+function fakeSynth() {
+  const synth = {
+    spoken: [],
+    current: null,
+    getVoices: () => [
+      { name: 'Alex', voiceURI: 'alex' },
+      { name: 'Google UK English', voiceURI: 'google-uk' },
+    ],
+    speak(u) {
+      synth.spoken.push(u);
+      synth.current = u;
+    },
+    cancel: jest.fn(() => {
+      const u = synth.current;
+      synth.current = null;
+      u?.onerror?.();
+    }),
+    end() {
+      const u = synth.current;
+      synth.current = null;
+      u.onend();
+    },
+  };
+  return synth;
+}
+
+class Utterance {
+  constructor(text) {
+    this.text = text;
+  }
+}
+
+function setup(options = {}) {
+  let t = 0;
+  const synth = fakeSynth();
+  const service = createSpeechService({ synth, Utterance, storage: null, now: () => t, ...options });
+  service.enable();
+  return { synth, service, advance: (ms) => { t += ms; jest.advanceTimersByTime(ms); } };
+}
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+test('urgent speech preempts calm narration and drops what was queued', () => {
+  const { synth, service } = setup();
+  service.say('A person is nearby', { tone: 'calm', priority: 'normal' });
+  service.say('Still a person', { tone: 'calm', priority: 'normal' });
+  service.say('Stop. Car approaching', { tone: 'urgent' });
+
+  expect(synth.cancel).toHaveBeenCalledTimes(1);
+  expect(synth.spoken.map((u) => u.text)).toEqual(['A person is nearby', 'Stop. Car approaching']);
+  expect(synth.spoken[1].pitch).toBe(0.8);
+  expect(service.getSnapshot()).toMatchObject({ queued: 0, dropped: 1 });
+
+  // Calm speech never cuts off urgent speech
+  service.say('Everything is fine', { tone: 'calm', priority: 'normal' });
+  expect(synth.cancel).toHaveBeenCalledTimes(1);
+  expect(service.getSnapshot().queued).toBe(1);
+});
+
+test('low-priority lines are dropped while busy and speech is spaced out', () => {
+  const { synth, service, advance } = setup({ minGapMs: 400 });
+  service.say('First');
+  expect(service.say('Routine', { priority: 'low' })).toBe(false);
+  service.say('Second', { priority: 'normal' });
+
+  synth.end();
+  expect(synth.spoken).toHaveLength(1);
+  advance(399);
+  expect(synth.spoken).toHaveLength(1);
+  advance(1);
+  expect(synth.spoken.map((u) => u.text)).toEqual(['First', 'Second']);
+  expect(service.getSnapshot().dropped).toBe(1);
+});
+
+test('uses the selected voice per tone and stays quiet until enabled', () => {
+  const { synth, service } = setup();
+  service.setVoice('curious', 'alex');
+  service.say('Hmm', { tone: 'curious' });
+  service.say('Hi there', { tone: 'calm', priority: 'normal' });
+  synth.end();
+  jest.runAllTimers();
+  expect(synth.spoken.map((u) => u.voice.voiceURI)).toEqual(['alex', 'google-uk']);
+
+  service.disable();
+  expect(service.say('Anyone?')).toBe(false);
+});
+
+test('tone follows risk and uncertainty', () => {
+  const thought = (level, overall, flags = []) => ({ pipeline: { uncertainty: { overall, flags }, risk: { level } } });
+  expect(toneFor(thought('CRITICAL', 0.9))).toBe('urgent');
+  expect(toneFor(thought('LOW', 0.4))).toBe('curious');
+  expect(toneFor(thought('LOW', 0.9, ['LOW_LIGHT']))).toBe('curious');
+  expect(toneFor(thought('LOW', 0.9))).toBe('calm');
+});
@@ -0,0 +1,34 @@
+// Test fixture: a schema-valid CognitiveThought (see thoughtSchema.js) of a
+// calm traffic scene. Overrides are merged into each pipeline stage and meta,
+// so a test only states what it checks:
+//
+//   makeThought('a', { timestamp: 5000, risk: { level: 'HIGH' }, meta: { triggered_rules: ['R3'] } })
+
+export function makeThought(id = 't', { perception, interpretation, uncertainty, risk, reflection, meta, ...fields } = {}) {
+  return {
+    thought_id: id,
+    timestamp: 1000,
+    ...fields,
+    pipeline: {
+      perception: {
+        objects: [
+          { label: 'person', confidence: 0.9, bbox: [100, 80, 220, 400], depth_m: 6.5 },
+          { label: 'car', confidence: 0.6, bbox: [300, 120, 600, 360], depth_m: 14 },
+        ],
+        scene_type: 'traffic',
+        ...perception,
+      },
+      interpretation: {
+        summary: `summary ${id}`,
+        observations: [`obs ${id}`],
+        inferences: [],
+        activity_labels: [],
+        ...interpretation,
+      },
+      uncertainty: { overall: 0.8, flags: [], action: 'PROCEED', ...uncertainty },
+      risk: { level: 'LOW', score: 0.1, hazards: [], recommended_action: 'CONTINUE', ...risk },
+      ...(reflection && { reflection }),
+    },
+    meta: { thought_chain_id: 'c-001', ...meta },
+  };
+}
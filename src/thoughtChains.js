@@ -0,0 +1,85 @@
+import { maxRisk } from "./riskLevels";
+
+// Groups a thought history into chains (rule R5: one chain per
+// meta.thought_chain_id, restarted on scene change) and marks scene
+// transitions between and within them.
+//
+//   groupThoughtChains(thoughts, cuts) → [{ id, thoughts, start, end,
+//     duration_ms, sceneType, activities, peakRisk, transition, cut,
+//     sceneChanges, sceneCuts }]
+//
+// thoughts are oldest first; transition = { from, to } when the scene type
+// changed since the previous chain, and a thought's scene change inside a
+// chain is listed in chain.sceneChanges (an R5 violation by the backend).
+//
+// cuts are the client's scene cuts (sceneCuts.js). chain.cut is the cut
+// that started the chain, found by chain id or by the first thought's
+// frame_ref. A cut on a thought further into a chain, where the backend
+// kept the old chain id, is listed in chain.sceneCuts as { thought_id, cut }.
+
+// Most frequent activity labels across a chain
+export function dominantActivities(thoughts, max = 2) {
+  const counts = new Map();
+  thoughts.forEach((t) =>
+    (t.pipeline.interpretation.activity_labels ?? []).forEach((label) =>
+      counts.set(label, (counts.get(label) ?? 0) + 1)
+    )
+  );
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, max)
+    .map(([label]) => label);
+}
+
+export function groupThoughtChains(thoughts, cuts = []) {
+  const chains = [];
+  let chain = null;
+  let lastScene = null;
+
+  thoughts.forEach((thought) => {
+    const id = thought.meta?.thought_chain_id ?? null;
+    const scene = thought.pipeline.perception?.scene_type ?? null;
+    const sceneChanged = lastScene !== null && scene !== null && scene !== lastScene;
+
+    // Thoughts without a chain id stay together until the scene changes
+    if (!chain || id !== chain.id || (id === null && sceneChanged)) {
+      chain = {
+        id,
+        thoughts: [],
+        sceneType: scene,
+        sceneChanges: [],
+        transition: sceneChanged ? { from: lastScene, to: scene } : null,
+      };
+      chains.push(chain);
+    } else if (sceneChanged) {
+      chain.sceneChanges.push({ thought_id: thought.thought_id, from: lastScene, to: scene });
+    }
+
+    chain.thoughts.push(thought);
+    if (scene !== null) lastScene = scene;
+  });
+
+  const cutsByFrame = new Map(cuts.filter((c) => c.frame_ref).map((c) => [c.frame_ref, c]));
+
+  return chains.map(({ thoughts: members, ...rest }) => {
+    const start = members[0].timestamp;
+    const end = members[members.length - 1].timestamp;
+    const cut =
+      (rest.id !== null && cuts.find((c) => c.to === rest.id)) || cutsByFrame.get(members[0].frame_ref) || null;
+    const sceneCuts = members
+      .slice(1)
+      .filter((t) => cutsByFrame.has(t.frame_ref) && cutsByFrame.get(t.frame_ref) !== cut)
+      .map((t) => ({ thought_id: t.thought_id, cut: cutsByFrame.get(t.frame_ref) }));
+    return {
+      ...rest,
+      cut,
+      sceneCuts,
+      thoughts: members,
+      start,
+      end,
+      duration_ms: end - start,
+      activities: dominantActivities(members),
+      peakRisk: members.reduce((peak, t) => maxRisk(peak, t.pipeline.risk.level), "SAFE"),
+    };
+  });
+}
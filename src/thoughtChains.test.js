@@ -0,0 +1,59 @@
+import { groupThoughtChains } from './thoughtChains';
+
+let n = 0;
+const thought = (chain, scene, level = 'LOW', activities = []) => ({
+  thought_id: `t${++n}`,
+  timestamp: n * 1000,
+  pipeline: {
+    perception: { objects: [], scene_type: scene },
+    interpretation: { summary: '', activity_labels: activities },
+    uncertainty: { overall: 0.8 },
+    risk: { level },
+  },
+  meta: chain ? { thought_chain_id: chain } : {},
+});
+
+test('groups by chain id with duration, dominant activities and peak risk', () => {
+  n = 0;
+  const chains = groupThoughtChains([
+    thought('a', 'indoor', 'LOW', ['typing']),
+    thought('a', 'indoor', 'HIGH', ['typing', 'walking']),
+    thought('a', 'indoor', 'MEDIUM', ['walking', 'typing']),
+    thought('b', 'outdoor', 'SAFE', ['walking']),
+  ]);
+
+  expect(chains).toHaveLength(2);
+  expect(chains[0]).toMatchObject({ id: 'a', duration_ms: 2000, peakRisk: 'HIGH', activities: ['typing', 'walking'], transition: null });
+  expect(chains[1]).toMatchObject({ id: 'b', peakRisk: 'SAFE', transition: { from: 'indoor', to: 'outdoor' } });
+});
+
+test('flags scene changes inside a chain and splits unchained thoughts on scene change', () => {
+  n = 0;
+  const chains = groupThoughtChains([
+    thought('a', 'indoor'),
+    thought('a', 'outdoor'),
+    thought(null, 'outdoor'),
+    thought(null, 'traffic'),
+  ]);
+
+  expect(chains.map((c) => c.id)).toEqual(['a', null, null]);
+  expect(chains[0].sceneChanges).toEqual([{ thought_id: 't2', from: 'indoor', to: 'outdoor' }]);
+  expect(chains[2].transition).toEqual({ from: 'outdoor', to: 'traffic' });
+});
+
+test('places client scene cuts on the chain they started or inside a chain that ignored them', () => {
+  n = 0;
+  const framed = (chain, ref) => ({ ...thought(chain, 'indoor'), frame_ref: ref });
+  const cuts = [
+    { at: 1, frame_ref: 'f2', from: 'scene-x-001', to: 'scene-x-002', similarity: 0.1 },
+    { at: 2, frame_ref: 'f4', from: 'scene-x-002', to: 'scene-x-003', similarity: 0.2 },
+  ];
+  const chains = groupThoughtChains(
+    [framed('scene-x-001', 'f1'), framed('scene-x-002', 'f2'), framed('scene-x-002', 'f3'), framed('scene-x-002', 'f4')],
+    cuts
+  );
+
+  expect(chains[0].cut).toBeNull();
+  expect(chains[1].cut).toBe(cuts[0]);
+  expect(chains[1].sceneCuts).toEqual([{ thought_id: 't4', cut: cuts[1] }]);
+});
@@ -0,0 +1,201 @@
+import { RISK_LEVELS, riskRank, maxRisk } from "./riskLevels";
+
+// Exports of a set of thoughts (oldest first) for review outside the app:
+//
+//   JSONL   one CognitiveThought per line, exactly as received
+//   CSV     one row per thought with the key metrics (CSV_COLUMNS)
+//   report  a self-contained HTML incident report, printable to PDF: counts,
+//           confidence trend, triggered rules and every thought at or above
+//           minLevel with its hazards and, when a frame with its frame_ref
+//           is supplied, the frame it describes
+//
+// frames: [{ frame_ref, captured_at, image }] as recorded by sessionRecorder
+
+const list = (values) => (values ?? []).join("; ");
+const iso = (ms) => (ms == null ? "" : new Date(ms).toISOString());
+
+export const CSV_COLUMNS = [
+  { header: "thought_id", value: (t) => t.thought_id },
+  { header: "timestamp", value: (t) => iso(t.timestamp) },
+  { header: "thought_chain_id", value: (t) => t.meta?.thought_chain_id },
+  { header: "frame_ref", value: (t) => t.frame_ref },
+  { header: "scene_type", value: (t) => t.pipeline.perception?.scene_type },
+  { header: "objects", value: (t) => list(t.pipeline.perception?.objects?.map((o) => o.label)) },
+  { header: "summary", value: (t) => t.pipeline.interpretation.summary },
+  { header: "activity_labels", value: (t) => list(t.pipeline.interpretation.activity_labels) },
+  { header: "confidence", value: (t) => t.pipeline.uncertainty.overall },
+  { header: "visual_clarity", value: (t) => t.pipeline.uncertainty.visual_clarity },
+  { header: "semantic_certainty", value: (t) => t.pipeline.uncertainty.semantic_certainty },
+  { header: "temporal_consistency", value: (t) => t.pipeline.uncertainty.temporal_consistency },
+  { header: "completeness", value: (t) => t.pipeline.uncertainty.completeness },
+  { header: "flags", value: (t) => list(t.pipeline.uncertainty.flags) },
+  { header: "uncertainty_action", value: (t) => t.pipeline.uncertainty.action },
+  { header: "risk_level", value: (t) => t.pipeline.risk.level },
+  { header: "risk_score", value: (t) => t.pipeline.risk.score },
+  { header: "hazards", value: (t) => list(t.pipeline.risk.hazards?.map((h) => h.description)) },
+  { header: "recommended_action", value: (t) => t.pipeline.risk.recommended_action },
+  { header: "triggered_rules", value: (t) => list(t.meta?.triggered_rules) },
+  { header: "total_latency_ms", value: (t) => t.meta?.total_latency_ms },
+];
+
+export function toJsonl(thoughts) {
+  return thoughts.map((t) => JSON.stringify(t)).join("\n") + (thoughts.length ? "\n" : "");
+}
+
+// RFC 4180: quote fields with commas, quotes or line breaks
+function csvField(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(thoughts, columns = CSV_COLUMNS) {
+  const rows = [columns.map((c) => c.header), ...thoughts.map((t) => columns.map((c) => c.value(t)))];
+  return rows.map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+const percent = (v) => (v == null ? "—" : `${Math.round(v * 100)}%`);
+const time = (ms) => new Date(ms).toLocaleString();
+
+// Confidence over time as an inline SVG polyline against the PROCEED and
+// HOLD gates, with a dot on every thought at or above minLevel
+export function confidenceTrendSvg(thoughts, { width = 640, height = 120, minLevel = "HIGH" } = {}) {
+  if (thoughts.length === 0) return "";
+  const start = thoughts[0].timestamp;
+  const span = thoughts[thoughts.length - 1].timestamp - start || 1;
+  const x = (t) => ((t.timestamp - start) / span) * (width - 20) + 10;
+  const y = (t) => height - 10 - (t.pipeline.uncertainty.overall ?? 0) * (height - 20);
+  const points = thoughts.map((t) => `${x(t).toFixed(1)},${y(t).toFixed(1)}`).join(" ");
+  const dots = thoughts
+    .filter((t) => riskRank(t.pipeline.risk.level) >= riskRank(minLevel))
+    .map((t) => `<circle cx="${x(t).toFixed(1)}" cy="${y(t).toFixed(1)}" r="3" fill="#d50000" />`)
+    .join("");
+  const gate = (v, label) => {
+    const gy = height - 10 - v * (height - 20);
+    return (
+      `<line x1="10" x2="${width - 10}" y1="${gy.toFixed(1)}" y2="${gy.toFixed(1)}" stroke="#bbb" stroke-dasharray="4 3" />` +
+      `<text x="${width - 10}" y="${(gy - 3).toFixed(1)}" text-anchor="end" font-size="9" fill="#888">${label}</text>`
+    );
+  };
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    gate(0.75, "PROCEED 75%") +
+    gate(0.5, "HOLD 50%") +
+    `<polyline points="${points}" fill="none" stroke="#2962ff" stroke-width="1.5" />${dots}</svg>`
+  );
+}
+
+export function incidentReport(
+  thoughts,
+  { frames = [], minLevel = "HIGH", title = "Incident report", generatedAt = Date.now() } = {}
+) {
+  const frameByRef = new Map(frames.filter((f) => f.frame_ref).map((f) => [f.frame_ref, f]));
+  const incidents = thoughts.filter((t) => riskRank(t.pipeline.risk.level) >= riskRank(minLevel));
+  const peak = thoughts.reduce((p, t) => maxRisk(p, t.pipeline.risk.level), "SAFE");
+
+  const levelCounts = RISK_LEVELS.map((level) => {
+    const count = thoughts.filter((t) => t.pipeline.risk.level === level).length;
+    return `<td>${count}</td>`;
+  }).join("");
+
+  const ruleCounts = new Map();
+  thoughts.forEach((t) => (t.meta?.triggered_rules ?? []).forEach((r) => ruleCounts.set(r, (ruleCounts.get(r) ?? 0) + 1)));
+  const rules = [...ruleCounts.entries()].sort(([a], [b]) => a.localeCompare(b));
+
+  const incidentHtml = incidents
+    .map((t) => {
+      const { risk, uncertainty, interpretation } = t.pipeline;
+      const frame = frameByRef.get(t.frame_ref);
+      const hazards = (risk.hazards ?? [])
+        .map((h) => `<li>${escapeHtml(h.description)}${h.type ? ` <span class="muted">(${escapeHtml(h.type)})</span>` : ""}${h.severity != null ? ` · severity ${percent(h.severity)}` : ""}</li>`)
+        .join("");
+      return `
+<section class="incident">
+  <h3><span class="level level-${escapeHtml(risk.level)}">${escapeHtml(risk.level)}</span> ${escapeHtml(time(t.timestamp))} · ${escapeHtml(risk.recommended_action)}</h3>
+  <div class="muted">${escapeHtml(t.thought_id)} · chain ${escapeHtml(t.meta?.thought_chain_id ?? "—")} · risk ${percent(risk.score)} · confidence ${percent(uncertainty.overall)} · ${escapeHtml(uncertainty.action)}</div>
+  <p>${escapeHtml(interpretation.summary)}</p>
+  ${frame ? `<img src="${escapeHtml(frame.image)}" alt="Frame ${escapeHtml(t.frame_ref)}" />` : `<div class="muted">No frame snapshot${t.frame_ref ? ` for ${escapeHtml(t.frame_ref)}` : ""}</div>`}
+  <h4>Hazards</h4>
+  ${hazards ? `<ul>${hazards}</ul>` : `<div class="muted">None reported</div>`}
+  <h4>Triggered rules</h4>
+  <div>${(t.meta?.triggered_rules ?? []).length ? escapeHtml(t.meta.triggered_rules.join(", ")) : `<span class="muted">None</span>`}</div>
+  ${(uncertainty.flags ?? []).length ? `<h4>Uncertainty flags</h4><div>${escapeHtml(uncertainty.flags.join(", "))}</div>` : ""}
+</section>`;
+    })
+    .join("");
+
+  const range = thoughts.length ? `${time(thoughts[0].timestamp)} – ${time(thoughts[thoughts.length - 1].timestamp)}` : "No thoughts";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Inter, Arial, sans-serif; color: #111; margin: 32px; font-size: 13px; }
+  h1 { font-size: 22px; margin-bottom: 4px; }
+  h2 { font-size: 15px; margin-top: 28px; border-bottom: 1px solid #ccc; padding-bottom: 4px; }
+  h3 { font-size: 14px; margin: 0 0 4px; }
+  h4 { font-size: 11px; text-transform: uppercase; letter-spacing: 1px; color: #555; margin: 12px 0 4px; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #ccc; padding: 4px 10px; text-align: left; }
+  .muted { color: #777; }
+  .incident { border: 1px solid #ddd; border-radius: 6px; padding: 14px; margin: 14px 0; page-break-inside: avoid; }
+  .incident img { max-width: 320px; border-radius: 4px; display: block; margin: 8px 0; }
+  .level { color: #fff; padding: 1px 6px; border-radius: 3px; font-size: 11px; }
+  .level-HIGH { background: #ff1744; }
+  .level-CRITICAL { background: #d50000; }
+  .level-MEDIUM { background: #ff9100; }
+  .level-LOW, .level-SAFE { background: #00a152; }
+  @media print { body { margin: 12mm; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="muted">${escapeHtml(range)} · generated ${escapeHtml(time(generatedAt))}</div>
+
+<h2>Summary</h2>
+<p>${thoughts.length} thoughts · peak risk ${escapeHtml(peak)} · ${incidents.length} at ${escapeHtml(minLevel)} or above</p>
+<table><tr>${RISK_LEVELS.map((l) => `<th>${l}</th>`).join("")}</tr><tr>${levelCounts}</tr></table>
+
+<h2>Confidence trend</h2>
+${confidenceTrendSvg(thoughts, { minLevel }) || `<div class="muted">No thoughts</div>`}
+
+<h2>Triggered rules</h2>
+${rules.length ? `<table><tr><th>Rule</th><th>Thoughts</th></tr>${rules.map(([r, n]) => `<tr><td>${escapeHtml(r)}</td><td>${n}</td></tr>`).join("")}</table>` : `<div class="muted">No rules triggered</div>`}
+
+<h2>Incidents</h2>
+${incidentHtml || `<div class="muted">No thoughts at ${escapeHtml(minLevel)} or above</div>`}
+</body>
+</html>
+`;
+}
+
+export function downloadFile(text, filename, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  // Revoking straight after click() can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Opens the report in a new window and brings up the print dialog, where it
+// can be saved as PDF, once the report and its frame images have loaded
+export function printReport(html) {
+  const win = window.open("", "_blank");
+  if (!win) throw new Error("Pop-up blocked: allow pop-ups to print the report");
+  win.document.write(html);
+  win.document.close();
+  const print = () => {
+    win.focus();
+    win.print();
+  };
+  // document.write() drops listeners added before it, so listen afterwards
+  if (win.document.readyState === "complete") print();
+  else win.addEventListener("load", print, { once: true });
+}
@@ -0,0 +1,121 @@
+import { CSV_COLUMNS, confidenceTrendSvg, downloadFile, incidentReport, printReport, toCsv, toJsonl } from './thoughtExport';
+import { makeThought } from './testThoughts';
+
+describe('toJsonl', () => {
+  it('writes one thought per line as received', () => {
+    const thoughts = [makeThought('a'), makeThought('b')];
+    const lines = toJsonl(thoughts).trim().split('\n');
+    expect(lines.map((l) => JSON.parse(l))).toEqual(thoughts);
+    expect(toJsonl([])).toBe('');
+  });
+});
+
+describe('toCsv', () => {
+  it('writes a header and one flattened row per thought', () => {
+    const thought = makeThought('a', { timestamp: 0, interpretation: { summary: 'All clear', activity_labels: ['walking'] } });
+    const rows = toCsv([thought]).trim().split('\r\n');
+    expect(rows[0].split(',')).toEqual(CSV_COLUMNS.map((c) => c.header));
+    expect(rows[1]).toContain('a,1970-01-01T00:00:00.000Z,c-001,,traffic,person; car,All clear,walking,0.8');
+  });
+
+  it('quotes fields with commas, quotes and line breaks', () => {
+    const csv = toCsv([makeThought('a', { interpretation: { summary: 'Person says "stop", then\nwaves' } })]);
+    expect(csv).toContain('"Person says ""stop"", then\nwaves"');
+  });
+});
+
+describe('incidentReport', () => {
+  const high = makeThought('h1', {
+    timestamp: 2000,
+    frame_ref: 'sha256:abc',
+    interpretation: { summary: 'Child <runs> into road' },
+    uncertainty: { overall: 0.4, action: 'REQUEST_REFRAME' },
+    risk: {
+      level: 'HIGH',
+      score: 0.9,
+      hazards: [{ type: 'collision', description: 'Car approaching', severity: 0.9 }],
+      recommended_action: 'HALT',
+    },
+    meta: { triggered_rules: ['R3'] },
+  });
+  const thoughts = [makeThought('a', { timestamp: 1000 }), high, makeThought('b', { timestamp: 3000, meta: { triggered_rules: ['R3', 'R5'] } })];
+
+  it('reports HIGH+ thoughts with hazards, rules and escaped text', () => {
+    const html = incidentReport(thoughts, { generatedAt: 0 });
+    expect(html).toContain('3 thoughts · peak risk HIGH · 1 at HIGH or above');
+    expect(html).toContain('Child &lt;runs&gt; into road');
+    expect(html).toContain('Car approaching');
+    expect(html).toContain('<tr><td>R3</td><td>2</td></tr>');
+    expect(html).toContain('No frame snapshot for sha256:abc');
+  });
+
+  it('includes the matching frame snapshot when one is supplied', () => {
+    const html = incidentReport(thoughts, { frames: [{ frame_ref: 'sha256:abc', image: 'data:image/jpeg;base64,AAAA' }] });
+    expect(html).toContain('<img src="data:image/jpeg;base64,AAAA"');
+  });
+
+  it('lowers the incident threshold on request', () => {
+    expect(incidentReport(thoughts, { minLevel: 'LOW' })).toContain('3 at LOW or above');
+  });
+
+  it('draws the confidence trend with dots on incidents', () => {
+    const svg = confidenceTrendSvg(thoughts);
+    expect(svg).toContain('<polyline points="10.0,');
+    expect(svg.match(/<circle/g)).toHaveLength(1);
+    expect(confidenceTrendSvg([])).toBe('');
+  });
+});
+
+describe('downloadFile', () => {
+  // jsdom has no object URLs, so stub them per test and put back whatever was there
+  const { createObjectURL, revokeObjectURL } = URL;
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    URL.createObjectURL = createObjectURL;
+    URL.revokeObjectURL = revokeObjectURL;
+  });
+
+  test('revokes the object URL after the click has started the download', () => {
+    jest.useFakeTimers();
+    URL.createObjectURL = jest.fn(() => 'blob:report');
+    URL.revokeObjectURL = jest.fn();
+    const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    downloadFile('a,b\r\n', 'thoughts.csv', 'text/csv');
+    expect(click).toHaveBeenCalled();
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+    jest.runAllTimers();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:report');
+  });
+});
+
+describe('printReport', () => {
+  const fakeWindow = (readyState) => {
+    const listeners = {};
+    return {
+      document: { readyState, write: jest.fn(), close: jest.fn() },
+      addEventListener: jest.fn((type, fn) => (listeners[type] = fn)),
+      focus: jest.fn(),
+      print: jest.fn(),
+      fire: (type) => listeners[type](),
+    };
+  };
+
+  test('prints once the report window has loaded', () => {
+    const win = fakeWindow('loading');
+    jest.spyOn(window, 'open').mockReturnValue(win);
+    printReport('<html></html>');
+    expect(win.document.write).toHaveBeenCalledWith('<html></html>');
+    expect(win.print).not.toHaveBeenCalled();
+    win.fire('load');
+    expect(win.print).toHaveBeenCalledTimes(1);
+    window.open.mockRestore();
+  });
+
+  test('reports a blocked pop-up', () => {
+    jest.spyOn(window, 'open').mockReturnValue(null);
+    expect(() => printReport('<html></html>')).toThrow('Pop-up blocked');
+    window.open.mockRestore();
+  });
+});
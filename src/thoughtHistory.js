@@ -0,0 +1,208 @@
+import { HISTORY_MAX_THOUGHTS, HISTORY_RETENTION_DAYS } from "./config";
+import { enforcedStream } from "./enforcedStream";
+
+// Every live thought, as enforced by the rule engine (enforcedStream.js),
+// kept in IndexedDB so the history survives a reload. Replayed sessions
+// (stored when they were live) and simulated thoughts are not stored.
+//
+// Record: { thought_id, timestamp, stored_at, transport, thought }
+// Snapshot: { ready, thoughts (newest first), error }
+//
+// Retention: records stored more than maxAgeMs ago, and all but the newest
+// maxThoughts, are deleted when the history opens and every PRUNE_EVERY
+// thoughts after that. Without IndexedDB (some private windows) the history
+// is kept in memory for the page's lifetime and `error` says why.
+
+export const HISTORY_DB_NAME = "cognitive-history";
+const STORE = "thoughts";
+const PRUNE_EVERY = 50;
+const NOT_STORED = ["replay", "mock"];
+
+export const HISTORY_RETENTION = {
+  maxAgeMs: HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000,
+  maxThoughts: HISTORY_MAX_THOUGHTS,
+};
+
+// Filters as the history browser edits them. Risk levels and actions match
+// any selected value; flags and labels must all be present.
+export const EMPTY_FILTERS = {
+  text: "",
+  levels: [],
+  actions: [],
+  flags: [],
+  labels: [],
+  chainId: "",
+  from: null,
+  to: null,
+};
+
+const request = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+// The history's object store, keyed by thought_id
+export async function openIndexedDbHistory({ name = HISTORY_DB_NAME, indexedDB = window.indexedDB } = {}) {
+  if (!indexedDB) throw new Error("IndexedDB is not available; history is kept until the page closes");
+  const open = indexedDB.open(name, 1);
+  open.onupgradeneeded = () => open.result.createObjectStore(STORE, { keyPath: "thought_id" });
+  const db = await request(open);
+  const store = (mode) => db.transaction(STORE, mode).objectStore(STORE);
+
+  return {
+    getAll: () => request(store("readonly").getAll()),
+    put: (record) => request(store("readwrite").put(record)),
+    async delete(ids) {
+      const s = store("readwrite");
+      await Promise.all(ids.map((id) => request(s.delete(id))));
+    },
+    clear: () => request(store("readwrite").clear()),
+  };
+}
+
+// Records past the retention policy, oldest first
+export function expiredRecords(records, { maxAgeMs, maxThoughts } = HISTORY_RETENTION, now = Date.now()) {
+  const byAge = [...records].sort((a, b) => b.stored_at - a.stored_at);
+  return byAge.filter((r, i) => i >= maxThoughts || now - r.stored_at > maxAgeMs).reverse();
+}
+
+// Lower-cased summary, observations and inferences, for full-text search
+export function searchableText(thought) {
+  const { summary = "", observations = [], inferences = [] } = thought.pipeline.interpretation ?? {};
+  return [summary, ...observations, ...inferences].join("\n").toLowerCase();
+}
+
+export function matchesFilters(thought, filters = EMPTY_FILTERS) {
+  const { perception = {}, uncertainty = {}, risk = {} } = thought.pipeline;
+  const flags = uncertainty.flags ?? [];
+  const labels = (perception.objects ?? []).map((o) => o.label);
+
+  if (filters.levels.length && !filters.levels.includes(risk.level)) return false;
+  if (filters.actions.length && !filters.actions.includes(uncertainty.action)) return false;
+  if (!filters.flags.every((flag) => flags.includes(flag))) return false;
+  if (!filters.labels.every((label) => labels.includes(label))) return false;
+  if (filters.chainId && !(thought.meta?.thought_chain_id ?? "").includes(filters.chainId)) return false;
+  if (filters.from != null && thought.timestamp < filters.from) return false;
+  if (filters.to != null && thought.timestamp > filters.to) return false;
+
+  const terms = filters.text.toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length) {
+    const text = searchableText(thought);
+    if (!terms.every((term) => text.includes(term))) return false;
+  }
+  return true;
+}
+
+// Values seen in the history, for the browser's filter options
+export function historyFacets(thoughts) {
+  const sorted = (set) => [...set].sort();
+  const flags = new Set();
+  const labels = new Set();
+  const chainIds = new Set();
+  thoughts.forEach((t) => {
+    (t.pipeline.uncertainty?.flags ?? []).forEach((f) => flags.add(f));
+    (t.pipeline.perception?.objects ?? []).forEach((o) => labels.add(o.label));
+    if (t.meta?.thought_chain_id) chainIds.add(t.meta.thought_chain_id);
+  });
+  return { flags: sorted(flags), labels: sorted(labels), chainIds: sorted(chainIds) };
+}
+
+export function createThoughtHistory({
+  stream = enforcedStream,
+  openBackend = openIndexedDbHistory,
+  retention = HISTORY_RETENTION,
+  now = () => Date.now(),
+} = {}) {
+  const listeners = new Set();
+  let snapshot = { ready: false, thoughts: [], error: null };
+  let records = new Map();
+  let backend = null;
+  let opening = null;
+  let unsubscribe = null;
+  let lastThought = null;
+  let sincePrune = 0;
+
+  function update(patch) {
+    snapshot = { ...snapshot, ...patch };
+    listeners.forEach((listener) => listener());
+  }
+
+  const publish = (patch = {}) =>
+    update({ ...patch, thoughts: [...records.values()].sort((a, b) => b.timestamp - a.timestamp).map((r) => r.thought) });
+
+  const fail = (err) => update({ error: err.message });
+
+  async function prune() {
+    sincePrune = 0;
+    const expired = expiredRecords([...records.values()], retention, now());
+    if (expired.length === 0) return;
+    expired.forEach((r) => records.delete(r.thought_id));
+    publish();
+    await backend?.delete(expired.map((r) => r.thought_id));
+  }
+
+  // Loads what earlier visits stored; thoughts that arrived meanwhile win
+  function open() {
+    if (!opening) {
+      opening = openBackend()
+        .then(async (opened) => {
+          backend = opened;
+          const stored = await backend.getAll();
+          const unsaved = [...records.values()];
+          records = new Map([...stored.map((r) => [r.thought_id, r]), ...records]);
+          await Promise.all(unsaved.map((r) => backend.put(r)));
+          await prune();
+        })
+        .catch(fail)
+        .finally(() => publish({ ready: true }));
+    }
+    return opening;
+  }
+
+  function record(thought, transport = null) {
+    const entry = { thought_id: thought.thought_id, timestamp: thought.timestamp, stored_at: now(), transport, thought };
+    records.set(entry.thought_id, entry);
+    publish();
+    sincePrune += 1;
+    return Promise.resolve(backend?.put(entry))
+      .then(() => (sincePrune >= PRUNE_EVERY ? prune() : undefined))
+      .catch(fail);
+  }
+
+  function onStream() {
+    const { thought, transport } = stream.getSnapshot();
+    if (!thought || thought === lastThought) return;
+    lastThought = thought;
+    if (NOT_STORED.includes(transport)) return;
+    record(thought, transport);
+  }
+
+  return {
+    // Store the stream from now on; App starts this once for every view
+    start() {
+      if (unsubscribe) return opening;
+      lastThought = stream.getSnapshot().thought;
+      unsubscribe = stream.subscribe(onStream);
+      return open();
+    },
+    stop() {
+      unsubscribe?.();
+      unsubscribe = null;
+    },
+    record,
+    async clear() {
+      records = new Map();
+      publish();
+      await backend?.clear().catch(fail);
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => snapshot,
+  };
+}
+
+// Shared by all views
+export const thoughtHistory = createThoughtHistory();
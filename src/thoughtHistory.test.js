@@ -0,0 +1,177 @@
+import {
+  createThoughtHistory,
+  expiredRecords,
+  historyFacets,
+  matchesFilters,
+  EMPTY_FILTERS,
+} from './thoughtHistory';
+import { makeThought } from './testThoughts';
+
+// Stands in for the IndexedDB object store
+function memoryBackend(records = []) {
+  const data = new Map(records.map((r) => [r.thought_id, r]));
+  return {
+    data,
+    getAll: async () => [...data.values()],
+    put: async (record) => {
+      data.set(record.thought_id, record);
+    },
+    delete: async (ids) => ids.forEach((id) => data.delete(id)),
+    clear: async () => data.clear(),
+  };
+}
+
+function fakeStream() {
+  const listeners = new Set();
+  let snapshot = { thought: null, transport: 'poll' };
+  return {
+    push(thought, transport = 'poll') {
+      snapshot = { thought, transport };
+      listeners.forEach((l) => l());
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    getSnapshot: () => snapshot,
+  };
+}
+
+const flush = async () => {
+  for (let i = 0; i < 5; i++) await Promise.resolve();
+};
+
+describe('filters', () => {
+  const t = makeThought('a', {
+    timestamp: 5000,
+    interpretation: { summary: 'A cyclist waits at the crossing', inferences: ['Person may cross the road'] },
+    uncertainty: { flags: ['LOW_LIGHT', 'OCCLUSION'], action: 'HOLD_AND_OBSERVE' },
+    risk: { level: 'HIGH' },
+    meta: { thought_chain_id: 'scene-x-002' },
+  });
+  const only = (patch) => matchesFilters(t, { ...EMPTY_FILTERS, ...patch });
+
+  it('matches any selected level or action', () => {
+    expect(only({ levels: ['MEDIUM', 'HIGH'] })).toBe(true);
+    expect(only({ levels: ['LOW'] })).toBe(false);
+    expect(only({ actions: ['PROCEED'] })).toBe(false);
+  });
+
+  it('requires every selected flag and label', () => {
+    expect(only({ flags: ['LOW_LIGHT'], labels: ['person', 'car'] })).toBe(true);
+    expect(only({ flags: ['LOW_LIGHT', 'NOVEL_SCENE'] })).toBe(false);
+    expect(only({ labels: ['dog'] })).toBe(false);
+  });
+
+  it('filters by chain id and time range', () => {
+    expect(only({ chainId: 'x-002' })).toBe(true);
+    expect(only({ chainId: 'x-003' })).toBe(false);
+    expect(only({ from: 4000, to: 6000 })).toBe(true);
+    expect(only({ from: 6000 })).toBe(false);
+  });
+
+  it('searches summary, observations and inferences case-insensitively', () => {
+    expect(only({ text: 'CYCLIST crossing' })).toBe(true);
+    expect(only({ text: 'obs a' })).toBe(true);
+    expect(only({ text: 'cross the road' })).toBe(true);
+    expect(only({ text: 'cyclist dog' })).toBe(false);
+  });
+
+  it('collects facets for the filter options', () => {
+    expect(historyFacets([t, makeThought('b', { perception: { objects: [{ label: 'bus', confidence: 0.9 }] } })])).toEqual({
+      flags: ['LOW_LIGHT', 'OCCLUSION'],
+      labels: ['bus', 'car', 'person'],
+      chainIds: ['c-001', 'scene-x-002'],
+    });
+  });
+});
+
+describe('expiredRecords', () => {
+  it('expires by age and beyond the newest maxThoughts', () => {
+    const records = [1, 2, 3, 4].map((i) => ({ thought_id: `t${i}`, stored_at: i * 1000 }));
+    expect(expiredRecords(records, { maxAgeMs: 2500, maxThoughts: 10 }, 5000).map((r) => r.thought_id)).toEqual(['t1', 't2']);
+    expect(expiredRecords(records, { maxAgeMs: Infinity, maxThoughts: 3 }, 5000).map((r) => r.thought_id)).toEqual(['t1']);
+  });
+});
+
+describe('createThoughtHistory', () => {
+  let clock;
+  beforeEach(() => {
+    clock = 10000;
+  });
+
+  const history = (backend, options) =>
+    createThoughtHistory({
+      stream: options?.stream ?? fakeStream(),
+      openBackend: async () => backend,
+      retention: { maxAgeMs: 60000, maxThoughts: 100 },
+      now: () => clock,
+      ...options,
+    });
+
+  it('loads stored thoughts newest first and prunes expired ones', async () => {
+    const backend = memoryBackend([
+      { thought_id: 'old', timestamp: 1, stored_at: clock - 120000, thought: makeThought('old', { timestamp: 1 }) },
+      { thought_id: 'a', timestamp: 2, stored_at: clock - 1000, thought: makeThought('a', { timestamp: 2 }) },
+      { thought_id: 'b', timestamp: 3, stored_at: clock - 500, thought: makeThought('b', { timestamp: 3 }) },
+    ]);
+    const h = history(backend);
+    await h.start();
+
+    expect(h.getSnapshot().ready).toBe(true);
+    expect(h.getSnapshot().thoughts.map((t) => t.thought_id)).toEqual(['b', 'a']);
+    expect(backend.data.has('old')).toBe(false);
+  });
+
+  it('stores live thoughts from the stream but not replayed or simulated ones', async () => {
+    const backend = memoryBackend();
+    const stream = fakeStream();
+    const h = history(backend, { stream });
+    await h.start();
+
+    stream.push(makeThought('live', { timestamp: 5 }));
+    stream.push(makeThought('replayed', { timestamp: 6 }), 'replay');
+    stream.push(makeThought('simulated', { timestamp: 7 }), 'mock');
+    stream.push(makeThought('on-device', { timestamp: 8 }), 'local');
+    await flush();
+
+    expect([...backend.data.keys()]).toEqual(['live', 'on-device']);
+    expect(backend.data.get('live')).toMatchObject({ transport: 'poll', stored_at: clock });
+    expect(h.getSnapshot().thoughts.map((t) => t.thought_id)).toEqual(['on-device', 'live']);
+  });
+
+  it('keeps thoughts that arrive before the database opens', async () => {
+    const backend = memoryBackend();
+    const stream = fakeStream();
+    let resolve;
+    const h = history(backend, { stream, openBackend: () => new Promise((r) => (resolve = r)) });
+    const started = h.start();
+
+    stream.push(makeThought('early'));
+    resolve(backend);
+    await started;
+
+    expect(backend.data.has('early')).toBe(true);
+    expect(h.getSnapshot().thoughts).toHaveLength(1);
+  });
+
+  it('falls back to memory when IndexedDB is unavailable', async () => {
+    const h = history(null, { openBackend: () => Promise.reject(new Error('IndexedDB is not available')) });
+    await h.start();
+    await h.record(makeThought('a'));
+
+    expect(h.getSnapshot()).toMatchObject({ ready: true, error: 'IndexedDB is not available' });
+    expect(h.getSnapshot().thoughts).toHaveLength(1);
+  });
+
+  it('clears memory and the database', async () => {
+    const backend = memoryBackend();
+    const h = history(backend);
+    await h.start();
+    await h.record(makeThought('a'));
+    await h.clear();
+
+    expect(backend.data.size).toBe(0);
+    expect(h.getSnapshot().thoughts).toEqual([]);
+  });
+});
@@ -0,0 +1,217 @@
+// CognitiveThought JSON Schema and a small validator for it. Covers the
+// draft-07 keywords the schema uses: type, required, properties, items, enum,
+// minimum/maximum, minItems/maxItems and maxLength.
+
+export const JSON_SCHEMA = `{
+  "$schema": "http://json-schema.org/draft-07/schema",
+  "title": "CognitiveThought",
+  "type": "object",
+  "required": ["thought_id", "timestamp", "pipeline"],
+  "properties": {
+    "thought_id": { "type": "string", "format": "uuid" },
+    "timestamp": { "type": "integer", "description": "Unix ms" },
+    "frame_ref": { "type": "string", "description": "Frame hash or URL" },
+
+    "pipeline": {
+      "type": "object",
+      "required": ["perception", "interpretation", "uncertainty", "risk"],
+      "properties": {
+
+        "perception": {
+          "type": "object",
+          "required": ["objects"],
+          "properties": {
+            "objects": {
+              "type": "array",
+              "items": {
+                "type": "object",
+                "properties": {
+                  "label": { "type": "string" },
+                  "confidence": { "type": "number", "minimum": 0, "maximum": 1 },
+                  "bbox": { "type": "array", "items": { "type": "number" }, "minItems": 4, "maxItems": 4 },
+                  "depth_m": { "type": "number" }
+                }
+              }
+            },
+            "scene_type": { "type": "string", "enum": ["indoor", "outdoor", "traffic", "crowd", "unknown"] },
+            "frame_quality": { "type": "number", "minimum": 0, "maximum": 1 }
+          }
+        },
+
+        "interpretation": {
+          "type": "object",
+          "required": ["summary"],
+          "properties": {
+            "summary": { "type": "string", "maxLength": 200 },
+            "observations": { "type": "array", "items": { "type": "string" } },
+            "inferences": { "type": "array", "items": { "type": "string" } },
+            "hypotheses": {
+              "type": "array",
+              "maxItems": 3,
+              "items": {
+                "type": "object",
+                "properties": {
+                  "description": { "type": "string" },
+                  "probability": { "type": "number" }
+                }
+              }
+            },
+            "activity_labels": { "type": "array", "items": { "type": "string" } }
+          }
+        },
+
+        "uncertainty": {
+          "type": "object",
+          "required": ["overall"],
+          "properties": {
+            "overall": { "type": "number", "minimum": 0, "maximum": 1 },
+            "visual_clarity": { "type": "number" },
+            "semantic_certainty": { "type": "number" },
+            "temporal_consistency": { "type": "number" },
+            "completeness": { "type": "number" },
+            "flags": {
+              "type": "array",
+              "items": {
+                "type": "string",
+                "enum": ["LOW_LIGHT", "MOTION_BLUR", "OCCLUSION", "NOVEL_SCENE", "AMBIGUOUS_INTENT", "HISTORY_MISMATCH", "SUSTAINED_LOW_CONFIDENCE"]
+              }
+            },
+            "action": {
+              "type": "string",
+              "enum": ["PROCEED", "REQUEST_REFRAME", "HOLD_AND_OBSERVE", "FALLBACK_TO_PRIOR"]
+            }
+          }
+        },
+
+        "risk": {
+          "type": "object",
+          "required": ["level"],
+          "properties": {
+            "score": { "type": "number", "minimum": 0, "maximum": 1 },
+            "level": { "type": "string", "enum": ["SAFE", "LOW", "MEDIUM", "HIGH", "CRITICAL"] },
+            "hazards": {
+              "type": "array",
+              "items": {
+                "type": "object",
+                "properties": {
+                  "type": { "type": "string" },
+                  "description": { "type": "string" },
+                  "severity": { "type": "number" }
+                }
+              }
+            },
+            "recommended_action": {
+              "type": "string",
+              "enum": ["CONTINUE", "SLOW_DOWN", "PAUSE", "HALT", "ALERT_HUMAN"]
+            }
+          }
+        },
+
+        "reflection": {
+          "type": "object",
+          "description": "Async - populated after outcome feedback",
+          "properties": {
+            "corrections": { "type": "array", "items": { "type": "string" } },
+            "bias_flags": { "type": "array", "items": { "type": "string" } },
+            "calibration_delta": { "type": "number", "description": "Adjustment to confidence baseline" },
+            "learning_signal": { "type": "string" }
+          }
+        }
+      }
+    },
+
+    "meta": {
+      "type": "object",
+      "properties": {
+        "total_latency_ms": { "type": "integer" },
+        "stage_latency_ms": {
+          "type": "object",
+          "description": "Per-stage timings, keyed by stage id",
+          "properties": {
+            "perception": { "type": "number", "minimum": 0 },
+            "interpretation": { "type": "number", "minimum": 0 },
+            "uncertainty": { "type": "number", "minimum": 0 },
+            "risk": { "type": "number", "minimum": 0 },
+            "reflection": { "type": "number", "minimum": 0 }
+          }
+        },
+        "model_versions": { "type": "object" },
+        "triggered_rules": { "type": "array", "items": { "type": "string" } },
+        "thought_chain_id": { "type": "string", "description": "Groups related thoughts" }
+      }
+    }
+  }
+}`;
+
+export const THOUGHT_SCHEMA = JSON.parse(JSON_SCHEMA);
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+function validateNode(value, schema, path, errors) {
+  const at = path || "(root)";
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ path: at, message: `expected ${schema.type}, got ${typeOf(value)}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `${JSON.stringify(value)} is not one of ${schema.enum.join(", ")}` });
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `${value} is below minimum ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `${value} is above maximum ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === "string" && schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push({ path: at, message: `longer than ${schema.maxLength} characters` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, message: `expected at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: at, message: `expected at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => validateNode(item, schema.items, `${path}[${i}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    (schema.required ?? []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: "is required" });
+      }
+    });
+    Object.entries(schema.properties ?? {}).forEach(([key, child]) => {
+      if (value[key] !== undefined) {
+        validateNode(value[key], child, path ? `${path}.${key}` : key, errors);
+      }
+    });
+  }
+}
+
+// Returns { valid, errors: [{ path, message }] }
+export function validateThought(payload) {
+  const errors = [];
+  validateNode(payload, THOUGHT_SCHEMA, "", errors);
+  return { valid: errors.length === 0, errors };
+}
@@ -0,0 +1,43 @@
+import { validateThought } from './thoughtSchema';
+import { makeThought } from './testThoughts';
+
+const validThought = () => ({
+  thought_id: 'f3a2b1c0',
+  timestamp: 1709827200000,
+  pipeline: {
+    perception: { objects: [{ label: 'person', confidence: 0.91, bbox: [120, 80, 300, 520] }], scene_type: 'outdoor' },
+    interpretation: { summary: 'A person near a bicycle' },
+    uncertainty: { overall: 0.71, flags: [], action: 'HOLD_AND_OBSERVE' },
+    risk: { score: 0.18, level: 'LOW', recommended_action: 'CONTINUE' },
+  },
+  meta: { triggered_rules: [] },
+});
+
+test('accepts a well-formed thought', () => {
+  expect(validateThought(validThought())).toEqual({ valid: true, errors: [] });
+});
+
+test('the shared test fixture is schema-valid', () => {
+  expect(validateThought(makeThought('a')).errors).toEqual([]);
+  expect(validateThought(makeThought('b', { risk: { level: 'HIGH' }, reflection: { corrections: [] } })).errors).toEqual([]);
+});
+
+test('reports missing stages and bad enums by JSON path', () => {
+  const thought = validThought();
+  delete thought.pipeline.risk;
+  thought.pipeline.uncertainty.flags = ['LOW_LIGHT', 'GLARE'];
+  thought.pipeline.perception.objects[0].bbox = [1, 2, 3];
+
+  const paths = validateThought(thought).errors.map((e) => e.path);
+  expect(paths).toEqual(
+    expect.arrayContaining([
+      'pipeline.risk',
+      'pipeline.uncertainty.flags[1]',
+      'pipeline.perception.objects[0].bbox',
+    ])
+  );
+});
+
+test('rejects non-object payloads', () => {
+  expect(validateThought(null).errors[0]).toEqual({ path: '(root)', message: 'expected object, got null' });
+});
@@ -0,0 +1,426 @@
+import { riskLevel } from "./riskLevels";
+import { computeOverallConfidence, selectAction } from "./uncertainty";
+import { thoughtStream } from "./thoughtStream";
+
+// Offline stand-in for the backend: generates schema-valid CognitiveThought
+// sequences from scripted scenarios so the views, rule engine and narration
+// can be exercised without a network. Between them the scenarios hit every
+// enum value in the schema.
+//
+// A scenario is a list of phases; each phase lasts `frames` thoughts and
+// describes the scene. Numbers are jittered with a seeded PRNG so runs are
+// reproducible.
+
+const FRAME_WIDTH = 640;
+const FRAME_HEIGHT = 480;
+export const SIMULATOR_INTERVAL_MS = 1500;
+
+const obj = (label, confidence, bbox, depth_m, drift = [0, 0]) => ({ label, confidence, bbox, depth_m, drift });
+
+export const SCENARIOS = {
+  street: {
+    label: "Street scene",
+    sceneType: "outdoor",
+    phases: [
+      {
+        frames: 4,
+        objects: [obj("person", 0.91, [120, 80, 300, 470], 3.2, [4, 0]), obj("bicycle", 0.78, [290, 200, 480, 470], 3.5)],
+        summary: "A person [OBS] is standing beside a bicycle near the curb [INF: preparing to ride]",
+        observations: ["Person standing adjacent to bicycle", "Person's hand on handlebar"],
+        inferences: ["Likely preparing to ride", "No helmet visible"],
+        hypotheses: [["Person about to ride bicycle", 0.72], ["Person locking/unlocking bicycle", 0.21]],
+        activity: ["cycling", "street", "stationary"],
+        dims: { visual_clarity: 0.87, semantic_certainty: 0.7, temporal_consistency: 0.8, completeness: 0.78 },
+        risk: { score: 0.18 },
+      },
+      {
+        frames: 3,
+        sceneType: "traffic",
+        objects: [obj("person", 0.88, [200, 90, 360, 470], 2.6, [12, 0]), obj("bicycle", 0.8, [330, 210, 520, 470], 2.8, [12, 0]), obj("car", 0.84, [0, 180, 140, 400], 7.5, [10, 0])],
+        summary: "A cyclist [OBS] is pulling into the road as a car [OBS] approaches from the left",
+        observations: ["Bicycle moving into lane", "Car partially occluded by frame edge"],
+        inferences: ["Paths may cross within seconds"],
+        hypotheses: [["Cyclist merging into traffic", 0.64], ["Cyclist crossing the road", 0.3]],
+        activity: ["cycling", "traffic", "moving"],
+        dims: { visual_clarity: 0.74, semantic_certainty: 0.66, temporal_consistency: 0.7, completeness: 0.62 },
+        flags: ["OCCLUSION"],
+        risk: { score: 0.48, hazards: [{ type: "collision", description: "Car approaching the cyclist's path", severity: 0.5 }] },
+      },
+      {
+        frames: 3,
+        sceneType: "crowd",
+        objects: [obj("person", 0.82, [40, 100, 160, 460], 4.1), obj("person", 0.79, [220, 90, 340, 450], 4.6), obj("person", 0.74, [400, 110, 520, 460], 5.2), obj("person", 0.7, [520, 120, 630, 440], 6)],
+        summary: "Several pedestrians [OBS] are gathered at a crossing",
+        observations: ["Four people waiting at the kerb"],
+        inferences: ["Waiting for the signal"],
+        hypotheses: [["Group waiting to cross", 0.81]],
+        activity: ["pedestrians", "street", "waiting"],
+        dims: { visual_clarity: 0.82, semantic_certainty: 0.78, temporal_consistency: 0.6, completeness: 0.7 },
+        risk: { score: 0.24 },
+      },
+    ],
+  },
+
+  office: {
+    label: "Office",
+    sceneType: "indoor",
+    phases: [
+      {
+        frames: 6,
+        objects: [obj("laptop", 0.94, [180, 230, 460, 420], 0.8), obj("cup", 0.81, [480, 300, 540, 380], 0.9), obj("chair", 0.72, [20, 180, 170, 470], 1.6)],
+        summary: "A laptop [OBS] and a cup [OBS] sit on a tidy desk",
+        observations: ["Open laptop on desk", "Cup to the right of the laptop"],
+        inferences: ["Workspace currently unattended"],
+        hypotheses: [["Empty workstation", 0.86]],
+        activity: ["office", "desk", "stationary"],
+        dims: { visual_clarity: 0.92, semantic_certainty: 0.88, temporal_consistency: 0.9, completeness: 0.84 },
+        risk: { score: 0.04 },
+        reflection: { corrections: [], bias_flags: [], calibration_delta: 0, learning_signal: "stable" },
+      },
+      {
+        frames: 4,
+        objects: [obj("person", 0.9, [250, 60, 450, 470], 1.2, [-6, 0]), obj("laptop", 0.93, [180, 230, 460, 420], 0.8), obj("cable", 0.61, [60, 420, 300, 470], 1.1)],
+        summary: "A person [OBS] sits down at the desk; a loose cable [OBS] crosses the floor",
+        observations: ["Person seated facing laptop", "Cable lying across walkway"],
+        inferences: ["Person starting work", "Cable is a trip risk"],
+        hypotheses: [["Person starting a work session", 0.77], ["Person briefly checking laptop", 0.19]],
+        activity: ["office", "desk", "typing"],
+        dims: { visual_clarity: 0.9, semantic_certainty: 0.8, temporal_consistency: 0.76, completeness: 0.8 },
+        risk: { score: 0.22, hazards: [{ type: "trip", description: "Loose cable across the walkway", severity: 0.2 }] },
+        reflection: { corrections: ["Under-estimated clutter near the chair"], bias_flags: ["desk-centric framing"], calibration_delta: -0.02, learning_signal: "check floor area" },
+      },
+    ],
+  },
+
+  novel: {
+    label: "Novel scene",
+    sceneType: "unknown",
+    phases: [
+      {
+        frames: 3,
+        objects: [obj("machine", 0.46, [100, 120, 420, 430], 2.4), obj("person", 0.58, [450, 100, 560, 440], 3.4)],
+        summary: "An unfamiliar machine [OBS] with a person [OBS] nearby; purpose unclear",
+        observations: ["Large device with moving parts", "Person standing near device"],
+        inferences: ["Possibly industrial equipment"],
+        hypotheses: [["Person operating equipment", 0.41], ["Person inspecting equipment", 0.35], ["Person passing by", 0.2]],
+        activity: ["unknown"],
+        dims: { visual_clarity: 0.78, semantic_certainty: 0.52, temporal_consistency: 0.3, completeness: 0.5 },
+        flags: ["NOVEL_SCENE"],
+        risk: { score: 0.32 },
+      },
+      {
+        frames: 2,
+        objects: [obj("machine", 0.55, [100, 120, 420, 430], 2.4), obj("person", 0.66, [380, 100, 500, 440], 2.2, [-10, 0])],
+        summary: "The person [OBS] reaches toward the machine; this contradicts the earlier reading",
+        observations: ["Arm extended toward device"],
+        inferences: ["Person may be interacting with machine"],
+        hypotheses: [["Person operating equipment", 0.55], ["Person inspecting equipment", 0.33]],
+        activity: ["industrial", "operating"],
+        dims: { visual_clarity: 0.8, semantic_certainty: 0.6, temporal_consistency: 0.35, completeness: 0.58 },
+        flags: ["HISTORY_MISMATCH"],
+        risk: { score: 0.4, hazards: [{ type: "equipment", description: "Person's hand close to machine moving parts", severity: 0.4 }] },
+      },
+    ],
+  },
+
+  riskSpike: {
+    label: "Risk spike",
+    sceneType: "traffic",
+    phases: [
+      {
+        frames: 2,
+        objects: [obj("person", 0.9, [260, 90, 380, 470], 6)],
+        summary: "A pedestrian [OBS] walks along the pavement",
+        observations: ["Person walking parallel to road"],
+        inferences: ["Normal pedestrian movement"],
+        hypotheses: [["Walking along the road", 0.88]],
+        activity: ["walking", "street"],
+        dims: { visual_clarity: 0.9, semantic_certainty: 0.86, temporal_consistency: 0.88, completeness: 0.8 },
+        risk: { score: 0.12 },
+      },
+      {
+        frames: 2,
+        objects: [obj("person", 0.88, [240, 90, 380, 470], 4.5, [-15, 0]), obj("car", 0.9, [420, 150, 640, 420], 9, [-30, 0])],
+        summary: "The pedestrian [OBS] turns toward the road as a car [OBS] approaches",
+        observations: ["Person facing road", "Car approaching from the right"],
+        inferences: ["Person may step into the road"],
+        hypotheses: [["Person about to cross", 0.52], ["Person waiting at kerb", 0.4]],
+        activity: ["walking", "traffic"],
+        dims: { visual_clarity: 0.86, semantic_certainty: 0.62, temporal_consistency: 0.7, completeness: 0.74 },
+        flags: ["AMBIGUOUS_INTENT"],
+        risk: { score: 0.74, hazards: [{ type: "collision", description: "Car approaching a person near the road edge", severity: 0.7 }] },
+      },
+      {
+        frames: 1,
+        objects: [obj("person", 0.93, [220, 90, 380, 470], 2.1), obj("car", 0.95, [300, 130, 640, 460], 3.2)],
+        summary: "A person [OBS] has stepped into the road directly ahead of a moving car [OBS]",
+        observations: ["Person in the carriageway", "Car closing quickly"],
+        inferences: ["Imminent collision risk"],
+        hypotheses: [["Pedestrian crossing in front of car", 0.9]],
+        activity: ["crossing", "traffic", "emergency"],
+        dims: { visual_clarity: 0.9, semantic_certainty: 0.9, temporal_consistency: 0.85, completeness: 0.86 },
+        risk: {
+          score: 0.93,
+          hazards: [{ type: "collision", description: "Car about to strike the person in the road", severity: 0.95 }],
+        },
+      },
+      {
+        frames: 1,
+        objects: [obj("person", 0.94, [230, 90, 390, 470], 1.6), obj("car", 0.96, [260, 120, 640, 470], 2.4)],
+        summary: "The person [OBS] is still in the road and the car [OBS] has not slowed",
+        observations: ["Person frozen in the carriageway", "Car still closing"],
+        inferences: ["Collision likely without intervention"],
+        hypotheses: [["Pedestrian crossing in front of car", 0.92]],
+        activity: ["crossing", "traffic", "emergency"],
+        dims: { visual_clarity: 0.9, semantic_certainty: 0.92, temporal_consistency: 0.9, completeness: 0.88 },
+        risk: {
+          score: 0.96,
+          recommended_action: "ALERT_HUMAN",
+          hazards: [
+            { type: "collision", description: "Car about to strike the person in the road", severity: 0.97 },
+            { type: "traffic", description: "Person in a live lane", severity: 0.8 },
+          ],
+        },
+      },
+      {
+        frames: 2,
+        objects: [obj("person", 0.9, [60, 90, 200, 470], 3.5, [-10, 0]), obj("car", 0.92, [300, 150, 600, 430], 4)],
+        summary: "The car [OBS] has stopped; the person [OBS] reached the far kerb",
+        observations: ["Car stationary", "Person on the pavement"],
+        inferences: ["Danger has passed"],
+        hypotheses: [["Near miss resolved", 0.83]],
+        activity: ["traffic", "stationary"],
+        dims: { visual_clarity: 0.88, semantic_certainty: 0.8, temporal_consistency: 0.5, completeness: 0.8 },
+        risk: { score: 0.55, recommended_action: "SLOW_DOWN", hazards: [{ type: "traffic", description: "Stopped car may pull away", severity: 0.3 }] },
+        reflection: { corrections: ["Risk rose one frame later than it should have"], bias_flags: ["late hazard escalation"], calibration_delta: -0.05, learning_signal: "weight approach speed earlier" },
+      },
+    ],
+  },
+
+  lowLight: {
+    label: "Low-light degradation",
+    sceneType: "indoor",
+    phases: [
+      {
+        frames: 3,
+        objects: [obj("sofa", 0.7, [60, 220, 560, 460], 2.8), obj("lamp", 0.62, [500, 60, 580, 240], 3.1)],
+        summary: "A dim living room with a sofa [OBS] and a lamp [OBS]",
+        observations: ["Sofa along back wall", "Lamp switched off"],
+        inferences: ["Room unoccupied"],
+        hypotheses: [["Empty living room", 0.7]],
+        activity: ["home", "stationary"],
+        dims: { visual_clarity: 0.55, semantic_certainty: 0.66, temporal_consistency: 0.7, completeness: 0.6 },
+        flags: ["LOW_LIGHT"],
+        frameQuality: 0.45,
+        risk: { score: 0.08 },
+      },
+      {
+        frames: 3,
+        sceneType: "unknown",
+        objects: [obj("person", 0.38, [240, 120, 380, 460], 3.6, [8, 0])],
+        summary: "Something moves across the dark room; possibly a person [INF]",
+        observations: ["Blurred shape crossing frame"],
+        inferences: ["Could be a person walking"],
+        hypotheses: [["Person walking through room", 0.45], ["Pet moving", 0.3], ["Sensor noise", 0.2]],
+        activity: ["unknown", "moving"],
+        dims: { visual_clarity: 0.2, semantic_certainty: 0.28, temporal_consistency: 0.35, completeness: 0.25 },
+        flags: ["LOW_LIGHT", "MOTION_BLUR", "OCCLUSION"],
+        frameQuality: 0.15,
+        risk: { score: 0.3, hazards: [{ type: "visibility", description: "Cannot confirm what is moving in the dark", severity: 0.3 }] },
+      },
+    ],
+  },
+};
+
+export const TOUR = ["office", "street", "novel", "riskSpike", "lowLight"];
+
+// mulberry32
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const clamp01 = (v) => Math.max(0, Math.min(1, v));
+const round = (v, places = 2) => Math.round(v * 10 ** places) / 10 ** places;
+
+const DEFAULT_RECOMMENDATION = {
+  SAFE: "CONTINUE",
+  LOW: "CONTINUE",
+  MEDIUM: "SLOW_DOWN",
+  HIGH: "PAUSE",
+  CRITICAL: "HALT",
+};
+
+function uuid(random) {
+  const hex = () => Math.floor(random() * 16).toString(16);
+  const part = (n) => Array.from({ length: n }, hex).join("");
+  return `${part(8)}-${part(4)}-4${part(3)}-${"89ab"[Math.floor(random() * 4)]}${part(3)}-${part(12)}`;
+}
+
+// "tour" or a key of SCENARIOS
+function checkScenario(scenario) {
+  if (scenario !== "tour" && !SCENARIOS[scenario]) {
+    throw new Error(`Unknown simulator scenario "${scenario}"`);
+  }
+}
+
+export function createSimulator({ scenario = "tour", seed = 1, now = () => Date.now() } = {}) {
+  const random = createRandom(seed);
+  const jitter = (v, amount = 0.04) => clamp01(v + (random() - 0.5) * 2 * amount);
+  checkScenario(scenario);
+  const order = scenario === "tour" ? TOUR : [scenario];
+
+  let scenarioIndex = 0;
+  let phaseIndex = 0;
+  let frameInPhase = 0;
+  let frameCount = 0;
+  let chainSerial = 0;
+  let chainId = null;
+
+  function advance() {
+    const phases = SCENARIOS[order[scenarioIndex]].phases;
+    frameInPhase += 1;
+    if (frameInPhase < phases[phaseIndex].frames) return;
+    frameInPhase = 0;
+    phaseIndex += 1;
+    if (phaseIndex < phases.length) return;
+    phaseIndex = 0;
+    scenarioIndex = (scenarioIndex + 1) % order.length;
+    chainId = null;
+  }
+
+  function next() {
+    const key = order[scenarioIndex];
+    const def = SCENARIOS[key];
+    const phase = def.phases[phaseIndex];
+    const sceneType = phase.sceneType ?? def.sceneType;
+    if (!chainId) chainId = `${key}-${String(++chainSerial).padStart(3, "0")}`;
+
+    const objects = phase.objects.map((o) => {
+      const dx = o.drift[0] * frameInPhase;
+      const dy = o.drift[1] * frameInPhase;
+      const [x1, y1, x2, y2] = o.bbox;
+      return {
+        label: o.label,
+        confidence: round(jitter(o.confidence, 0.03)),
+        bbox: [
+          Math.round(Math.max(0, Math.min(FRAME_WIDTH, x1 + dx))),
+          Math.round(Math.max(0, Math.min(FRAME_HEIGHT, y1 + dy))),
+          Math.round(Math.max(0, Math.min(FRAME_WIDTH, x2 + dx))),
+          Math.round(Math.max(0, Math.min(FRAME_HEIGHT, y2 + dy))),
+        ],
+        depth_m: round(Math.max(0.2, o.depth_m + (random() - 0.5) * 0.2), 1),
+      };
+    });
+
+    const flags = phase.flags ?? [];
+    const dims = Object.fromEntries(
+      Object.entries(phase.dims).map(([k, v]) => [k, round(jitter(v))])
+    );
+    const overall = round(computeOverallConfidence({ ...dims, flags }));
+
+    const score = round(jitter(phase.risk.score, 0.03));
+    const level = riskLevel(score);
+
+    // Around each stage's budget, sometimes over it
+    const stageLatency = {
+      perception: Math.round(35 + random() * 30),
+      interpretation: Math.round(150 + random() * 110),
+      uncertainty: Math.round(60 + random() * 30),
+      risk: Math.round(70 + random() * 50),
+      ...(phase.reflection && { reflection: Math.round(200 + random() * 150) }),
+    };
+
+    const thought = {
+      thought_id: uuid(random),
+      timestamp: now(),
+      frame_ref: `sim:${key}:${frameCount}`,
+      pipeline: {
+        perception: {
+          objects,
+          scene_type: sceneType,
+          frame_quality: round(jitter(phase.frameQuality ?? 0.85, 0.03)),
+        },
+        interpretation: {
+          summary: phase.summary,
+          observations: phase.observations,
+          inferences: phase.inferences,
+          hypotheses: phase.hypotheses.map(([description, p]) => ({ description, probability: round(jitter(p, 0.02)) })),
+          activity_labels: phase.activity,
+        },
+        uncertainty: {
+          overall,
+          ...dims,
+          flags,
+          action: selectAction(overall, flags),
+        },
+        risk: {
+          score,
+          level,
+          hazards: phase.risk.hazards ?? [],
+          recommended_action: phase.risk.recommended_action ?? DEFAULT_RECOMMENDATION[level],
+        },
+        ...(phase.reflection && { reflection: phase.reflection }),
+      },
+      meta: {
+        // Reflection runs async, outside the total
+        total_latency_ms:
+          stageLatency.perception + stageLatency.interpretation + stageLatency.uncertainty + stageLatency.risk,
+        stage_latency_ms: stageLatency,
+        model_versions: { simulator: "1.0" },
+        triggered_rules: [],
+        thought_chain_id: chainId,
+      },
+    };
+
+    frameCount += 1;
+    advance();
+    return thought;
+  }
+
+  return { next };
+}
+
+// Transport-shaped source for thoughtStream.setSource
+export function openSimulator(options = {}) {
+  return ({ onOpen, onMessage }) => {
+    const simulator = createSimulator(options);
+    onOpen();
+    onMessage(simulator.next());
+    const timer = setInterval(() => onMessage(simulator.next()), options.intervalMs ?? SIMULATOR_INTERVAL_MS);
+    return () => clearInterval(timer);
+  };
+}
+
+// Simulation currently feeding the stream, shared by all views
+const listeners = new Set();
+let activeScenario = null;
+
+function setActiveScenario(scenario) {
+  activeScenario = scenario;
+  listeners.forEach((listener) => listener());
+}
+
+export const simulation = {
+  start(scenario = "tour", stream = thoughtStream) {
+    checkScenario(scenario);
+    setActiveScenario(scenario);
+    stream.setSource("mock", openSimulator({ scenario, seed: Date.now() }));
+  },
+  stop(stream = thoughtStream) {
+    if (!activeScenario) return;
+    setActiveScenario(null);
+    if (stream.getSnapshot().transport === "mock") stream.clearSource();
+  },
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+  getScenario: () => activeScenario,
+};
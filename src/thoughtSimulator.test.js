@@ -0,0 +1,43 @@
+import { createSimulator, SCENARIOS, simulation, TOUR } from './thoughtSimulator';
+import { THOUGHT_SCHEMA, validateThought } from './thoughtSchema';
+import { enforceThoughts } from './ruleEngine';
+
+const tourLength = TOUR.reduce(
+  (n, key) => n + SCENARIOS[key].phases.reduce((m, p) => m + p.frames, 0),
+  0
+);
+
+test('every simulated thought is schema-valid and the tour covers every enum', () => {
+  const simulator = createSimulator({ seed: 42 });
+  const thoughts = Array.from({ length: tourLength }, () => simulator.next());
+
+  // SUSTAINED_LOW_CONFIDENCE is raised by R2 on the client, so the flags are
+  // checked on the tour as every view sees it
+  const enforced = enforceThoughts(thoughts);
+
+  thoughts.forEach((t) => expect(validateThought(t).errors).toEqual([]));
+  enforced.forEach((t) => expect(validateThought(t).errors).toEqual([]));
+
+  const { perception, uncertainty, risk } = THOUGHT_SCHEMA.properties.pipeline.properties;
+  const seen = (pick) => new Set(thoughts.flatMap(pick));
+  expect(seen((t) => t.pipeline.perception.scene_type)).toEqual(new Set(perception.properties.scene_type.enum));
+  expect(new Set(enforced.flatMap((t) => t.pipeline.uncertainty.flags))).toEqual(new Set(uncertainty.properties.flags.items.enum));
+  expect(seen((t) => t.pipeline.uncertainty.action)).toEqual(new Set(uncertainty.properties.action.enum));
+  expect(seen((t) => t.pipeline.risk.level)).toEqual(new Set(risk.properties.level.enum));
+  expect(seen((t) => t.pipeline.risk.recommended_action)).toEqual(new Set(risk.properties.recommended_action.enum));
+});
+
+test('a scenario restarts with a new thought chain', () => {
+  const simulator = createSimulator({ scenario: 'office' });
+  const frames = SCENARIOS.office.phases.reduce((n, p) => n + p.frames, 0);
+  const chains = Array.from({ length: frames + 1 }, () => simulator.next().meta.thought_chain_id);
+  expect(chains[0]).toBe('office-001');
+  expect(chains[frames]).toBe('office-002');
+});
+
+test('an unknown scenario is rejected before the stream switches', () => {
+  const stream = { setSource: jest.fn() };
+  expect(() => simulation.start('nowhere', stream)).toThrow('Unknown simulator scenario "nowhere"');
+  expect(stream.setSource).not.toHaveBeenCalled();
+  expect(simulation.getScenario()).toBeNull();
+});
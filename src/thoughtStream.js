@@ -0,0 +1,243 @@
+import {
+  API_BASE_URL,
+  MAX_BACKOFF_MS,
+  OFFLINE_AFTER_FAILURES,
+  POLL_INTERVAL_MS,
+  PUSH_CONNECT_ATTEMPTS,
+  PUSH_UPGRADE_MS,
+  STALE_AFTER_MS,
+  THOUGHT_TRANSPORT,
+} from "./config";
+import { validateThought } from "./thoughtSchema";
+import { TRANSPORTS } from "./thoughtTransports";
+
+// One client for the backend's thought stream. Views subscribe to snapshots
+// instead of running their own fetch loops; the stream starts with the first
+// subscriber and stops when the last one leaves.
+//
+// Thoughts arrive pushed over WebSocket or SSE when the backend offers them,
+// resuming from the last thought_id after a reconnect, and fall back to HTTP
+// polling otherwise.
+//
+// setSource() swaps the backend for another transport-shaped source (a
+// recorded session, the simulator) until clearSource() is called.
+//
+// Snapshot: { status, transport, thought, receivedAt, malformed, error }
+//   status    — "connecting" | "live" | "stale" | "offline"
+//   transport — "websocket" | "sse" | "poll", or the active source's kind
+
+const SEEN_IDS_LIMIT = 200;
+const PUSH_ORDER = ["websocket", "sse", "poll"];
+
+function transportChain(preference) {
+  if (preference === "auto") return PUSH_ORDER;
+  return preference === "poll" ? ["poll"] : [preference, "poll"];
+}
+
+export function createThoughtStream({
+  baseUrl = API_BASE_URL,
+  transport = THOUGHT_TRANSPORT,
+  intervalMs = POLL_INTERVAL_MS,
+  maxBackoffMs = MAX_BACKOFF_MS,
+  staleAfterMs = STALE_AFTER_MS,
+  offlineAfterFailures = OFFLINE_AFTER_FAILURES,
+  pushConnectAttempts = PUSH_CONNECT_ATTEMPTS,
+  pushUpgradeMs = PUSH_UPGRADE_MS,
+  transports = TRANSPORTS,
+  fetchImpl = (...args) => fetch(...args),
+  now = () => Date.now(),
+} = {}) {
+  const listeners = new Set();
+  const seenIds = [];
+  const chain = transportChain(transport);
+
+  let snapshot = {
+    status: "connecting",
+    transport: chain[0],
+    thought: null,
+    receivedAt: null,
+    malformed: null,
+    error: null,
+  };
+  let running = false;
+  let failures = 0;
+  let attemptsWithoutOpen = 0;
+  let lastSuccessAt = null;
+  let lastThoughtId = null;
+  let chainIndex = 0;
+  let closeConnection = null;
+  let connectionId = 0;
+  let source = null;
+  let reconnectTimer = null;
+  let upgradeTimer = null;
+  let staleTimer = null;
+
+  function update(patch) {
+    snapshot = { ...snapshot, ...patch };
+    listeners.forEach((listener) => listener());
+  }
+
+  function computeStatus() {
+    if (failures >= offlineAfterFailures) return "offline";
+    if (lastSuccessAt === null) return "connecting";
+    const newest = Math.max(snapshot.receivedAt ?? 0, lastSuccessAt);
+    if (failures > 0 || now() - newest > staleAfterMs) return "stale";
+    return "live";
+  }
+
+  function refreshStatus() {
+    const status = computeStatus();
+    if (status !== snapshot.status) update({ status });
+  }
+
+  function resetSeen() {
+    seenIds.length = 0;
+    lastThoughtId = null;
+  }
+
+  function ingest(payload) {
+    const id = payload?.thought_id;
+    if (id !== undefined) {
+      if (seenIds.includes(id)) return;
+      seenIds.push(id);
+      if (seenIds.length > SEEN_IDS_LIMIT) seenIds.shift();
+      lastThoughtId = id;
+    }
+
+    const { valid, errors } = validateThought(payload);
+    if (!valid) {
+      update({ malformed: { errors, receivedAt: now() } });
+      return;
+    }
+    update({ thought: payload, receivedAt: now(), malformed: null });
+  }
+
+  function disconnect() {
+    clearTimeout(reconnectTimer);
+    clearTimeout(upgradeTimer);
+    closeConnection?.();
+    closeConnection = null;
+  }
+
+  function connect() {
+    disconnect();
+    const kind = source ? source.kind : chain[chainIndex];
+    const open = source ? source.open : transports[kind];
+    const id = ++connectionId;
+    let opened = false;
+    if (kind !== snapshot.transport) update({ transport: kind });
+
+    // Transports may close synchronously, so only keep the closer if this
+    // connection is still the current one
+    const close = open({
+      baseUrl,
+      lastThoughtId,
+      intervalMs,
+      fetchImpl,
+      resetSeen,
+      onOpen: () => {
+        opened = true;
+        failures = 0;
+        attemptsWithoutOpen = 0;
+        lastSuccessAt = now();
+        if (snapshot.error) update({ error: null });
+        refreshStatus();
+
+        // Polling is a fallback; keep trying to get back onto push
+        if (!source && kind === "poll" && chainIndex > 0) {
+          upgradeTimer = setTimeout(() => {
+            chainIndex = 0;
+            connect();
+          }, pushUpgradeMs);
+        }
+      },
+      onMessage: (payload) => {
+        lastSuccessAt = now();
+        if (payload?.type !== "heartbeat") ingest(payload);
+        refreshStatus();
+      },
+      onClose: (err) => {
+        if (!running || id !== connectionId) return;
+        closeConnection = null;
+
+        // Sources end when they end; only the backend is reconnected
+        if (source) {
+          update({ error: err?.message ?? null });
+          return;
+        }
+
+        // A push endpoint that never opens is treated as unavailable
+        if (!opened && chainIndex < chain.length - 1) {
+          attemptsWithoutOpen += 1;
+          if (attemptsWithoutOpen >= pushConnectAttempts) {
+            chainIndex += 1;
+            attemptsWithoutOpen = 0;
+            connect();
+          } else {
+            reconnectTimer = setTimeout(connect, intervalMs);
+          }
+          return;
+        }
+
+        failures += 1;
+        update({ error: err?.message || "Backend not reachable" });
+        refreshStatus();
+        reconnectTimer = setTimeout(
+          connect,
+          Math.min(intervalMs * 2 ** failures, maxBackoffMs)
+        );
+      },
+    });
+    if (id === connectionId) closeConnection = close;
+  }
+
+  function start() {
+    if (running) return;
+    running = true;
+    failures = 0;
+    attemptsWithoutOpen = 0;
+    chainIndex = 0;
+    update({ status: lastSuccessAt === null ? "connecting" : computeStatus() });
+    staleTimer = setInterval(refreshStatus, 1000);
+    connect();
+  }
+
+  function stop() {
+    running = false;
+    clearInterval(staleTimer);
+    disconnect();
+  }
+
+  function switchTo(next) {
+    source = next;
+    resetSeen();
+    failures = 0;
+    attemptsWithoutOpen = 0;
+    chainIndex = 0;
+    lastSuccessAt = null;
+    update({ thought: null, receivedAt: null, malformed: null, error: null, status: "connecting" });
+    if (running) connect();
+  }
+
+  function subscribe(listener) {
+    listeners.add(listener);
+    if (listeners.size === 1) start();
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size === 0) stop();
+    };
+  }
+
+  return {
+    subscribe,
+    getSnapshot: () => snapshot,
+    start,
+    stop,
+    // open has the same shape as a transport, see thoughtTransports.js
+    setSource: (kind, open) => switchTo({ kind, open }),
+    clearSource: () => switchTo(null),
+  };
+}
+
+// Shared by all views
+export const thoughtStream = createThoughtStream();
@@ -0,0 +1,59 @@
+import { createThoughtStream } from './thoughtStream';
+
+const thought = (id) => ({
+  thought_id: id,
+  timestamp: 1,
+  pipeline: {
+    perception: { objects: [] },
+    interpretation: { summary: 'desk' },
+    uncertainty: { overall: 0.8 },
+    risk: { level: 'LOW' },
+  },
+});
+
+function fakeTransport() {
+  const calls = [];
+  const open = (ctx) => {
+    calls.push(ctx);
+    return () => {};
+  };
+  return { open, calls };
+}
+
+test('falls back from push to polling and resumes after the last thought_id', () => {
+  const ws = fakeTransport();
+  const sse = fakeTransport();
+  const poll = fakeTransport();
+  const stream = createThoughtStream({
+    transports: { websocket: ws.open, sse: sse.open, poll: poll.open },
+  });
+  const unsubscribe = stream.subscribe(() => {});
+
+  ws.calls[0].onOpen();
+  ws.calls[0].onMessage(thought('a'));
+  expect(stream.getSnapshot()).toMatchObject({ status: 'live', transport: 'websocket' });
+
+  // Duplicate ids are ignored
+  const first = stream.getSnapshot().thought;
+  ws.calls[0].onMessage(thought('a'));
+  expect(stream.getSnapshot().thought).toBe(first);
+
+  // Drop after being open: reconnects on the same transport with resume
+  jest.useFakeTimers();
+  ws.calls[0].onClose(new Error('closed'));
+  jest.runOnlyPendingTimers();
+  expect(ws.calls[1].lastThoughtId).toBe('a');
+
+  // Never opens: fall through SSE to polling
+  ws.calls[1].onClose(new Error('refused'));
+  sse.calls[0].onClose(new Error('refused'));
+  expect(stream.getSnapshot().transport).toBe('poll');
+
+  poll.calls[0].onOpen();
+  poll.calls[0].onMessage({ thought_id: 'b' });
+  expect(stream.getSnapshot().malformed.errors.length).toBeGreaterThan(0);
+  expect(stream.getSnapshot().thought.thought_id).toBe('a');
+
+  unsubscribe();
+  jest.useRealTimers();
+});
@@ -0,0 +1,132 @@
+// Transports used by the thought stream. Each one opens a single connection
+// and reports back through callbacks; reconnects, backoff and fallback between
+// transports are the stream's job.
+//
+//   open({ baseUrl, lastThoughtId, intervalMs, fetchImpl, resetSeen, onOpen, onMessage, onClose })
+//     → close()
+//
+// onOpen fires once the connection is proven to work, onMessage with each
+// parsed payload, onClose(error) at most once when the connection ends.
+// resetSeen() forgets delivered thought_ids, for sources that rewind.
+
+export const TRANSPORT_LABELS = {
+  websocket: "WS",
+  sse: "SSE",
+  poll: "HTTP",
+  replay: "REPLAY",
+  mock: "SIM",
+  local: "LOCAL",
+};
+
+function withResume(url, lastThoughtId) {
+  if (!lastThoughtId) return url;
+  return `${url}?after=${encodeURIComponent(lastThoughtId)}`;
+}
+
+function once(fn) {
+  let called = false;
+  return (...args) => {
+    if (called) return;
+    called = true;
+    fn(...args);
+  };
+}
+
+export function openWebSocket({ baseUrl, lastThoughtId, onOpen, onMessage, onClose }) {
+  if (typeof WebSocket === "undefined") {
+    onClose(new Error("WebSocket not supported"));
+    return () => {};
+  }
+
+  const close = once(onClose);
+  const url = withResume(`${baseUrl.replace(/^http/, "ws")}/thoughts/ws`, lastThoughtId);
+  const socket = new WebSocket(url);
+
+  socket.onopen = () => onOpen();
+  socket.onmessage = (event) => {
+    try {
+      onMessage(JSON.parse(event.data));
+    } catch {
+      onMessage(event.data);
+    }
+  };
+  socket.onerror = () => close(new Error("WebSocket error"));
+  socket.onclose = (event) => close(new Error(`WebSocket closed (${event.code})`));
+
+  return () => {
+    socket.onclose = null;
+    socket.onerror = null;
+    socket.close();
+  };
+}
+
+export function openEventSource({ baseUrl, lastThoughtId, onOpen, onMessage, onClose }) {
+  if (typeof EventSource === "undefined") {
+    onClose(new Error("EventSource not supported"));
+    return () => {};
+  }
+
+  const close = once(onClose);
+  const source = new EventSource(withResume(`${baseUrl}/thoughts/stream`, lastThoughtId));
+
+  source.onopen = () => onOpen();
+  source.onmessage = (event) => {
+    try {
+      onMessage(JSON.parse(event.data));
+    } catch {
+      onMessage(event.data);
+    }
+  };
+  // EventSource reconnects on its own; close it so the stream decides
+  source.onerror = () => {
+    source.close();
+    close(new Error("Event stream interrupted"));
+  };
+
+  return () => source.close();
+}
+
+export function openPolling({ baseUrl, intervalMs, fetchImpl, onOpen, onMessage, onClose }) {
+  const close = once(onClose);
+  let stopped = false;
+  let opened = false;
+  let timer = null;
+  let controller = null;
+
+  async function poll() {
+    controller = new AbortController();
+    try {
+      const res = await fetchImpl(`${baseUrl}/thoughts`, {
+        signal: controller.signal,
+        cache: "no-store",
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const payload = await res.json();
+      if (stopped) return;
+
+      if (!opened) {
+        opened = true;
+        onOpen();
+      }
+      onMessage(payload);
+      timer = setTimeout(poll, intervalMs);
+    } catch (err) {
+      if (stopped || err.name === "AbortError") return;
+      close(err.message ? err : new Error("Backend not reachable"));
+    }
+  }
+
+  poll();
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    controller?.abort();
+  };
+}
+
+export const TRANSPORTS = {
+  websocket: openWebSocket,
+  sse: openEventSource,
+  poll: openPolling,
+};
@@ -0,0 +1,134 @@
+// Executable uncertainty logic — the same formulas documented in the
+// "Uncertainty Logic" tab, run client-side against every incoming thought
+// so the backend's numbers can be checked.
+
+export const CONFIDENCE_WEIGHTS = {
+  visual_clarity: 0.25, // Frame quality, lighting
+  semantic_certainty: 0.35, // LLM interpretation entropy
+  temporal_consistency: 0.25, // Match with recent frames
+  completeness: 0.15, // % of scene explained
+};
+
+export const FLAG_PENALTY = 0.08;
+
+// Backend and client values closer than this are treated as agreeing
+export const CONFIDENCE_TOLERANCE = 0.02;
+
+export function computeOverallConfidence(factors) {
+  const weighted = Object.entries(CONFIDENCE_WEIGHTS).reduce((sum, [k, w]) => {
+    return sum + (factors[k] ?? 0.5) * w;
+  }, 0);
+
+  // Apply penalty for dangerous flags
+  const flagPenalty = (factors.flags ?? []).length * FLAG_PENALTY;
+  return Math.max(0, weighted - flagPenalty);
+}
+
+// Lowest confidence for each action, checked from the top
+export const GATE_THRESHOLDS = {
+  PROCEED: 0.75,
+  HOLD_AND_OBSERVE: 0.5,
+  REQUEST_REFRAME: 0.3,
+  FALLBACK_TO_PRIOR: 0,
+};
+
+// Uncertainty → Action mapping, checked in order: each gate runs from its
+// threshold up to the one above it
+export const UNCERTAINTY_GATES = Object.fromEntries(
+  Object.entries(GATE_THRESHOLDS).map(([action, min], i, gates) => {
+    const max = i === 0 ? Infinity : gates[i - 1][1];
+    return [action, (conf) => conf >= min && conf < max];
+  })
+);
+
+// Flags that pick the action regardless of confidence, checked in order
+export const FLAG_OVERRIDES = [
+  { flag: "NOVEL_SCENE", action: "HOLD_AND_OBSERVE", note: "novel scene always holds regardless of confidence" },
+  { flag: "HISTORY_MISMATCH", action: "REQUEST_REFRAME", note: "history mismatch needs reframe" },
+];
+
+export function selectAction(confidence, flags = []) {
+  const override = FLAG_OVERRIDES.find((o) => flags.includes(o.flag));
+  if (override) return override.action;
+
+  for (const [action, test] of Object.entries(UNCERTAINTY_GATES)) {
+    if (test(confidence)) return action;
+  }
+  return "FALLBACK_TO_PRIOR";
+}
+
+// logprobs: per-token log probabilities from the LLM
+export function semanticEntropy(logprobs, vocabSize = 50000) {
+  const probs = logprobs.map((lp) => Math.exp(lp));
+
+  // Shannon entropy of token distribution
+  const entropy = -probs.reduce((sum, p) => {
+    return p > 0 ? sum + p * Math.log2(p) : sum;
+  }, 0);
+
+  // Normalize: max entropy for vocab size V = log2(V)
+  const normalized = entropy / Math.log2(vocabSize);
+
+  return 1 - normalized; // High entropy = low certainty
+}
+
+export function jaccardSimilarity(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let intersection = 0;
+  a.forEach((x) => {
+    if (b.has(x)) intersection++;
+  });
+  return intersection / (a.size + b.size - intersection);
+}
+
+// history: past interpretations, oldest first
+export function temporalConsistency(currentInterp, history, windowSize = 5) {
+  if (history.length === 0) return 0.5; // Neutral on first frame
+
+  const recent = history.slice(-windowSize);
+
+  // Compare activity labels with weighted recency
+  const scores = recent.map((past, i) => {
+    const recencyWeight = (i + 1) / recent.length;
+    const labelOverlap = jaccardSimilarity(
+      new Set(currentInterp.activity_labels ?? []),
+      new Set(past.activity_labels ?? [])
+    );
+    return labelOverlap * recencyWeight;
+  });
+
+  return scores.reduce((a, b) => a + b, 0) / scores.length;
+}
+
+// Recompute overall confidence and action for a thought and compare them with
+// what the backend sent. When the backend omits temporal_consistency it is
+// derived from `history` (previous interpretations, oldest first).
+export function auditUncertainty(thought, history = []) {
+  const backend = thought.pipeline.uncertainty;
+  const flags = backend.flags ?? [];
+
+  const factors = {
+    ...backend,
+    flags,
+    temporal_consistency:
+      backend.temporal_consistency ??
+      temporalConsistency(thought.pipeline.interpretation ?? {}, history),
+  };
+
+  const overall = computeOverallConfidence(factors);
+  const action = selectAction(overall, flags);
+  const overallDelta =
+    typeof backend.overall === "number" ? backend.overall - overall : null;
+
+  return {
+    thought_id: thought.thought_id,
+    overall,
+    action,
+    backendOverall: backend.overall,
+    backendAction: backend.action,
+    overallDelta,
+    overallMismatch:
+      overallDelta !== null && Math.abs(overallDelta) > CONFIDENCE_TOLERANCE,
+    actionMismatch: backend.action !== undefined && backend.action !== action,
+  };
+}
@@ -0,0 +1,59 @@
+import {
+  auditUncertainty,
+  computeOverallConfidence,
+  selectAction,
+  temporalConsistency,
+} from './uncertainty';
+
+const thought = (uncertainty, activity_labels = []) => ({
+  thought_id: 't1',
+  pipeline: { interpretation: { activity_labels }, uncertainty },
+});
+
+test('weights the four dimensions and penalises flags', () => {
+  const factors = {
+    visual_clarity: 0.87,
+    semantic_certainty: 0.68,
+    temporal_consistency: 0.65,
+    completeness: 0.72,
+    flags: [],
+  };
+  expect(computeOverallConfidence(factors)).toBeCloseTo(0.7255);
+  expect(computeOverallConfidence({ ...factors, flags: ['OCCLUSION'] })).toBeCloseTo(0.6455);
+});
+
+test('selects actions through the gates with flag overrides', () => {
+  expect(selectAction(0.8)).toBe('PROCEED');
+  expect(selectAction(0.6)).toBe('HOLD_AND_OBSERVE');
+  expect(selectAction(0.4)).toBe('REQUEST_REFRAME');
+  expect(selectAction(0.1)).toBe('FALLBACK_TO_PRIOR');
+  expect(selectAction(0.9, ['NOVEL_SCENE'])).toBe('HOLD_AND_OBSERVE');
+  expect(selectAction(0.9, ['HISTORY_MISMATCH'])).toBe('REQUEST_REFRAME');
+});
+
+test('gates meet exactly at the thresholds', () => {
+  expect(selectAction(0.75)).toBe('PROCEED');
+  expect(selectAction(0.7499)).toBe('HOLD_AND_OBSERVE');
+  expect(selectAction(0.5)).toBe('HOLD_AND_OBSERVE');
+  expect(selectAction(0.3)).toBe('REQUEST_REFRAME');
+  expect(selectAction(0.2999)).toBe('FALLBACK_TO_PRIOR');
+});
+
+test('temporal consistency is neutral on the first frame', () => {
+  expect(temporalConsistency({ activity_labels: ['street'] }, [])).toBe(0.5);
+});
+
+test('flags disagreement with the backend', () => {
+  const agree = auditUncertainty(
+    thought({ visual_clarity: 0.87, semantic_certainty: 0.68, temporal_consistency: 0.65, completeness: 0.72, flags: [], overall: 0.72, action: 'HOLD_AND_OBSERVE' })
+  );
+  expect(agree.overallMismatch).toBe(false);
+  expect(agree.actionMismatch).toBe(false);
+
+  const disagree = auditUncertainty(
+    thought({ visual_clarity: 0.87, semantic_certainty: 0.68, temporal_consistency: 0.65, completeness: 0.72, flags: [], overall: 0.95, action: 'PROCEED' })
+  );
+  expect(disagree.overallMismatch).toBe(true);
+  expect(disagree.actionMismatch).toBe(true);
+  expect(disagree.overallDelta).toBeCloseTo(0.2245);
+});
@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from "react";
+import { calibration } from "./calibration";
+
+// Subscribe a component to the shared calibration labels
+export default function useCalibration(store = calibration) {
+  return useSyncExternalStore(store.subscribe, store.getSnapshot);
+}
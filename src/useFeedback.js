@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from "react";
+import { feedback } from "./feedback";
+
+// Subscribe a component to the shared outcome feedback entries
+export default function useFeedback(store = feedback) {
+  return useSyncExternalStore(store.subscribe, store.getSnapshot);
+}
@@ -0,0 +1,18 @@
+import { useEffect, useRef, useSyncExternalStore } from "react";
+import { createFrameAnalyzer } from "./frameQuality";
+
+// A frame analyzer for one camera view and its latest { analysis, hint }.
+// Pass analyzer.enrich to the frame uploader; the hint clears while frames
+// aren't being captured.
+export default function useFrameAnalyzer(active) {
+  const analyzerRef = useRef(null);
+  if (analyzerRef.current === null) analyzerRef.current = createFrameAnalyzer();
+  const analyzer = analyzerRef.current;
+
+  useEffect(() => {
+    if (!active) analyzer.reset();
+  }, [active, analyzer]);
+
+  const snapshot = useSyncExternalStore(analyzer.subscribe, analyzer.getSnapshot);
+  return { analyzer, ...snapshot };
+}
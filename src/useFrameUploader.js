@@ -0,0 +1,27 @@
+import { useEffect, useRef, useSyncExternalStore } from "react";
+import { createFrameUploader } from "./frameUploader";
+import { sessionRecorder } from "./sessionRecorder";
+
+// Upload frames from a react-webcam ref while `enabled` is true. Returns the
+// uploader's snapshot plus frameFor(thought) to find the frame a thought
+// describes. Captured frames are also offered to the session recorder.
+export default function useFrameUploader(webcamRef, enabled, options = {}) {
+  const uploaderRef = useRef(null);
+  if (uploaderRef.current === null) {
+    uploaderRef.current = createFrameUploader({
+      ...options,
+      getVideo: () => webcamRef.current?.video ?? null,
+      onCapture: (frame) => sessionRecorder.recordFrame(frame),
+    });
+  }
+  const uploader = uploaderRef.current;
+
+  useEffect(() => {
+    if (!enabled) return;
+    uploader.start();
+    return () => uploader.stop();
+  }, [enabled, uploader]);
+
+  const snapshot = useSyncExternalStore(uploader.subscribe, uploader.getSnapshot);
+  return { ...snapshot, frameFor: uploader.frameFor };
+}
@@ -0,0 +1,15 @@
+import { useSyncExternalStore } from "react";
+import { replay } from "./sessionPlayer";
+
+const noSubscribe = () => () => {};
+const noSnapshot = () => null;
+
+// The active replay player and its state, or nulls when live
+export default function useReplay() {
+  const player = useSyncExternalStore(replay.subscribe, replay.getPlayer);
+  const state = useSyncExternalStore(
+    player ? player.subscribe : noSubscribe,
+    player ? player.getSnapshot : noSnapshot
+  );
+  return { player, state };
+}
@@ -0,0 +1,18 @@
+import { useEffect, useRef, useSyncExternalStore } from "react";
+import { createSceneCutDetector } from "./sceneCuts";
+
+// A scene-cut detector for one camera view and its { chainId, similarity,
+// cuts }. Pass detector.enrich to the frame uploader; the chain ends while
+// frames aren't being captured.
+export default function useSceneCuts(active) {
+  const detectorRef = useRef(null);
+  if (detectorRef.current === null) detectorRef.current = createSceneCutDetector();
+  const detector = detectorRef.current;
+
+  useEffect(() => {
+    if (!active) detector.reset();
+  }, [active, detector]);
+
+  const snapshot = useSyncExternalStore(detector.subscribe, detector.getSnapshot);
+  return { detector, ...snapshot };
+}
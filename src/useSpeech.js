@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from "react";
+import { speech } from "./speech";
+
+// Subscribe a component to the shared speech queue
+export default function useSpeech(service = speech) {
+  return useSyncExternalStore(service.subscribe, service.getSnapshot);
+}
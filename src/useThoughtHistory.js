@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from "react";
+import { thoughtHistory } from "./thoughtHistory";
+
+// Subscribe a component to the persisted thought history
+export default function useThoughtHistory(store = thoughtHistory) {
+  return useSyncExternalStore(store.subscribe, store.getSnapshot);
+}
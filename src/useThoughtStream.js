@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from "react";
+import { enforcedStream } from "./enforcedStream";
+
+// Subscribe a component to the shared thought stream, with the reflective
+// rules applied
+export default function useThoughtStream(stream = enforcedStream) {
+  return useSyncExternalStore(stream.subscribe, stream.getSnapshot);
+}
@@ -0,0 +1,127 @@
+// Hands-free control: spoken (or typed) commands mapped to actions on the
+// current thought and the views. Recognition uses the browser's
+// SpeechRecognition API; each command also has a keyboard shortcut for
+// browsers without it.
+
+export const VIEWS = {
+  cinematic: "Cinematic",
+  camera: "Camera",
+  pipeline: "Pipeline",
+};
+
+// Spoken words that name each view
+const VIEW_WORDS = {
+  cinematic: ["cinematic", "main", "home"],
+  camera: ["camera", "live"],
+  pipeline: ["pipeline", "system", "analysis", "debug"],
+};
+
+// Checked in order, so "unmute" is tried before "mute"
+export const VOICE_COMMANDS = [
+  { id: "describe", phrase: "what do you see", keys: ["w"], patterns: [/what (do|can) you see/, /describe (the )?(scene|surroundings)/, /look around/] },
+  { id: "confidence", phrase: "how confident are you", keys: ["c"], patterns: [/how (confident|sure|certain)/, /confidence/] },
+  { id: "hazards", phrase: "describe hazards", keys: ["h"], patterns: [/hazard|danger|\brisks?\b/] },
+  { id: "repeat", phrase: "repeat", keys: ["r"], patterns: [/repeat|say (that|it) again|pardon/] },
+  { id: "unmute", phrase: "unmute", keys: ["u"], patterns: [/unmute|voice on|start talking/] },
+  { id: "mute", phrase: "mute", keys: ["m"], patterns: [/\bmute\b|be quiet|stop talking|silence/] },
+  {
+    id: "view",
+    phrase: "switch to pipeline view",
+    keys: ["1", "2", "3"],
+    patterns: [/(switch|go|change) to (the )?(\w+)( view)?/, /show (me )?(the )?(\w+) view/],
+  },
+];
+
+function viewFromWord(word) {
+  return Object.keys(VIEW_WORDS).find((view) => VIEW_WORDS[view].includes(word)) ?? null;
+}
+
+// → { id, view? } or null
+export function matchCommand(transcript) {
+  const text = transcript.toLowerCase().trim();
+  for (const command of VOICE_COMMANDS) {
+    for (const pattern of command.patterns) {
+      const match = text.match(pattern);
+      if (!match) continue;
+      if (command.id !== "view") return { id: command.id };
+      const view = viewFromWord(match[3]);
+      if (view) return { id: "view", view };
+    }
+  }
+  return null;
+}
+
+// Keyboard fallback: letters for commands, 1–3 for the views in VIEWS order
+export function matchKey(key) {
+  const viewIndex = ["1", "2", "3"].indexOf(key);
+  if (viewIndex !== -1) return { id: "view", view: Object.keys(VIEWS)[viewIndex] };
+  const command = VOICE_COMMANDS.find((c) => c.id !== "view" && c.keys.includes(key.toLowerCase()));
+  return command ? { id: command.id } : null;
+}
+
+export function describeConfidence(thought) {
+  if (!thought) return "I haven't had a thought yet.";
+  const { overall, flags = [], action } = thought.pipeline.uncertainty;
+  const percent = Math.round(overall * 100);
+  const reasons = flags.length ? ` Flags: ${flags.map((f) => f.toLowerCase().replace(/_/g, " ")).join(", ")}.` : "";
+  const next = action ? ` I'll ${action.toLowerCase().replace(/_/g, " ")}.` : "";
+  return `I'm ${percent} percent confident.${reasons}${next}`;
+}
+
+export function describeHazards(thought) {
+  if (!thought) return "I haven't had a thought yet.";
+  const { level, hazards = [] } = thought.pipeline.risk;
+  if (hazards.length === 0) return `Risk is ${level.toLowerCase()}. I don't see any hazards.`;
+  const sorted = [...hazards].sort((a, b) => (b.severity ?? 0) - (a.severity ?? 0));
+  const list = sorted.map((h) => `${h.description} (severity ${Math.round((h.severity ?? 0) * 10)} of 10)`);
+  return `Risk is ${level.toLowerCase()}. ${sorted.length === 1 ? "One hazard" : `${sorted.length} hazards`}: ${list.join("; ")}.`;
+}
+
+// Continuous recognition that restarts after the browser's silence timeout
+//   onCommand({ id, view? }, transcript), onHeard(transcript), onError(message)
+export function createVoiceRecognizer({
+  Recognition = typeof window !== "undefined" ? window.SpeechRecognition || window.webkitSpeechRecognition : undefined,
+  lang = "en-US",
+  onCommand,
+  onHeard = () => {},
+  onError = () => {},
+} = {}) {
+  let recognition = null;
+  let listening = false;
+
+  function start() {
+    if (!Recognition || listening) return;
+    listening = true;
+    recognition = new Recognition();
+    recognition.lang = lang;
+    recognition.continuous = true;
+    recognition.interimResults = false;
+
+    recognition.onresult = (event) => {
+      const result = event.results[event.results.length - 1];
+      const transcript = result[0].transcript;
+      onHeard(transcript);
+      const command = matchCommand(transcript);
+      if (command) onCommand(command, transcript);
+    };
+    recognition.onerror = (event) => {
+      // Permission problems won't fix themselves; silence and aborts will
+      if (event.error === "not-allowed" || event.error === "service-not-allowed") {
+        listening = false;
+        onError("Microphone access denied");
+      }
+    };
+    recognition.onend = () => {
+      if (listening) recognition.start();
+    };
+    recognition.start();
+  }
+
+  function stop() {
+    listening = false;
+    recognition?.stop();
+    recognition = null;
+  }
+
+  return { supported: Boolean(Recognition), start, stop, isListening: () => listening };
+}
@@ -0,0 +1,66 @@
+import { createVoiceRecognizer, describeConfidence, describeHazards, matchCommand, matchKey } from './voiceCommands';
+
+const thought = {
+  pipeline: {
+    uncertainty: { overall: 0.72, flags: ['LOW_LIGHT'], action: 'HOLD_AND_OBSERVE' },
+    risk: {
+      level: 'HIGH',
+      hazards: [
+        { type: 'trip', description: 'Cable on the floor', severity: 0.2 },
+        { type: 'collision', description: 'Car approaching', severity: 0.8 },
+      ],
+    },
+  },
+};
+
+test('matches spoken commands', () => {
+  expect(matchCommand('What do you see?')).toEqual({ id: 'describe' });
+  expect(matchCommand('how confident are you')).toEqual({ id: 'confidence' });
+  expect(matchCommand('Repeat')).toEqual({ id: 'repeat' });
+  expect(matchCommand('mute')).toEqual({ id: 'mute' });
+  expect(matchCommand('unmute')).toEqual({ id: 'unmute' });
+  expect(matchCommand('describe hazards')).toEqual({ id: 'hazards' });
+  expect(matchCommand('switch to pipeline view')).toEqual({ id: 'view', view: 'pipeline' });
+  expect(matchCommand('go to the camera')).toEqual({ id: 'view', view: 'camera' });
+  expect(matchCommand('switch to nowhere')).toBeNull();
+  expect(matchCommand('nice weather')).toBeNull();
+});
+
+test('keyboard fallback covers every command', () => {
+  expect(matchKey('w')).toEqual({ id: 'describe' });
+  expect(matchKey('H')).toEqual({ id: 'hazards' });
+  expect(matchKey('3')).toEqual({ id: 'view', view: 'pipeline' });
+  expect(matchKey('x')).toBeNull();
+});
+
+test('answers from the current thought', () => {
+  expect(describeConfidence(thought)).toBe("I'm 72 percent confident. Flags: low light. I'll hold and observe.");
+  expect(describeHazards(thought)).toBe(
+    'Risk is high. 2 hazards: Car approaching (severity 8 of 10); Cable on the floor (severity 2 of 10).'
+  );
+});
+
+test('recognizer keeps listening after silence and dispatches commands', () => {
+  const instances = [];
+  class Recognition {
+    constructor() {
+      this.start = jest.fn();
+      this.stop = jest.fn();
+      instances.push(this);
+    }
+  }
+  const onCommand = jest.fn();
+  const recognizer = createVoiceRecognizer({ Recognition, onCommand });
+  recognizer.start();
+  const rec = instances[0];
+
+  rec.onresult({ results: [[{ transcript: 'describe hazards' }]] });
+  expect(onCommand).toHaveBeenCalledWith({ id: 'hazards' }, 'describe hazards');
+
+  rec.onend();
+  expect(rec.start).toHaveBeenCalledTimes(2);
+
+  recognizer.stop();
+  rec.onend();
+  expect(rec.start).toHaveBeenCalledTimes(2);
+});